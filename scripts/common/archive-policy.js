@@ -0,0 +1,203 @@
+/**
+ * Content policy for published plugin zips. The build copies the whole plugin
+ * repository (minus .buildignore) into dist/, and everything in dist/ reaches
+ * every user who installs the plugin, so before it is zipped each file must:
+ *   - have an allowed extension for the plugin type (firmware images only in
+ *     devices), or be a well-known extensionless file such as LICENSE
+ *   - be a regular file: no symlinks, FIFOs or devices
+ *   - not be executable: no executable bit, no ELF, PE or Mach-O header
+ *   - have a name that cannot escape the extraction directory on any OS (no
+ *     `..` segments, backslashes, colons or control characters)
+ *   - stay under the per-file size cap, with the file count under its own cap
+ *
+ * Every violation names its file, so plugin authors can fix them all in one
+ * go. The checks are pure (file list in, violations out); listArchiveFiles
+ * reads the file list from disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const ARCHIVE_POLICY = {
+    // Files in one plugin zip.
+    maxFiles: 2000,
+    // Largest single file, bytes (the whole zip is capped by LIMITS.maxZipBytes).
+    maxFileBytes: 16 * 1024 * 1024,
+    // Allowed extensions (lowercase), for every plugin type and per type.
+    allowedExtensions: {
+        common: [
+            // Plugin code and metadata
+            '.js', '.mjs', '.cjs', '.map', '.json', '.html', '.htm', '.css',
+            // Documentation and data
+            '.md', '.markdown', '.txt', '.rst', '.adoc', '.csv', '.xml', '.yml', '.yaml', '.toml', '.ini', '.cfg', '.properties',
+            // Images, sounds and fonts
+            '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico', '.bmp', '.wav', '.mp3', '.ogg',
+            '.woff', '.woff2', '.ttf', '.otf',
+            // Arduino and MicroPython sources compiled or uploaded on the user's machine
+            '.c', '.cc', '.cpp', '.cxx', '.h', '.hh', '.hpp', '.hxx', '.ino', '.pde', '.s', '.ld', '.mk', '.cmake', '.py'
+        ],
+        // Prebuilt firmware flashed to boards
+        devices: ['.hex', '.bin', '.uf2', '.eep', '.mpy'],
+        extensions: []
+    },
+    // Extensionless files allowed anywhere (matched case-insensitively).
+    allowedNames: [
+        'license', 'licence', 'copying', 'notice', 'readme', 'changelog', 'authors', 'contributors', 'makefile',
+        '.editorconfig', '.clang-format', '.npmignore', '.prettierrc', '.gitkeep', '.keep'
+    ]
+};
+
+// ELF, PE (MZ) and Mach-O (32/64-bit, both byte orders, and fat binaries).
+const EXECUTABLE_MAGIC = [
+    [0x7f, 0x45, 0x4c, 0x46],
+    [0x4d, 0x5a],
+    [0xfe, 0xed, 0xfa, 0xce],
+    [0xfe, 0xed, 0xfa, 0xcf],
+    [0xce, 0xfa, 0xed, 0xfe],
+    [0xcf, 0xfa, 0xed, 0xfe],
+    [0xca, 0xfe, 0xba, 0xbe]
+];
+const HEADER_BYTES = 4;
+
+/**
+ * Whether a file header is an executable format.
+ * @param {Buffer|null} header - First bytes of the file
+ * @returns {boolean} True for ELF, PE and Mach-O headers
+ */
+const isExecutableHeader = header => Boolean(header) &&
+    EXECUTABLE_MAGIC.some(magic => magic.every((byte, index) => header[index] === byte));
+
+/**
+ * Why an archive entry name is unsafe to extract.
+ * @param {string} name - Path inside the zip, '/'-separated
+ * @returns {string|null} Reason, or null if the name is safe
+ */
+const unsafeNameReason = name => {
+    // eslint-disable-next-line no-control-regex
+    if (/[\u0000-\u001f\u007f]/.test(name)) {
+        return 'control characters in the file name';
+    }
+    if (name.includes('\\')) {
+        return 'backslash in the file name (a path separator on Windows)';
+    }
+    if (name.includes(':')) {
+        return 'colon in the file name (a drive or stream separator on Windows)';
+    }
+    if (name.startsWith('/') || name.split('/').some(segment => segment === '..' || segment === '.')) {
+        return 'path leaves the plugin directory';
+    }
+    return null;
+};
+
+/**
+ * Check a plugin's files against the content policy.
+ * @param {Array<object>} files - Files from listArchiveFiles ({name, kind, size, mode, header})
+ * @param {string} type - Plugin type ('devices' or 'extensions')
+ * @param {object} [policy] - Policy overrides (defaults to ARCHIVE_POLICY)
+ * @returns {Array<{file: (string|null), rule: string, message: string}>} Violations, per file
+ */
+export const checkArchiveContents = (files, type, policy = ARCHIVE_POLICY) => {
+    const violations = [];
+    const allowed = new Set([...policy.allowedExtensions.common, ...(policy.allowedExtensions[type] || [])]);
+    const allowedNames = new Set(policy.allowedNames.map(name => name.toLowerCase()));
+
+    if (files.length > policy.maxFiles) {
+        violations.push({file: null, rule: 'file-count', message: `${files.length} files, more than the ${policy.maxFiles} allowed`});
+    }
+
+    for (const file of files) {
+        const add = (rule, message) => violations.push({file: file.name, rule, message});
+
+        const nameReason = unsafeNameReason(file.name);
+        if (nameReason) {
+            add('unsafe-name', nameReason);
+        }
+        if (file.kind === 'symlink') {
+            add('symlink', 'symbolic link');
+            continue;
+        }
+        if (file.kind !== 'file') {
+            add('special-file', 'not a regular file');
+            continue;
+        }
+
+        if (file.mode & 0o111) {
+            add('executable', 'executable bit set');
+        } else if (isExecutableHeader(file.header)) {
+            add('executable', 'executable binary (ELF, PE or Mach-O)');
+        }
+
+        const baseName = path.posix.basename(file.name);
+        const extension = path.posix.extname(baseName).toLowerCase();
+        if (extension ? !allowed.has(extension) : !allowedNames.has(baseName.toLowerCase())) {
+            const what = extension ? `'${extension}' files are` : 'files without an extension are';
+            add('file-type', `${what} not allowed in ${type === 'devices' ? 'devices' : 'extensions'}`);
+        }
+
+        if (file.size > policy.maxFileBytes) {
+            add('file-size', `${file.size} bytes, more than the ${policy.maxFileBytes} allowed per file`);
+        }
+    }
+    return violations;
+};
+
+/**
+ * One-line description of a violation, for errors.
+ * @param {object} violation - Violation from checkArchiveContents
+ * @returns {string} e.g. "lib/tool.exe: '.exe' files are not allowed in extensions"
+ */
+export const formatArchiveViolation = violation => (violation.file ?
+    `${violation.file}: ${violation.message}` :
+    violation.message);
+
+/**
+ * List every entry under a directory without following symlinks, with what the
+ * policy needs: kind, size, permission bits and the first bytes of each file.
+ * @param {string} rootDir - Directory about to be zipped
+ * @returns {Promise<Array<object>>} Files ({name, kind, size, mode, header}), sorted by name
+ */
+export const listArchiveFiles = async rootDir => {
+    const files = [];
+    const walk = async (dir, prefix) => {
+        for (const dirent of await fs.readdir(dir, {withFileTypes: true})) {
+            const fullPath = path.join(dir, dirent.name);
+            const name = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+            if (dirent.isDirectory()) {
+                await walk(fullPath, name);
+                continue;
+            }
+            const stats = await fs.lstat(fullPath);
+            let kind = 'other';
+            if (stats.isSymbolicLink()) {
+                kind = 'symlink';
+            } else if (stats.isFile()) {
+                kind = 'file';
+            }
+            let header = null;
+            if (kind === 'file') {
+                const handle = await fs.open(fullPath, 'r');
+                try {
+                    const {buffer, bytesRead} = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+                    header = buffer.subarray(0, bytesRead);
+                } finally {
+                    await handle.close();
+                }
+            }
+            files.push({name, kind, size: stats.size, mode: stats.mode & 0o777, header});
+        }
+    };
+    await walk(rootDir, '');
+    return files.sort((a, b) => {
+        if (a.name === b.name) {
+            return 0;
+        }
+        return a.name < b.name ? -1 : 1;
+    });
+};
+
+export default {
+    ARCHIVE_POLICY,
+    checkArchiveContents,
+    formatArchiveViolation,
+    listArchiveFiles
+};
@@ -0,0 +1,204 @@
+/**
+ * Incremental delta feed for packages.json.
+ *
+ * packages.json carries a `revision` counter that every publish increments. Each
+ * publish also writes the JSON Patch (RFC 6902) from the previous revision as
+ * deltas/<revision>.json and records it in deltas/index.json, newest first:
+ *   {
+ *     latest: <revision of the live packages.json>,
+ *     deltas: [{revision, path, createdAt, size}]
+ *   }
+ * A client that holds revision N applies deltas N+1..latest in order and ends
+ * up with exactly the live packages.json. If N is older than the oldest delta
+ * listed, it downloads packages.json in full instead.
+ *
+ * The chain is bounded by LIMITS.maxDeltaChain; deltas that fall off the end
+ * are deleted. A publish whose baseline does not match the chain's latest
+ * revision (e.g. packages.json was restored without its revision) starts a new
+ * chain, since older deltas can no longer be connected to it. Revisions still
+ * only move forward: the next one is past both the baseline and the index, so
+ * a revision clients have seen is never reused for different content.
+ *
+ * Publishes must not overlap (the sync, toolchain sync and rollback workflows
+ * share a concurrency group), and a publish whose baseline is no longer the
+ * live packages.json is refused rather than overwriting the newer revision.
+ */
+
+import {isDeepStrictEqual} from 'util';
+import {uploadBuffer, downloadJson, deleteFile} from './r2-client.js';
+import {uploadSignature} from './signing.js';
+import {signaturePath} from './verify-signature.js';
+import {createJsonPatch, applyJsonPatch} from './json-patch.js';
+import {LIMITS} from './limits.js';
+import logger from './logger.js';
+
+export const DELTAS_DIR = 'deltas';
+export const DELTA_INDEX_PATH = `${DELTAS_DIR}/index.json`;
+
+/**
+ * Revision of a packages.json; 0 for one published before revisions existed.
+ * @param {object|null} packagesJson - Packages JSON data
+ * @returns {number} Revision
+ */
+export const getRevision = (packagesJson) => (Number.isInteger(packagesJson?.revision) ? packagesJson.revision : 0);
+
+/**
+ * Remote path of the delta that produces a revision.
+ * @param {number} revision - Target revision
+ * @returns {string} Path in the R2 bucket
+ */
+export const deltaPath = (revision) => `${DELTAS_DIR}/${revision}.json`;
+
+/**
+ * Create an empty delta index.
+ * @returns {object} Empty index
+ */
+export const createEmptyDeltaIndex = () => ({
+    latest: 0,
+    deltas: []
+});
+
+/**
+ * Stamp the next revision on a packages.json and compute the delta from the
+ * baseline to it. Pure. The next revision is one past the newer of the
+ * baseline's revision and the delta index's latest. The patch is applied back
+ * to the baseline and checked against the result, so a faulty patch is never
+ * published.
+ * @param {object} baseline - The packages.json currently live
+ * @param {object} packagesJson - The packages.json about to be published
+ * @param {string} now - ISO timestamp
+ * @param {number} [latest] - Latest revision in the delta index
+ * @returns {{packagesJson: object, delta: object}} Revisioned packages.json and the delta ({from, to, createdAt, patch})
+ */
+export const createDelta = (baseline, packagesJson, now, latest = 0) => {
+    const from = getRevision(baseline);
+    const to = Math.max(from, latest) + 1;
+    const next = {
+        ...packagesJson,
+        revision: to
+    };
+    const patch = createJsonPatch(baseline, next);
+    if (!isDeepStrictEqual(applyJsonPatch(baseline, patch), next)) {
+        throw new Error(`Delta ${from} -> ${to} does not reproduce packages.json`);
+    }
+    return {
+        packagesJson: next,
+        delta: {
+            from,
+            to,
+            createdAt: now,
+            patch
+        }
+    };
+};
+
+/**
+ * Refuse to publish on top of a stale baseline: if the live packages.json has
+ * moved to another revision since the baseline was read, publishing would
+ * overwrite that revision's changes. Pure.
+ * @param {object|null} baseline - The packages.json the publish was computed from
+ * @param {object|null} live - The packages.json live right now
+ * @returns {void}
+ */
+export const assertBaselineIsLive = (baseline, live) => {
+    if (getRevision(live) !== getRevision(baseline)) {
+        throw new Error(`packages.json moved to revision ${getRevision(live)} after revision ${getRevision(baseline)} ` +
+            'was read; run again to publish on top of it');
+    }
+};
+
+/**
+ * Record a published delta in the index. Pure: returns a new index.
+ * @param {object} index - Current delta index
+ * @param {object} delta - Delta from createDelta()
+ * @param {number} size - Size of the uploaded delta file, bytes
+ * @param {number} [limit] - Deltas kept in the chain
+ * @returns {{index: object, pruned: Array<object>}} New index and the entries dropped from it (possibly the new one)
+ */
+export const addDelta = (index, delta, size, limit = LIMITS.maxDeltaChain) => {
+    const entry = {
+        revision: delta.to,
+        path: deltaPath(delta.to),
+        createdAt: delta.createdAt,
+        size
+    };
+    // Only deltas that still lead up to this one are usable. A delta that skips
+    // revisions (its baseline was behind the index) leads on from no revision a
+    // client can hold, so the chain restarts empty and it is dropped too.
+    const connected = index.latest === delta.from ? index.deltas.filter(d => d.revision <= delta.from) : [];
+    const chain = delta.to === delta.from + 1 ? [entry, ...connected] : [];
+    const kept = chain.slice(0, limit);
+    const keptPaths = new Set(kept.map(d => d.path));
+    return {
+        index: {
+            ...index,
+            latest: delta.to,
+            deltas: kept
+        },
+        pruned: [...index.deltas, entry].filter(d => !keptPaths.has(d.path))
+    };
+};
+
+/**
+ * Read the delta index from R2 (public read).
+ * @returns {Promise<object>} Index, empty if none has been written yet
+ */
+export const readDeltaIndex = async () => {
+    const index = await downloadJson(DELTA_INDEX_PATH);
+    return {
+        ...createEmptyDeltaIndex(),
+        ...index
+    };
+};
+
+/**
+ * Upload a delta file and its signature. Compact JSON, since the point is a
+ * small download. Requires R2 credentials.
+ * @param {object} delta - Delta from createDelta()
+ * @returns {Promise<number>} Uploaded size, bytes
+ */
+export const uploadDelta = async (delta) => {
+    const content = Buffer.from(JSON.stringify(delta));
+    await uploadBuffer(content, deltaPath(delta.to), 'application/json');
+    await uploadSignature(content, deltaPath(delta.to));
+    return content.length;
+};
+
+/**
+ * Record an uploaded delta in the (signed) index and delete the deltas that
+ * fell off the chain. Call once the matching packages.json is live. Deleting is best-effort:
+ * a leftover file is only wasted space. Requires R2 credentials.
+ * @param {object} delta - Delta from createDelta()
+ * @param {number} size - Size returned by uploadDelta()
+ * @returns {Promise<object>} The new index
+ */
+export const publishDeltaIndex = async (delta, size) => {
+    const {index, pruned} = addDelta(await readDeltaIndex(), delta, size);
+    const content = Buffer.from(JSON.stringify(index));
+    await uploadBuffer(content, DELTA_INDEX_PATH, 'application/json');
+    await uploadSignature(content, DELTA_INDEX_PATH);
+    for (const entry of pruned) {
+        try {
+            await deleteFile(entry.path);
+            await deleteFile(signaturePath(entry.path));
+        } catch (err) {
+            logger.warn(`Failed to delete old delta ${entry.path}: ${err.message}`);
+        }
+    }
+    logger.info(`Delta ${delta.from} -> ${delta.to}: ${delta.patch.length} operation(s), ${size} bytes`);
+    return index;
+};
+
+export default {
+    DELTAS_DIR,
+    DELTA_INDEX_PATH,
+    getRevision,
+    deltaPath,
+    createEmptyDeltaIndex,
+    createDelta,
+    assertBaselineIsLive,
+    addDelta,
+    readDeltaIndex,
+    uploadDelta,
+    publishDeltaIndex
+};
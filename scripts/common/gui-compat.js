@@ -0,0 +1,51 @@
+/**
+ * Minimum OpenBlock GUI version a plugin version needs.
+ *
+ * A plugin declares it in its source package.json, either as an npm-style
+ * `engines.openblock` range or as `openblock.minGuiVersion` (shorthand for
+ * `>=<version>`). The validator checks it, the build phase reads it from the
+ * source (the compiled dist/package.json drops `engines`), and it is published
+ * per version as `versions[].engines.openblock`, so an older GUI can skip the
+ * versions it cannot run.
+ */
+
+import {isValidSemver, isValidRange} from './semver.js';
+
+/**
+ * Read the GUI version range a plugin declares.
+ * @param {object} packageJson - The plugin's source package.json
+ * @returns {{range: (string|null), error: (string|null)}} Normalized range (null if none declared), or an error
+ */
+export const readGuiRange = (packageJson) => {
+    const engines = packageJson?.engines;
+    const hasEngines = Boolean(engines) && Object.prototype.hasOwnProperty.call(engines, 'openblock');
+    const openblock = packageJson?.openblock;
+    const hasMin = Boolean(openblock) && Object.prototype.hasOwnProperty.call(openblock, 'minGuiVersion');
+
+    if (hasEngines && hasMin) {
+        return {range: null, error: 'Declare either engines.openblock or openblock.minGuiVersion, not both'};
+    }
+    if (hasEngines) {
+        if (!isValidRange(engines.openblock)) {
+            return {
+                range: null,
+                error: `engines.openblock must be a version range such as ">=2.3.0" or "^2.3.0", got: ${JSON.stringify(engines.openblock)}`
+            };
+        }
+        return {range: engines.openblock.trim().replace(/\s+/g, ' '), error: null};
+    }
+    if (hasMin) {
+        if (!isValidSemver(openblock.minGuiVersion)) {
+            return {
+                range: null,
+                error: `openblock.minGuiVersion must be a version (x.y.z), got: ${JSON.stringify(openblock.minGuiVersion)}`
+            };
+        }
+        return {range: `>=${openblock.minGuiVersion}`, error: null};
+    }
+    return {range: null, error: null};
+};
+
+export default {
+    readGuiRange
+};
@@ -0,0 +1,194 @@
+/**
+ * Minimal JSON Patch (RFC 6902) support for the packages.json delta feed.
+ *
+ * createJsonPatch() emits only add/remove/replace operations. Arrays are diffed
+ * by trimming the common head and tail and comparing what is left position by
+ * position, which keeps the patch small for the changes a sync makes: a version
+ * prepended to versions[], a package inserted in id order, a changed field.
+ * applyJsonPatch() applies those three operations and is what the publisher
+ * uses to check a patch before it is uploaded.
+ */
+
+import {isDeepStrictEqual} from 'util';
+
+/**
+ * Whether a value is a plain JSON object (not an array or null).
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Escape one JSON Pointer reference token (RFC 6901).
+ * @param {string|number} token - Object key or array index
+ * @returns {string} Escaped token
+ */
+export const escapePointerToken = (token) => String(token).replace(/~/g, '~0')
+    .replace(/\//g, '~1');
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens.
+ * @param {string} pointer - JSON Pointer ('' is the whole document)
+ * @returns {string[]} Tokens
+ */
+const parsePointer = (pointer) => {
+    if (pointer === '') {
+        return [];
+    }
+    if (!pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON Pointer: ${pointer}`);
+    }
+    return pointer.slice(1).split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Diff two arrays. The common head and tail are skipped; the remaining middle
+ * is compared pairwise, then the extra items are removed or added.
+ * @param {Array} from - Original array
+ * @param {Array} to - Target array
+ * @param {string} pointer - Pointer to the array
+ * @param {Function} diff - Diff for the paired items (createJsonPatch, passed in to recurse)
+ * @returns {Array<object>} Operations
+ */
+const diffArrays = (from, to, pointer, diff) => {
+    let head = 0;
+    while (head < from.length && head < to.length && isDeepStrictEqual(from[head], to[head])) {
+        head++;
+    }
+    let tail = 0;
+    while (tail < from.length - head && tail < to.length - head &&
+        isDeepStrictEqual(from[from.length - 1 - tail], to[to.length - 1 - tail])) {
+        tail++;
+    }
+
+    const fromCount = from.length - head - tail;
+    const toCount = to.length - head - tail;
+    const paired = Math.min(fromCount, toCount);
+    const ops = [];
+
+    for (let i = 0; i < paired; i++) {
+        ops.push(...diff(from[head + i], to[head + i], `${pointer}/${head + i}`));
+    }
+    // Removing at the same index repeatedly drops the surplus items in order.
+    for (let i = paired; i < fromCount; i++) {
+        ops.push({op: 'remove', path: `${pointer}/${head + paired}`});
+    }
+    for (let i = paired; i < toCount; i++) {
+        ops.push({op: 'add', path: `${pointer}/${head + i}`, value: to[head + i]});
+    }
+    return ops;
+};
+
+/**
+ * Diff two objects key by key.
+ * @param {object} from - Original object
+ * @param {object} to - Target object
+ * @param {string} pointer - Pointer to the object
+ * @param {Function} diff - Diff for values under shared keys (createJsonPatch, passed in to recurse)
+ * @returns {Array<object>} Operations
+ */
+const diffObjects = (from, to, pointer, diff) => {
+    const ops = [];
+    for (const key of Object.keys(from)) {
+        if (!Object.prototype.hasOwnProperty.call(to, key)) {
+            ops.push({op: 'remove', path: `${pointer}/${escapePointerToken(key)}`});
+        }
+    }
+    for (const [key, value] of Object.entries(to)) {
+        const path = `${pointer}/${escapePointerToken(key)}`;
+        if (Object.prototype.hasOwnProperty.call(from, key)) {
+            ops.push(...diff(from[key], value, path));
+        } else {
+            ops.push({op: 'add', path, value});
+        }
+    }
+    return ops;
+};
+
+/**
+ * Compute a JSON Patch that turns `from` into `to`.
+ * @param {*} from - Original document
+ * @param {*} to - Target document
+ * @param {string} [pointer] - Pointer of the compared values (internal)
+ * @returns {Array<object>} RFC 6902 operations (empty when equal)
+ */
+export const createJsonPatch = (from, to, pointer = '') => {
+    if (isDeepStrictEqual(from, to)) {
+        return [];
+    }
+    if (Array.isArray(from) && Array.isArray(to)) {
+        return diffArrays(from, to, pointer, createJsonPatch);
+    }
+    if (isObject(from) && isObject(to)) {
+        return diffObjects(from, to, pointer, createJsonPatch);
+    }
+    return [{op: 'replace', path: pointer, value: to}];
+};
+
+/**
+ * Apply add/remove/replace operations to a copy of a document.
+ * @param {*} document - Original document (not mutated)
+ * @param {Array<object>} patch - Operations
+ * @returns {*} Patched document
+ */
+export const applyJsonPatch = (document, patch) => {
+    let result = structuredClone(document);
+
+    for (const operation of patch) {
+        const {op, path} = operation;
+        if (!['add', 'remove', 'replace'].includes(op)) {
+            throw new Error(`Unsupported JSON Patch operation: ${op}`);
+        }
+
+        const tokens = parsePointer(path);
+        if (tokens.length === 0) {
+            if (op === 'remove') {
+                throw new Error('Cannot remove the document root');
+            }
+            result = structuredClone(operation.value);
+            continue;
+        }
+
+        const key = tokens.pop();
+        let parent = result;
+        for (const token of tokens) {
+            parent = parent?.[token];
+        }
+        if (parent === null || typeof parent !== 'object') {
+            throw new Error(`JSON Patch path not found: ${path}`);
+        }
+
+        if (Array.isArray(parent)) {
+            const index = key === '-' ? parent.length : Number(key);
+            const max = op === 'add' ? parent.length : parent.length - 1;
+            if (!Number.isInteger(index) || index < 0 || index > max) {
+                throw new Error(`JSON Patch index out of range: ${path}`);
+            }
+            if (op === 'add') {
+                parent.splice(index, 0, structuredClone(operation.value));
+            } else if (op === 'remove') {
+                parent.splice(index, 1);
+            } else {
+                parent[index] = structuredClone(operation.value);
+            }
+        } else {
+            if (op !== 'add' && !Object.prototype.hasOwnProperty.call(parent, key)) {
+                throw new Error(`JSON Patch path not found: ${path}`);
+            }
+            if (op === 'remove') {
+                delete parent[key];
+            } else {
+                parent[key] = structuredClone(operation.value);
+            }
+        }
+    }
+
+    return result;
+};
+
+export default {
+    escapePointerToken,
+    createJsonPatch,
+    applyJsonPatch
+};
@@ -5,7 +5,8 @@
  *   - submodule URLs must be https://github.com/... (blocks SSRF to internal
  *     hosts and non-http schemes like file://, ext::, ssh, git://)
  *   - hard caps on versions per repo/run, clone size, zip size, versions kept
- *     per package, and submodule count (bounds DoS / Actions-quota burn)
+ *     per package, submodule count, per-repo build time and the resources of
+ *     each sandboxed build command (bounds DoS / Actions-quota burn)
  *
  * The functions are pure (string/number in, result out) so they unit-test
  * without git or the network.
@@ -19,10 +20,30 @@ export const LIMITS = {
     maxCloneBytes: 100 * 1024 * 1024,
     // Built plugin .zip size cap, bytes.
     maxZipBytes: 50 * 1024 * 1024,
-    // versions[] kept per package in packages.json (keeps the file bounded).
+    // versions[] kept per package in packages.json (keeps the file bounded):
+    // stable versions and prereleases are capped separately, so a run of betas
+    // never evicts a stable release.
     maxVersionsPerPackage: 40,
+    maxPrereleaseVersionsPerPackage: 10,
     // Submodule entries allowed in a single repo.
-    maxSubmodules: 16
+    maxSubmodules: 16,
+    // Wall-clock budget for building one repository in a sync run, ms. Versions
+    // not built in time are reported and retried on the next run.
+    maxRepoBuildMs: 30 * 60 * 1000,
+    // packages.json deltas kept in the delta feed; clients further behind
+    // download the full file.
+    maxDeltaChain: 50,
+    // packages.json snapshots kept for rollback; older ones are deleted.
+    maxSnapshots: 100,
+    // Release notes published per version, characters (after sanitizing).
+    maxReleaseNotesChars: 4000,
+    // Caps on each sandboxed build command (npm ci, CLI build, i18n
+    // extract): wall clock ms, CPU seconds, address space and largest written
+    // file, bytes.
+    buildCommandTimeoutMs: 10 * 60 * 1000,
+    buildCpuSeconds: 10 * 60,
+    buildMemoryBytes: 4 * 1024 * 1024 * 1024,
+    buildFileBytes: 512 * 1024 * 1024
 };
 
 /**
@@ -0,0 +1,230 @@
+/**
+ * Lockfile policy for plugin builds. Before dependencies are installed, the
+ * plugin's lockfile is inspected:
+ *   - every installed package must come from the npm registry as a tarball
+ *     under https://registry.npmjs.org/; git, http:, file: and other tarball
+ *     URLs are refused, as are links that leave the plugin directory
+ *   - installed package versions are checked against advisories.json, a
+ *     vendored snapshot of npm security advisories, and reported (not refused)
+ *
+ * Dev dependencies are not installed (`--omit=dev`), so they are not checked.
+ * Handles lockfileVersion 1 (nested `dependencies`) and 2/3 (`packages`).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {satisfies} from './semver.js';
+import {severityRank} from './security-scan.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ADVISORIES_PATH = path.resolve(__dirname, '../../advisories.json');
+
+/** The only registry installed packages may be downloaded from. */
+export const NPM_REGISTRY_URL = 'https://registry.npmjs.org/';
+
+/** Lockfiles npm install/ci reads, in the order npm prefers them. */
+export const LOCKFILE_NAMES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+const GIT_SOURCE_REGEX = /^(?:git\+|git:|github:|gitlab:|bitbucket:|gist:)/i;
+const REGISTRY_TARBALL_REGEX = /\/-\/[^/]+\.tgz$/;
+
+/**
+ * Flatten a lockfile into the packages it installs.
+ * @param {object} lockfile - Parsed package-lock.json / npm-shrinkwrap.json
+ * @returns {Array<object>} Packages ({path, name, version, resolved, integrity, license, link, dev, bundled});
+ *     `license` is only recorded by lockfileVersion 2/3
+ */
+export const listLockedPackages = lockfile => {
+    if (!lockfile || typeof lockfile !== 'object') {
+        throw new Error('Lockfile is not a JSON object');
+    }
+
+    if (lockfile.packages && typeof lockfile.packages === 'object') {
+        // lockfileVersion 2/3: keys are install paths; the root ("") and
+        // workspace folders are the plugin's own source.
+        return Object.entries(lockfile.packages)
+            .filter(([key]) => key.includes('node_modules/'))
+            .map(([key, entry]) => ({
+                path: key,
+                name: entry.name ?? key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+                version: entry.version ?? null,
+                resolved: entry.resolved ?? null,
+                integrity: entry.integrity ?? null,
+                license: entry.license ?? null,
+                link: entry.link === true,
+                dev: entry.dev === true,
+                bundled: entry.inBundle === true
+            }));
+    }
+
+    if (lockfile.dependencies && typeof lockfile.dependencies === 'object') {
+        // lockfileVersion 1: nested dependencies; git and file dependencies keep
+        // their source in `version`.
+        const packages = [];
+        const walk = (dependencies, parentPath) => {
+            for (const [name, entry] of Object.entries(dependencies)) {
+                const installPath = `${parentPath}node_modules/${name}`;
+                packages.push({
+                    path: installPath,
+                    name,
+                    version: entry.version ?? null,
+                    resolved: entry.resolved ?? null,
+                    integrity: entry.integrity ?? null,
+                    license: null,
+                    link: false,
+                    dev: entry.dev === true,
+                    bundled: entry.bundled === true
+                });
+                if (entry.dependencies) {
+                    walk(entry.dependencies, `${installPath}/`);
+                }
+            }
+        };
+        walk(lockfile.dependencies, '');
+        return packages;
+    }
+
+    // A lockfile for a plugin without dependencies.
+    return [];
+};
+
+/**
+ * Why a locked package's source is refused.
+ * @param {object} pkg - Package from listLockedPackages
+ * @returns {string|null} Reason, or null if the source is allowed
+ */
+export const checkPackageSource = pkg => {
+    if (pkg.bundled) {
+        // Shipped inside its parent's registry tarball.
+        return null;
+    }
+    if (pkg.link) {
+        const target = pkg.resolved ?? '';
+        const escapes = path.posix.isAbsolute(target) || target.split('/').includes('..');
+        return escapes ? 'link outside the plugin directory' : null;
+    }
+
+    // Lockfile v1 records git and file dependencies in `version`.
+    const source = pkg.resolved ?? pkg.version ?? '';
+    if (GIT_SOURCE_REGEX.test(source)) {
+        return 'git dependency';
+    }
+    if (/^http:/i.test(source)) {
+        return 'insecure http: download';
+    }
+    if (/^file:/i.test(source)) {
+        return 'local file dependency';
+    }
+    if (/^https:/i.test(source)) {
+        return source.startsWith(NPM_REGISTRY_URL) && REGISTRY_TARBALL_REGEX.test(source) ?
+            null :
+            'tarball URL outside the npm registry';
+    }
+    if (!pkg.resolved) {
+        return 'no resolved registry URL';
+    }
+    return 'non-registry source';
+};
+
+/**
+ * Installed packages with a version listed in the advisory snapshot, one entry
+ * per package version and advisory, most severe first.
+ * @param {Array<object>} packages - Packages from listLockedPackages
+ * @param {object} advisories - Advisories by package name (advisories.json `packages`)
+ * @returns {Array<object>} Vulnerabilities ({name, version, path, id, severity, title, url})
+ */
+export const findVulnerabilities = (packages, advisories) => {
+    const found = new Map();
+    for (const pkg of packages) {
+        if (pkg.dev || !Object.prototype.hasOwnProperty.call(advisories, pkg.name)) {
+            continue;
+        }
+        for (const advisory of advisories[pkg.name]) {
+            const key = `${pkg.name}@${pkg.version} ${advisory.id}`;
+            if (!found.has(key) && satisfies(pkg.version, advisory.vulnerableVersions)) {
+                found.set(key, {
+                    name: pkg.name,
+                    version: pkg.version,
+                    path: pkg.path,
+                    id: advisory.id,
+                    severity: advisory.severity,
+                    title: advisory.title,
+                    url: advisory.url ?? null
+                });
+            }
+        }
+    }
+    return [...found.values()].sort((a, b) =>
+        severityRank(b.severity) - severityRank(a.severity) || a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+};
+
+/**
+ * Inspect a lockfile: packages from refused sources, and vulnerable versions.
+ * @param {object} lockfile - Parsed lockfile
+ * @param {object} [advisories] - Advisories by package name (advisories.json `packages`)
+ * @returns {{violations: Array<object>, vulnerabilities: Array<object>}} Violations
+ *     ({path, name, source, reason}) refuse the build; vulnerabilities are reported
+ */
+export const inspectLockfile = (lockfile, advisories = {}) => {
+    const packages = listLockedPackages(lockfile).filter(pkg => !pkg.dev);
+    const violations = packages
+        .map(pkg => ({
+            path: pkg.path,
+            name: pkg.name,
+            source: pkg.resolved ?? pkg.version,
+            reason: checkPackageSource(pkg)
+        }))
+        .filter(violation => violation.reason);
+    return {violations, vulnerabilities: findVulnerabilities(packages, advisories)};
+};
+
+/**
+ * One-line description of a policy violation, for errors.
+ * @param {object} violation - Violation from inspectLockfile
+ * @returns {string} e.g. "node_modules/foo: git dependency (git+ssh://github.com/x/foo.git#abc)"
+ */
+export const formatViolation = violation => (violation.source ?
+    `${violation.path}: ${violation.reason} (${violation.source})` :
+    `${violation.path}: ${violation.reason}`);
+
+/**
+ * Find the lockfile npm will install from (npm-shrinkwrap.json wins over
+ * package-lock.json).
+ * @param {string} pluginDir - Plugin directory path
+ * @returns {Promise<string|null>} Lockfile path, or null if the plugin has none
+ */
+export const findLockfile = async pluginDir => {
+    for (const name of LOCKFILE_NAMES) {
+        const lockPath = path.join(pluginDir, name);
+        try {
+            await fs.access(lockPath);
+            return lockPath;
+        } catch {
+            // Try the next name
+        }
+    }
+    return null;
+};
+
+/**
+ * Read the vendored advisory snapshot.
+ * @param {string} [filePath] - Snapshot path (defaults to advisories.json at the repository root)
+ * @returns {Promise<object>} Snapshot ({snapshotDate, source, packages})
+ */
+export const readAdvisories = async (filePath = ADVISORIES_PATH) => {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+};
+
+export default {
+    NPM_REGISTRY_URL,
+    LOCKFILE_NAMES,
+    listLockedPackages,
+    checkPackageSource,
+    findVulnerabilities,
+    inspectLockfile,
+    formatViolation,
+    findLockfile,
+    readAdvisories
+};
@@ -0,0 +1,177 @@
+/**
+ * Sharded package index on R2.
+ *
+ * packages.json carries every plugin's display fields (inline icons included)
+ * and its whole versions[] list, so a first library load over a slow link takes
+ * a long time. Alongside it, each publish writes:
+ *   - packages/index.json: one slim entry per device and extension (id, latest
+ *     version, display fields without inline icons, path and hash of its file),
+ *     plus the delisted tombstones;
+ *   - packages/<type>/<id>.json: the package's full packages.json entry, exactly
+ *     as addPackageVersion built it, including versions[] and inline icons.
+ * A client loads the index first and fetches a package file only when it needs
+ * the versions or icons, re-fetching only when the hash changed.
+ *
+ * Both files are generated from packages.json, never edited on their own.
+ */
+
+import crypto from 'crypto';
+import {uploadBuffer, downloadJson} from './r2-client.js';
+import {uploadSignature} from './signing.js';
+import {getDevices, getExtensions, getDelisted} from './packages-json.js';
+import {pickDisplayVersion} from './semver.js';
+import logger from './logger.js';
+
+export const PACKAGE_INDEX_DIR = 'packages';
+export const PACKAGE_INDEX_PATH = `${PACKAGE_INDEX_DIR}/index.json`;
+
+/** Bumped on any incompatible change to the index layout. */
+export const PACKAGE_INDEX_SCHEMA_VERSION = 1;
+
+/**
+ * Remote path of a package file.
+ * @param {string} type - 'devices' or 'extensions'
+ * @param {string} id - Package id
+ * @returns {string} Path in the R2 bucket
+ */
+export const packageFilePath = (type, id) => `${PACKAGE_INDEX_DIR}/${type}/${id}.json`;
+
+/**
+ * Serialize a generated file. Compact, since these files exist to be small;
+ * the hash is taken over exactly these bytes.
+ * @param {object} data - File content
+ * @returns {string} Serialized JSON
+ */
+const serialize = (data) => JSON.stringify(data);
+
+/**
+ * Hash of a serialized file, in the same form as archive checksums.
+ * @param {string} content - Serialized JSON
+ * @returns {string} 'SHA-256:<hex>'
+ */
+const hashContent = (content) => {
+    const hex = crypto.createHash('sha256').update(content)
+        .digest('hex');
+    return `SHA-256:${hex}`;
+};
+
+/**
+ * Whether a display value is an inline data: URI (e.g. a base64 icon). These
+ * stay in the package file only.
+ * @param {*} value - Field value
+ * @returns {boolean} True for inline data
+ */
+const isInlineData = (value) => typeof value === 'string' && value.startsWith('data:');
+
+/**
+ * Slim index entry for a package: display fields minus versions[] and inline
+ * data, plus the latest version and where to find the full entry. Yanked
+ * versions are passed over when picking the latest, unless every version is yanked.
+ * @param {object} pkg - Package entry from packages.json
+ * @param {string} path - Remote path of its package file
+ * @param {string} hash - Hash of its package file
+ * @returns {object} Index entry
+ */
+const createIndexEntry = (pkg, path, hash) => {
+    const {versions = [], ...display} = pkg;
+    const entry = {};
+    for (const [key, value] of Object.entries(display)) {
+        if (!isInlineData(value)) {
+            entry[key] = value;
+        }
+    }
+    const available = versions.filter(v => !v.yanked);
+    const latest = pickDisplayVersion((available.length > 0 ? available : versions).map(v => v.version));
+    return {
+        ...entry,
+        version: latest,
+        path,
+        hash
+    };
+};
+
+/**
+ * Generate the index and package files from a packages.json. Pure.
+ * @param {object} packagesJson - Full packages.json
+ * @returns {{index: object, files: Array<{path: string, content: string, hash: string}>}} Index and package files
+ */
+export const buildPackageIndex = (packagesJson) => {
+    const files = [];
+    const index = {
+        schemaVersion: PACKAGE_INDEX_SCHEMA_VERSION,
+        devices: [],
+        extensions: [],
+        delisted: getDelisted(packagesJson)
+    };
+
+    const sections = [
+        ['devices', 'deviceId', getDevices(packagesJson)],
+        ['extensions', 'extensionId', getExtensions(packagesJson)]
+    ];
+    for (const [type, idField, packages] of sections) {
+        for (const pkg of packages) {
+            const path = packageFilePath(type, pkg[idField]);
+            const content = serialize(pkg);
+            const hash = hashContent(content);
+            files.push({path, content, hash});
+            index[type].push(createIndexEntry(pkg, path, hash));
+        }
+    }
+
+    return {index, files};
+};
+
+/**
+ * Package files whose content differs from what the previous index points at.
+ * @param {Array<object>} files - Files from buildPackageIndex()
+ * @param {object|null} previousIndex - Currently published index, if any
+ * @returns {Array<object>} Files that need uploading
+ */
+export const changedPackageFiles = (files, previousIndex) => {
+    const published = new Map();
+    for (const type of ['devices', 'extensions']) {
+        for (const entry of previousIndex?.[type] ?? []) {
+            published.set(entry.path, entry.hash);
+        }
+    }
+    return files.filter(file => published.get(file.path) !== file.hash);
+};
+
+/**
+ * Publish the index for a packages.json: changed package files first, then the
+ * index, so the index never points at a file that is not there yet. Each file
+ * is followed by its signature, since the hashes it lists are only as
+ * trustworthy as the index itself. Files of
+ * packages that left the index are kept, like their archives. Requires R2
+ * credentials.
+ * @param {object} packagesJson - Full packages.json being published
+ * @returns {Promise<{uploaded: number, unchanged: number}>} Package file counts
+ */
+export const publishPackageIndex = async (packagesJson) => {
+    const {index, files} = buildPackageIndex(packagesJson);
+    const changed = changedPackageFiles(files, await downloadJson(PACKAGE_INDEX_PATH));
+
+    for (const file of changed) {
+        await uploadBuffer(Buffer.from(file.content), file.path, 'application/json');
+        await uploadSignature(file.content, file.path);
+    }
+    const indexContent = serialize(index);
+    await uploadBuffer(Buffer.from(indexContent), PACKAGE_INDEX_PATH, 'application/json');
+    await uploadSignature(indexContent, PACKAGE_INDEX_PATH);
+
+    logger.info(`Package index: ${changed.length} package file(s) updated, ${files.length - changed.length} unchanged`);
+    return {
+        uploaded: changed.length,
+        unchanged: files.length - changed.length
+    };
+};
+
+export default {
+    PACKAGE_INDEX_DIR,
+    PACKAGE_INDEX_PATH,
+    PACKAGE_INDEX_SCHEMA_VERSION,
+    packageFilePath,
+    buildPackageIndex,
+    changedPackageFiles,
+    publishPackageIndex
+};
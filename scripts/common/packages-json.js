@@ -7,6 +7,7 @@ import path from 'path';
 import {fileURLToPath} from 'url';
 import logger from './logger.js';
 import {LIMITS} from './limits.js';
+import {compareSemver, isPrerelease, pickDisplayVersion} from './semver.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PACKAGES_JSON_PATH = path.resolve(__dirname, '../../packages.json');
@@ -17,22 +18,53 @@ const REGISTRY_URL = 'https://registry.openblock.cc/packages.json';
  * All other fields from a package entry are treated as display fields
  * at the top level of the package object.
  */
-const VERSION_FIELDS = ['version', 'url', 'archiveFileName', 'checksum', 'size'];
+const VERSION_FIELDS = [
+    'version',
+    'channel',
+    'commitSha',
+    'committedAt',
+    'publishedAt',
+    'engines',
+    'releaseNotes',
+    'url',
+    'sbomUrl',
+    'archiveFileName',
+    'checksum',
+    'size'
+];
 
 /**
- * Compare two version strings (X.Y.Z) for descending sort.
- * @param {string} a - Version A
- * @param {string} b - Version B
+ * Compare two version entries by semver precedence for descending sort.
+ * @param {{version: string}} a - Version entry A
+ * @param {{version: string}} b - Version entry B
  * @returns {number} Positive if b > a (sorts b before a)
  */
-const compareVersionDesc = (a, b) => {
-    const [aMajor, aMinor, aPatch] = a.version.split('.').map(Number);
-    const [bMajor, bMinor, bPatch] = b.version.split('.').map(Number);
-    if (bMajor !== aMajor) return bMajor - aMajor;
-    if (bMinor !== aMinor) return bMinor - aMinor;
-    return bPatch - aPatch;
+const compareVersionDesc = (a, b) => compareSemver(b.version, a.version);
+
+/**
+ * Bound a package's versions[]: the newest LIMITS.maxVersionsPerPackage stable
+ * versions and, separately, the newest LIMITS.maxPrereleaseVersionsPerPackage
+ * prereleases. Stable versions are never evicted to make room for betas.
+ * @param {Array<{version: string}>} versions - Version entries
+ * @returns {Array<{version: string}>} Kept entries, newest first by semver precedence
+ */
+const capVersions = versions => {
+    const sorted = [...versions].sort(compareVersionDesc);
+    const stable = sorted.filter(v => !isPrerelease(v.version)).slice(0, LIMITS.maxVersionsPerPackage);
+    const prerelease = sorted.filter(v => isPrerelease(v.version)).slice(0, LIMITS.maxPrereleaseVersionsPerPackage);
+    return [...stable, ...prerelease].sort(compareVersionDesc);
 };
 
+/**
+ * Latest publish time among a package's versions, exposed as its `updatedAt`.
+ * @param {Array<{publishedAt: string}>} versions - Version entries
+ * @returns {string|null} ISO timestamp, or null if no version records one
+ */
+const latestPublishedAt = (versions) => versions.map(v => v.publishedAt)
+    .filter(Boolean)
+    .sort()
+    .pop() ?? null;
+
 /**
  * Create empty packages.json structure
  * @returns {object} Empty packages structure
@@ -224,9 +256,14 @@ export const findPackageVersion = (packages, id, version) => {
  * download entries. This function performs an upsert:
  *   - If the package ID already exists: upserts the version entry inside
  *     versions[], and updates top-level display fields only when the incoming
- *     version is newer than the current latest.
+ *     version is the newest stable one. Prerelease versions (channel != stable)
+ *     never replace the display of a package that has a stable release.
  *   - If the package ID is new: creates a new top-level entry.
  *
+ * versions[] is ordered newest first by semver precedence, prereleases
+ * included, so a beta of the next release comes before the current stable
+ * version. Clients pick the version to offer by `channel`, not by position.
+ *
  * @param {object} packagesJson - Packages JSON data
  * @param {string} type - Package type ('devices' or 'extensions')
  * @param {object} packageData - Full package data (display fields + version fields combined)
@@ -260,27 +297,29 @@ export const addPackageVersion = (packagesJson, type, packageData) => {
         } else {
             versions.push(versionEntry);
         }
-        // Keep only the newest N versions so packages.json stays bounded (R2.3).
-        existing.versions = versions.sort(compareVersionDesc).slice(0, LIMITS.maxVersionsPerPackage);
+        // Keep only the newest versions so packages.json stays bounded (R2.3).
+        existing.versions = capVersions(versions);
 
         // Rebuild the top-level object from displayData (never from the old
         // existing object) to avoid VERSION_FIELDS leaking into the root.
-        // Only use the incoming displayData when its version is the new latest,
-        // so top-level display fields always reflect the latest release.
-        const currentLatest = existing.versions[0].version;
-        const isNewest = compareVersionDesc(
-            {version: versionEntry.version},
-            {version: currentLatest}
-        ) <= 0;
-
+        // Only use the incoming displayData when its version is the display
+        // version (newest stable, or newest prerelease while no stable exists),
+        // so a beta can never rename or re-icon a package for every user.
+        const displayVersion = pickDisplayVersion(existing.versions.map(v => v.version));
+        const isNewest = versionEntry.version === displayVersion;
+
+        const {updatedAt: _updatedAt, ...root} = isNewest ? displayData : existing;
+        const updatedAt = latestPublishedAt(existing.versions);
         packages[existingIndex] = {
-            ...(isNewest ? displayData : existing),
+            ...root,
             [idField]: id,
+            ...(updatedAt ? {updatedAt} : {}),
             versions: existing.versions
         };
     } else {
         // New package: create top-level entry with display fields and versions[]
-        packages.push({...displayData, versions: [versionEntry]});
+        const updatedAt = latestPublishedAt([versionEntry]);
+        packages.push({...displayData, ...(updatedAt ? {updatedAt} : {}), versions: [versionEntry]});
 
         // Keep packages sorted by ID ascending
         packages.sort((a, b) => {
@@ -339,6 +378,265 @@ export const applyRecommendedFlags = (packagesJson, allowlist) => {
     };
 };
 
+/**
+ * Apply the registry's yanked list as per-version `yanked`/`yankedReason` markers
+ * on every device and extension.
+ *
+ * Like `recommended`, yanking is registry-owned: a version is yanked iff its
+ * package `repository` URL and version appear in registry.json's `yanked` block.
+ * The entry is marked rather than removed: a removed version would look unsynced
+ * to calculateDiff and be rebuilt on the next run, while a marked one keeps its
+ * download so clients can warn users who already installed it. Removing the
+ * registry entry un-yanks the version on the next sync.
+ *
+ * @param {object} packagesJson - Packages JSON data
+ * @param {Array<{repository: string, version: string, reason: string}>} yanked - Yanked versions from registry.json
+ * @returns {{packagesJson: object, changed: boolean}} Updated packages and whether any marker changed
+ */
+export const applyYankedVersions = (packagesJson, yanked) => {
+    let changed = false;
+    const reasons = new Map(yanked.map(item => [`${item.repository}@${item.version}`, item.reason]));
+
+    const applyToVersion = (repository, entry) => {
+        const reason = reasons.get(`${repository}@${entry.version}`);
+        const {yanked: wasYanked, yankedReason: previousReason, ...rest} = entry;
+        if (typeof reason === 'undefined') {
+            if (wasYanked) {
+                changed = true;
+            }
+            return rest;
+        }
+        if (!wasYanked || previousReason !== reason) {
+            changed = true;
+        }
+        return {...rest, yanked: true, yankedReason: reason};
+    };
+
+    const applyToList = list => list.map(pkg => ({
+        ...pkg,
+        versions: (pkg.versions || []).map(entry => applyToVersion(pkg.repository, entry))
+    }));
+
+    const devices = applyToList(getDevices(packagesJson));
+    const extensions = applyToList(getExtensions(packagesJson));
+
+    return {
+        packagesJson: {
+            ...packagesJson,
+            packages: {
+                ...packagesJson.packages,
+                devices,
+                extensions
+            }
+        },
+        changed
+    };
+};
+
+/**
+ * Get delisting tombstones from packages.json
+ * @param {object} packagesJson - Packages JSON data
+ * @returns {Array<{type: string, id: string, repository: string, reason: string, delistedAt: string}>} Tombstones
+ */
+export const getDelisted = (packagesJson) => {
+    return packagesJson?.packages?.delisted ?? [];
+};
+
+/**
+ * Delist every device and extension whose repository is no longer registered in
+ * registry.json, leaving a tombstone in `packages.delisted`.
+ *
+ * Registration is registry-owned like `recommended`: removing a URL from
+ * registry.json must take the package out of the index, otherwise merging the
+ * published baseline would keep it forever. The tombstone ({type, id,
+ * repository, reason, delistedAt}) lets clients warn users who still have the
+ * package installed. An id that is registered and published again drops its
+ * tombstone.
+ *
+ * @param {object} packagesJson - Packages JSON data being assembled
+ * @param {{devices: Set<string>, extensions: Set<string>}} registered - Registered repository URLs by type
+ * @param {object} [baseline] - Previously published packages.json; its packages and tombstones are
+ *     also considered, so a from-scratch rebuild still delists and keeps history
+ * @param {string} [now] - ISO timestamp recorded on new tombstones
+ * @returns {{packagesJson: object, delisted: Array<object>, changed: boolean}} Updated packages, new tombstones, and
+ *     whether anything changed
+ */
+export const delistUnregisteredPackages = (packagesJson, registered, baseline = packagesJson, now = new Date().toISOString()) => {
+    const tombstones = new Map();
+    for (const tombstone of [...getDelisted(baseline), ...getDelisted(packagesJson)]) {
+        tombstones.set(`${tombstone.type}:${tombstone.id}`, tombstone);
+    }
+
+    const delisted = [];
+    const lists = {};
+    let removedPackages = 0;
+
+    for (const type of ['devices', 'extensions']) {
+        const idField = type === 'devices' ? 'deviceId' : 'extensionId';
+        const isRegistered = pkg => registered[type].has(pkg.repository);
+        const list = packagesJson?.packages?.[type] ?? [];
+        const baselineList = baseline?.packages?.[type] ?? [];
+
+        lists[type] = list.filter(isRegistered);
+        removedPackages += list.length - lists[type].length;
+
+        for (const pkg of [...list, ...baselineList]) {
+            const key = `${type}:${pkg[idField]}`;
+            if (isRegistered(pkg) || tombstones.has(key)) {
+                continue;
+            }
+            const tombstone = {
+                type,
+                id: pkg[idField],
+                repository: pkg.repository,
+                reason: `Repository ${pkg.repository} is no longer listed in registry.json`,
+                delistedAt: now
+            };
+            tombstones.set(key, tombstone);
+            delisted.push(tombstone);
+        }
+
+        for (const pkg of lists[type]) {
+            tombstones.delete(`${type}:${pkg[idField]}`);
+        }
+    }
+
+    const sortedTombstones = [...tombstones.values()].sort((a, b) =>
+        a.type.localeCompare(b.type) || a.id.localeCompare(b.id)
+    );
+
+    return {
+        packagesJson: {
+            ...packagesJson,
+            packages: {
+                ...packagesJson.packages,
+                devices: lists.devices,
+                extensions: lists.extensions,
+                delisted: sortedTombstones
+            }
+        },
+        delisted,
+        changed: removedPackages > 0 || delisted.length > 0 ||
+            sortedTombstones.length !== getDelisted(packagesJson).length
+    };
+};
+
+/**
+ * Check that every extension a device bundles (the ids in its `extensions`
+ * display field) is a published extension. A device pointing at an extension
+ * that never existed, or that was delisted, gets default extensions that
+ * silently fail to load in the GUI.
+ * @param {object} packagesJson - Packages JSON data
+ * @param {Iterable<string>} [pendingIds] - Extension ids that will be published alongside (e.g. added in the same PR)
+ * @returns {Array<{deviceId: string, repository: string, version: string, extensionId: *, reason: string}>} Broken
+ *     references (version is the device's display version), reason 'unknown' or 'delisted'
+ */
+export const findBrokenExtensionRefs = (packagesJson, pendingIds = []) => {
+    const published = new Set([...getExtensions(packagesJson).map(pkg => pkg.extensionId), ...pendingIds]);
+    const delisted = new Set(getDelisted(packagesJson)
+        .filter(item => item.type === 'extensions')
+        .map(item => item.id));
+
+    const broken = [];
+    for (const device of getDevices(packagesJson)) {
+        if (!Array.isArray(device.extensions)) {
+            continue;
+        }
+        for (const extensionId of device.extensions) {
+            if (published.has(extensionId)) {
+                continue;
+            }
+            broken.push({
+                deviceId: device.deviceId,
+                repository: device.repository,
+                version: pickDisplayVersion((device.versions ?? []).map(v => v.version)),
+                extensionId,
+                reason: delisted.has(extensionId) ? 'delisted' : 'unknown'
+            });
+        }
+    }
+    return broken;
+};
+
+/**
+ * Toolchain ids a device declares in `openblock.toolchains`. The CLI takes a
+ * single id; a list is accepted for devices that need several.
+ * @param {*} toolchains - The device's toolchains field
+ * @returns {string[]} Toolchain ids (empty if none declared)
+ */
+export const getToolchainIds = (toolchains) => {
+    if (typeof toolchains === 'string') {
+        return toolchains ? [toolchains] : [];
+    }
+    return Array.isArray(toolchains) ? toolchains.filter(id => typeof id === 'string' && id) : [];
+};
+
+/**
+ * Check that every toolchain a device uses (its `toolchains` display field) is
+ * published in the toolchains section with a system for each platform. A device
+ * pointing at a misspelled toolchain, or one missing a host, fails only when a
+ * user on that platform tries to upload code.
+ * Platforms are covered by any published version of the toolchain.
+ * Without a toolchains section (the baseline packages.json could not be
+ * loaded) nothing can be checked, and no gaps are reported.
+ * @param {object} packagesJson - Packages JSON data
+ * @param {string[]} platforms - Hosts every toolchain must have a system for (OPENBLOCK_PLATFORMS)
+ * @returns {Array<{deviceId: string, repository: string, version: string, toolchainId: string, reason: string,
+ *     missingPlatforms: string[]}>} Gaps (version is the device's display version), reason 'unknown' (every
+ *     platform missing) or 'incomplete'
+ */
+export const findToolchainGaps = (packagesJson, platforms) => {
+    if (!Array.isArray(packagesJson?.packages?.toolchains)) {
+        return [];
+    }
+
+    const hostsById = new Map();
+    for (const toolchain of getToolchains(packagesJson)) {
+        const hosts = hostsById.get(toolchain.id) ?? new Set();
+        for (const system of toolchain.systems ?? []) {
+            hosts.add(system.host);
+        }
+        hostsById.set(toolchain.id, hosts);
+    }
+
+    const gaps = [];
+    for (const device of getDevices(packagesJson)) {
+        for (const toolchainId of getToolchainIds(device.toolchains)) {
+            const hosts = hostsById.get(toolchainId);
+            const missingPlatforms = platforms.filter(platform => !hosts?.has(platform));
+            if (missingPlatforms.length === 0) {
+                continue;
+            }
+            gaps.push({
+                deviceId: device.deviceId,
+                repository: device.repository,
+                version: pickDisplayVersion((device.versions ?? []).map(v => v.version)),
+                toolchainId,
+                reason: hosts ? 'incomplete' : 'unknown',
+                missingPlatforms
+            });
+        }
+    }
+    return gaps;
+};
+
+/**
+ * Remove every device and extension published from the given repositories.
+ * Used by a scoped --rebuild so the selected plugins are republished from
+ * scratch while the rest of packages.json is left as it is.
+ * @param {object} packagesJson - Packages JSON data
+ * @param {Set<string>} repoUrls - Repository URLs whose packages are removed
+ * @returns {object} Updated packages JSON
+ */
+export const removePackagesByRepository = (packagesJson, repoUrls) => ({
+    ...packagesJson,
+    packages: {
+        ...packagesJson.packages,
+        devices: getDevices(packagesJson).filter(pkg => !repoUrls.has(pkg.repository)),
+        extensions: getExtensions(packagesJson).filter(pkg => !repoUrls.has(pkg.repository))
+    }
+});
+
 /**
  * Update devices in packages.json
  * @param {object} packagesJson - Packages JSON data
@@ -387,6 +685,13 @@ export default {
     findPackageVersion,
     addPackageVersion,
     applyRecommendedFlags,
+    applyYankedVersions,
+    getDelisted,
+    delistUnregisteredPackages,
+    findBrokenExtensionRefs,
+    getToolchainIds,
+    findToolchainGaps,
+    removePackagesByRepository,
     updateDevices,
     updateExtensions
 };
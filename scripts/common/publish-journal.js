@@ -0,0 +1,163 @@
+/**
+ * Publish journal for the upload phase.
+ *
+ * The upload phase performs many side effects (icon and zip uploads per built
+ * version, then packages.json, translations, Transifex and issues). A crash in
+ * the middle used to leave zips on R2 with no packages.json entry and no record
+ * of what had been done. The journal, kept as publish-journal.json next to
+ * build-result.json in the artifact directory, records every completed step, so
+ * re-running `--phase=upload` on the same artifact resumes where it stopped
+ * instead of publishing twice.
+ *
+ * The journal is a plain JSON object:
+ *   {
+ *     records: {'<type>/<id>/<version>': {<step>: <result data>}},
+ *     steps: {<run-level step>: <ISO timestamp>}
+ *   }
+ * A run-level step that publishes a document (packages.json, the search index)
+ * is keyed by the document's hash (contentStep), so it counts as done only for
+ * the exact content that was uploaded; different content is published again.
+ * Helpers here are pure except readJournal/writeJournal, which do the file I/O.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const JOURNAL_FILENAME = 'publish-journal.json';
+
+/**
+ * Path to the journal inside an artifact directory.
+ * @param {string} artifactDir - Root artifact directory
+ * @returns {string} Absolute journal path
+ */
+export const journalPath = (artifactDir) => path.join(artifactDir, JOURNAL_FILENAME);
+
+/**
+ * Create an empty journal.
+ * @returns {object} Empty journal
+ */
+export const createEmptyJournal = () => ({
+    records: {},
+    steps: {}
+});
+
+/**
+ * Read the journal of a previous upload attempt, or an empty one if there was none.
+ * @param {string} artifactDir - Root artifact directory
+ * @returns {Promise<object>} Journal
+ */
+export const readJournal = async (artifactDir) => {
+    try {
+        const journal = JSON.parse(await fs.readFile(journalPath(artifactDir), 'utf-8'));
+        return {
+            records: journal.records ?? {},
+            steps: journal.steps ?? {}
+        };
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return createEmptyJournal();
+        }
+        throw err;
+    }
+};
+
+/**
+ * Persist the journal. Written to a temp file and renamed, so a crash while
+ * writing never leaves a truncated journal behind.
+ * @param {string} artifactDir - Root artifact directory
+ * @param {object} journal - Journal to write
+ * @returns {Promise<void>} Resolves once written
+ */
+export const writeJournal = async (artifactDir, journal) => {
+    const target = journalPath(artifactDir);
+    const tmp = `${target}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(journal, null, 2), 'utf-8');
+    await fs.rename(tmp, target);
+};
+
+/**
+ * Remove the journal, e.g. when a new build is written into the same directory
+ * and the old progress no longer applies.
+ * @param {string} artifactDir - Root artifact directory
+ * @returns {Promise<void>} Resolves once removed
+ */
+export const clearJournal = async (artifactDir) => {
+    await fs.rm(journalPath(artifactDir), {force: true});
+};
+
+/**
+ * Journal key of a build record.
+ * @param {{type: string, id: string, version: string}} record - Build record
+ * @returns {string} Key ('<type>/<id>/<version>')
+ */
+export const recordKey = (record) => `${record.type}/${record.id}/${record.version}`;
+
+/**
+ * Result data of a completed per-record step.
+ * @param {object} journal - Journal
+ * @param {string} key - Record key from recordKey()
+ * @param {string} step - Step name (e.g. 'icons', 'zip')
+ * @returns {object|null} Stored data, or null if the step has not completed
+ */
+export const getRecordStep = (journal, key, step) => journal.records[key]?.[step] ?? null;
+
+/**
+ * Record a completed per-record step. Mutates and returns the journal.
+ * @param {object} journal - Journal
+ * @param {string} key - Record key from recordKey()
+ * @param {string} step - Step name
+ * @param {object} data - Result needed to skip the step on resume
+ * @returns {object} The journal
+ */
+export const markRecordStep = (journal, key, step, data) => {
+    journal.records[key] = {...journal.records[key], [step]: data};
+    return journal;
+};
+
+/**
+ * Whether a run-level step (e.g. 'packages.json') has completed.
+ * @param {object} journal - Journal
+ * @param {string} step - Step name
+ * @returns {boolean} True if done
+ */
+export const isStepDone = (journal, step) => Object.prototype.hasOwnProperty.call(journal.steps, step);
+
+/**
+ * Name of a run-level step that publishes `content`, keyed by its SHA-256.
+ * @param {string} step - Step name (e.g. 'packages.json')
+ * @param {object} content - Document the step publishes
+ * @returns {string} Step name ('<step>@sha256:<hex>')
+ */
+export const contentStep = (step, content) => {
+    const hex = crypto.createHash('sha256').update(JSON.stringify(content))
+        .digest('hex');
+    return `${step}@sha256:${hex}`;
+};
+
+/**
+ * Record a completed run-level step. Mutates and returns the journal.
+ * @param {object} journal - Journal
+ * @param {string} step - Step name
+ * @param {string} [now] - ISO timestamp
+ * @returns {object} The journal
+ */
+export const markStepDone = (journal, step, now = new Date().toISOString()) => {
+    journal.steps[step] = now;
+    return journal;
+};
+
+export default {
+    JOURNAL_FILENAME,
+    journalPath,
+    createEmptyJournal,
+    readJournal,
+    writeJournal,
+    clearJournal,
+    recordKey,
+    getRecordStep,
+    markRecordStep,
+    isStepDone,
+    contentStep,
+    markStepDone
+};
@@ -154,6 +154,13 @@ export const getPublicUrl = (remotePath) => {
     return `${R2_PUBLIC_URL}/${remotePath}`;
 };
 
+/**
+ * Serialize JSON exactly as uploadJson() stores it, e.g. to sign the uploaded bytes.
+ * @param {object} data - JSON data
+ * @returns {string} Serialized JSON
+ */
+export const serializeJson = (data) => JSON.stringify(data, null, 4);
+
 /**
  * Download and parse JSON from R2 via public URL
  * @param {string} remotePath - Remote path in R2 bucket
@@ -190,7 +197,7 @@ export const downloadJson = async (remotePath) => {
  */
 export const uploadJson = async (data, remotePath) => {
     const client = getClient();
-    const content = JSON.stringify(data, null, 4);
+    const content = serializeJson(data);
 
     const command = new PutObjectCommand({
         Bucket: R2_BUCKET,
@@ -211,6 +218,7 @@ export default {
     uploadBuffer,
     uploadFile,
     uploadJson,
+    serializeJson,
     downloadJson,
     deleteFile,
     fileExists,
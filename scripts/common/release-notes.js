@@ -0,0 +1,167 @@
+/**
+ * Per-version release notes.
+ *
+ * The build phase takes the GitHub release body for the version's tag or, when
+ * there is none, the matching section of CHANGELOG.md in the clone. Either way
+ * the text is plugin-controlled, so it is reduced to a safe Markdown subset and
+ * capped before it is published as `versions[].releaseNotes`: no raw HTML, no
+ * images (remote images are tracking pixels in a classroom), and only http(s)
+ * links.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {LIMITS} from './limits.js';
+
+/**
+ * Changelog file names looked up in the repository root, in order.
+ */
+export const CHANGELOG_FILES = ['CHANGELOG.md', 'changelog.md', 'Changelog.md'];
+
+const TRUNCATION_MARKER = '\n\n…';
+
+/**
+ * Whether a link target may be kept.
+ * @param {string} url - Link target
+ * @returns {boolean} True for http(s) URLs
+ */
+const isSafeUrl = (url) => /^https?:\/\//i.test(url);
+
+/**
+ * Whether a changelog heading is the one for a version. Matches the common
+ * forms: `1.2.0`, `v1.2.0`, `[1.2.0] - 2024-05-01`.
+ * @param {string} heading - Heading text (without the leading #s)
+ * @param {string} version - Version to look for
+ * @returns {boolean} True if the heading names the version
+ */
+const isVersionHeading = (heading, version) => {
+    const match = heading.trim().match(/^\[?v?([0-9][^\s\]]*)/i);
+    return Boolean(match) && match[1] === version.replace(/^v/i, '');
+};
+
+/**
+ * Extract the section of a changelog that describes a version: everything
+ * between its heading and the next heading of the same or a higher level.
+ * @param {string} changelog - CHANGELOG.md content
+ * @param {string} version - Version to extract
+ * @returns {string|null} Section body, or null if the version has no (or an empty) section
+ */
+export const extractChangelogSection = (changelog, version) => {
+    const lines = String(changelog).replace(/\r\n?/g, '\n')
+        .split('\n');
+    let start = -1;
+    let level = 0;
+    let end = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const heading = lines[i].match(/^(#{1,6})\s+(.*)$/);
+        if (!heading) {
+            continue;
+        }
+        if (start === -1) {
+            if (isVersionHeading(heading[2], version)) {
+                start = i + 1;
+                level = heading[1].length;
+            }
+        } else if (heading[1].length <= level) {
+            end = i;
+            break;
+        }
+    }
+
+    if (start === -1) {
+        return null;
+    }
+    return lines.slice(start, end).join('\n')
+        .trim() || null;
+};
+
+/**
+ * Reduce Markdown to the subset published in packages.json and cap its length.
+ * HTML tags and comments are dropped, images become their alt text, links to
+ * anything but http(s) become plain text, and the text is cut at a line break
+ * when it exceeds the cap.
+ * @param {string} markdown - Untrusted Markdown
+ * @param {number} [maxLength] - Maximum length in characters, truncation marker included
+ * @returns {string|null} Sanitized Markdown, or null if nothing is left
+ */
+export const sanitizeReleaseNotes = (markdown, maxLength = LIMITS.maxReleaseNotesChars) => {
+    if (typeof markdown !== 'string') {
+        return null;
+    }
+
+    let text = markdown
+        .replace(/\r\n?/g, '\n')
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+        .replace(/<!--[\s\S]*?(-->|$)/g, '')
+        // Autolinks first, so the tag pass below does not eat them.
+        .replace(/<([a-z][a-z0-9+.-]*:[^\s<>]*)>/gi, (whole, url) => (isSafeUrl(url) ? url : ''))
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        // Link targets may hold one level of parentheses: [x](javascript:f(1))
+        .replace(/!\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\(((?:[^()]|\([^()]*\))*)\)/g, (whole, label, target) => (isSafeUrl(target.trim()) ? whole : label))
+        // Reference-style link definitions pointing anywhere but http(s)
+        .replace(/^ {0,3}\[[^\]]+\]:\s*(\S+).*$/gm, (whole, url) => (isSafeUrl(url.replace(/^<|>$/g, '')) ? whole : ''))
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    if (text.length > maxLength) {
+        const budget = maxLength - TRUNCATION_MARKER.length;
+        const lineBreak = text.lastIndexOf('\n', budget);
+        text = `${text.slice(0, lineBreak > budget / 2 ? lineBreak : budget).trimEnd()}${TRUNCATION_MARKER}`;
+    }
+    return text || null;
+};
+
+/**
+ * Read the changelog from the root of a clone. The build has already run in the
+ * clone by then, so only a regular file is read: a symlink (or anything else)
+ * could point the read outside the clone.
+ * @param {string} sourceDir - Cloned repository
+ * @returns {Promise<string|null>} Changelog content, or null if there is none
+ */
+export const readChangelog = async (sourceDir) => {
+    for (const file of CHANGELOG_FILES) {
+        const filePath = path.join(sourceDir, file);
+        let stats;
+        try {
+            stats = await fs.lstat(filePath);
+        } catch {
+            // Try the next spelling
+            continue;
+        }
+        if (!stats.isFile()) {
+            throw new Error(`${file} must be a regular file inside the repository`);
+        }
+        return fs.readFile(filePath, 'utf-8');
+    }
+    return null;
+};
+
+/**
+ * Release notes for a version: the GitHub release body if it has any text,
+ * otherwise the version's CHANGELOG.md section.
+ * @param {object} sources - Where the notes may come from
+ * @param {string|null} [sources.releaseBody] - Body of the GitHub release for the tag
+ * @param {string|null} [sources.changelog] - CHANGELOG.md content at the tag
+ * @param {string} sources.version - Version being built
+ * @param {number} [maxLength] - Maximum length in characters
+ * @returns {string|null} Sanitized notes, or null if neither source has any
+ */
+export const resolveReleaseNotes = ({releaseBody = null, changelog = null, version}, maxLength = LIMITS.maxReleaseNotesChars) => {
+    const fromRelease = sanitizeReleaseNotes(releaseBody, maxLength);
+    if (fromRelease || !changelog) {
+        return fromRelease;
+    }
+    return sanitizeReleaseNotes(extractChangelogSection(changelog, version), maxLength);
+};
+
+export default {
+    CHANGELOG_FILES,
+    extractChangelogSection,
+    sanitizeReleaseNotes,
+    readChangelog,
+    resolveReleaseNotes
+};
@@ -0,0 +1,206 @@
+/**
+ * CycloneDX software bill of materials (SBOM) for published plugin versions,
+ * so "which plugins ship library X" can be answered across the registry when
+ * an advisory lands.
+ *
+ * The SBOM is generated while the version is staged, from the plugin's lockfile
+ * and what was actually installed in node_modules: a locked package is listed
+ * only if it was installed, with the version and license from its installed
+ * package.json. Dev dependencies are not installed and not listed. It is
+ * uploaded next to the zip and referenced as `sbomUrl` in the version entry.
+ *
+ * The document carries no timestamp or random serial number, so rebuilding the
+ * same version gives the same bytes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {findLockfile, listLockedPackages} from './lockfile-policy.js';
+
+export const SBOM_SPEC_VERSION = '1.5';
+export const SBOM_MEDIA_TYPE = 'application/vnd.cyclonedx+json';
+
+// Subresource Integrity algorithm names to CycloneDX hash algorithms.
+const INTEGRITY_ALGORITHMS = {
+    sha1: 'SHA-1',
+    sha256: 'SHA-256',
+    sha384: 'SHA-384',
+    sha512: 'SHA-512'
+};
+
+const SPDX_OPERATORS = new Set(['AND', 'OR', 'WITH']);
+
+/**
+ * Whether a license value reads as an SPDX expression: ids joined by AND, OR
+ * or WITH, optionally parenthesized (`SEE LICENSE IN <file>` does not).
+ * @param {string} value - License value
+ * @returns {boolean} True if it can be published as a CycloneDX expression
+ */
+const isSpdxExpression = value => {
+    const tokens = value.replace(/[()]/g, ' ').trim()
+        .split(/\s+/);
+    return tokens.length % 2 === 1 && tokens.every((token, index) => (index % 2 === 0 ?
+        /^[A-Za-z0-9.+-]+$/.test(token) && !SPDX_OPERATORS.has(token) :
+        SPDX_OPERATORS.has(token)));
+};
+
+/**
+ * Package URL of an npm package.
+ * @param {string} name - Package name, possibly scoped (`@scope/name`)
+ * @param {string} version - Version
+ * @returns {string} e.g. `pkg:npm/%40scope/name@1.0.0`
+ */
+export const npmPurl = (name, version) => {
+    const [scope, bare] = name.startsWith('@') ? name.split('/') : [null, name];
+    const namespace = scope ? `${encodeURIComponent(scope)}/` : '';
+    return `pkg:npm/${namespace}${encodeURIComponent(bare)}@${encodeURIComponent(version)}`;
+};
+
+/**
+ * CycloneDX hashes from an SRI integrity string.
+ * @param {string|null} integrity - e.g. `sha512-<base64>`
+ * @returns {Array<{alg: string, content: string}>} Hashes, hex encoded
+ */
+const integrityHashes = integrity => String(integrity ?? '')
+    .split(/\s+/)
+    .map(token => /^(sha\d+)-(.+)$/.exec(token))
+    .filter(match => match && INTEGRITY_ALGORITHMS[match[1]])
+    .map(match => ({alg: INTEGRITY_ALGORITHMS[match[1]], content: Buffer.from(match[2], 'base64').toString('hex')}));
+
+/**
+ * CycloneDX licenses from a package.json `license` value (SPDX expression,
+ * legacy `{type}` object or `licenses` array).
+ * @param {*} license - License value
+ * @returns {Array<object>} License choices (empty if unknown)
+ */
+const licenseChoices = license => {
+    const values = (Array.isArray(license) ? license : [license])
+        .map(value => (typeof value === 'object' && value !== null ? value.type : value))
+        .filter(value => typeof value === 'string' && value.trim());
+    if (values.length === 0) {
+        return [];
+    }
+    const expression = values.length > 1 ? values.map(value => `(${value.trim()})`).join(' OR ') : values[0].trim();
+    return isSpdxExpression(expression) ? [{expression}] : [{license: {name: expression}}];
+};
+
+/**
+ * Read the packages installed in a plugin directory: every non-dev package of
+ * its lockfile that is present in node_modules, with the installed version and
+ * license. Package directories that resolve outside the plugin (symlinks,
+ * crafted lockfile paths) are skipped.
+ * @param {string} pluginDir - Plugin directory, after the dependency install
+ * @returns {Promise<Array<object>>} Packages ({name, version, license, resolved, integrity})
+ */
+export const readInstalledPackages = async pluginDir => {
+    const lockPath = await findLockfile(pluginDir);
+    if (!lockPath) {
+        return [];
+    }
+    let lockfile;
+    try {
+        lockfile = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Cannot read ${path.basename(lockPath)} for the SBOM: ${err.message}`);
+    }
+
+    const root = await fs.realpath(pluginDir);
+    const installed = [];
+    for (const pkg of listLockedPackages(lockfile)) {
+        if (pkg.dev || pkg.link) {
+            continue;
+        }
+        let manifest;
+        try {
+            const dir = await fs.realpath(path.join(root, pkg.path));
+            if (!dir.startsWith(`${root}${path.sep}`)) {
+                continue;
+            }
+            manifest = JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf-8'));
+        } catch {
+            // Not installed (e.g. an optional dependency for another platform)
+            continue;
+        }
+        installed.push({
+            name: pkg.name,
+            version: typeof manifest.version === 'string' ? manifest.version : pkg.version,
+            license: manifest.license ?? manifest.licenses ?? pkg.license,
+            resolved: pkg.resolved,
+            integrity: pkg.integrity
+        });
+    }
+    return installed;
+};
+
+/**
+ * Build the CycloneDX document of a plugin version.
+ * @param {object} options - SBOM contents
+ * @param {string} options.id - Plugin id
+ * @param {string} options.version - Plugin version
+ * @param {string} options.repoUrl - Plugin repository URL (https://github.com/owner/repo)
+ * @param {string|null} [options.license] - SPDX id of the plugin
+ * @param {Array<object>} options.packages - Installed packages, from readInstalledPackages
+ * @returns {object} CycloneDX JSON document
+ */
+export const createSbom = ({id, version, repoUrl, license = null, packages}) => {
+    const [owner, repo] = new URL(repoUrl).pathname.split('/')
+        .filter(Boolean);
+    const pluginRef = `pkg:github/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}@${encodeURIComponent(version)}`;
+
+    const components = new Map();
+    for (const pkg of packages) {
+        const purl = npmPurl(pkg.name, pkg.version);
+        if (components.has(purl)) {
+            continue;
+        }
+        const [group, name] = pkg.name.startsWith('@') ? pkg.name.split('/') : [null, pkg.name];
+        const component = {'type': 'library', 'bom-ref': purl};
+        if (group) {
+            component.group = group;
+        }
+        Object.assign(component, {name, version: pkg.version, purl});
+        const hashes = integrityHashes(pkg.integrity);
+        if (hashes.length > 0) {
+            component.hashes = hashes;
+        }
+        const licenses = licenseChoices(pkg.license);
+        if (licenses.length > 0) {
+            component.licenses = licenses;
+        }
+        if (pkg.resolved) {
+            component.externalReferences = [{type: 'distribution', url: pkg.resolved}];
+        }
+        components.set(purl, component);
+    }
+    const sorted = [...components.values()].sort((a, b) => {
+        if (a.purl === b.purl) {
+            return 0;
+        }
+        return a.purl < b.purl ? -1 : 1;
+    });
+
+    const plugin = {'type': 'library', 'bom-ref': pluginRef, 'name': id, version, 'purl': pluginRef};
+    if (license) {
+        plugin.licenses = [{license: {id: license}}];
+    }
+    plugin.externalReferences = [{type: 'vcs', url: repoUrl}];
+
+    return {
+        bomFormat: 'CycloneDX',
+        specVersion: SBOM_SPEC_VERSION,
+        version: 1,
+        metadata: {
+            tools: {components: [{type: 'application', name: 'openblock-registry'}]},
+            component: plugin
+        },
+        components: sorted
+    };
+};
+
+export default {
+    SBOM_SPEC_VERSION,
+    SBOM_MEDIA_TYPE,
+    npmPurl,
+    readInstalledPackages,
+    createSbom
+};
@@ -0,0 +1,205 @@
+/**
+ * Multilingual search index on R2 (search-index.json).
+ *
+ * A package's name and description are usually formatMessage descriptors
+ * ({formatMessage: {id, default}}), so searching the raw display fields only
+ * ever finds the English defaults. The index resolves them per locale, from the
+ * package's own `l10n` strings and the merged interface translations of every
+ * locale (translation-merger.js), and stores the tokens of each locale
+ * next to the resolved text. Language-neutral keywords (id, tags, manufacturer)
+ * are kept once per package.
+ *
+ * Clients tokenize the query with tokenize() for the user's locale and match it
+ * against that locale's tokens, the English tokens and the keywords.
+ *
+ * Generated by the packages sync upload phase, never edited on its own.
+ */
+
+import {uploadBuffer} from './r2-client.js';
+import {uploadSignature} from './signing.js';
+import {getDevices, getExtensions} from './packages-json.js';
+import logger from './logger.js';
+
+export const SEARCH_INDEX_PATH = 'search-index.json';
+
+/** Bumped on any incompatible change to the index layout. */
+export const SEARCH_INDEX_SCHEMA_VERSION = 1;
+
+/** Locale whose text every package has (the formatMessage defaults). */
+const DEFAULT_LOCALE = 'en';
+
+/** Display fields resolved per locale. */
+const TEXT_FIELDS = ['name', 'description'];
+
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+/**
+ * Split text into lowercase search tokens for a locale. Words come from
+ * Intl.Segmenter; runs of CJK characters also yield their single characters and
+ * bigrams, so a query matches even where the segmenter split a compound word
+ * differently. Accented words are also indexed without their accents.
+ * @param {string} text - Text to tokenize
+ * @param {string} [locale] - Locale of the text
+ * @returns {string[]} Sorted, unique tokens
+ */
+export const tokenize = (text, locale = DEFAULT_LOCALE) => {
+    if (typeof text !== 'string' || !text) {
+        return [];
+    }
+    const normalized = text.normalize('NFKC').toLocaleLowerCase(locale);
+    const tokens = new Set();
+
+    const segmenter = new Intl.Segmenter(locale, {granularity: 'word'});
+    for (const {segment, isWordLike} of segmenter.segment(normalized)) {
+        if (!isWordLike) {
+            continue;
+        }
+        tokens.add(segment);
+        const folded = segment.normalize('NFD').replace(/\p{M}/gu, '');
+        if (folded && folded !== segment) {
+            tokens.add(folded);
+        }
+    }
+
+    for (const run of normalized.match(CJK_RUN) ?? []) {
+        const chars = [...run];
+        chars.forEach((char, i) => {
+            tokens.add(char);
+            if (i > 0) {
+                tokens.add(chars[i - 1] + char);
+            }
+        });
+    }
+
+    return [...tokens].sort();
+};
+
+/**
+ * Resolve a display value for a locale.
+ * @param {*} value - Display field value: a string or a formatMessage descriptor
+ * @param {string} locale - Locale to resolve for
+ * @param {object} l10n - The package's l10n strings ({locale: {id: string}})
+ * @param {object} mergedMessages - Merged interface translations ({locale: {id: string}})
+ * @returns {string|null} Text, or null if the value has none for this locale
+ */
+const resolveText = (value, locale, l10n, mergedMessages) => {
+    if (typeof value === 'string') {
+        return locale === DEFAULT_LOCALE ? value : null;
+    }
+    const descriptor = value?.formatMessage;
+    if (!descriptor?.id) {
+        return null;
+    }
+    for (const messages of [l10n?.[locale], mergedMessages?.[locale]]) {
+        const localized = messages?.[descriptor.id];
+        if (typeof localized === 'string' && localized) {
+            return localized;
+        }
+    }
+    return locale === DEFAULT_LOCALE ? descriptor.default || null : null;
+};
+
+/**
+ * Search entry for a package.
+ * @param {string} type - 'devices' or 'extensions'
+ * @param {string} id - Package id
+ * @param {object} pkg - Package entry from packages.json
+ * @param {object} mergedMessages - Merged interface translations ({locale: {id: string}})
+ * @returns {object} Entry ({type, id, keywords, text: {locale: {name, description}}, tokens: {locale: [...]}})
+ */
+const createSearchEntry = (type, id, pkg, mergedMessages) => {
+    const locales = new Set([DEFAULT_LOCALE, ...Object.keys(pkg.l10n ?? {}), ...Object.keys(mergedMessages)]);
+    const text = {};
+    const tokens = {};
+
+    for (const locale of [...locales].sort()) {
+        const fields = {};
+        for (const field of TEXT_FIELDS) {
+            const resolved = resolveText(pkg[field], locale, pkg.l10n, mergedMessages);
+            if (resolved) {
+                fields[field] = resolved;
+            }
+        }
+        if (Object.keys(fields).length === 0) {
+            continue;
+        }
+        text[locale] = fields;
+        tokens[locale] = tokenize(Object.values(fields).join('\n'), locale);
+    }
+
+    const keywordSources = [id, ...(Array.isArray(pkg.tags) ? pkg.tags : [])];
+    if (typeof pkg.manufactor === 'string') {
+        keywordSources.push(pkg.manufactor);
+    }
+
+    return {
+        type,
+        id,
+        keywords: tokenize(keywordSources.join(' ')),
+        text,
+        tokens
+    };
+};
+
+/**
+ * Merged interface messages by locale: English from interface/en.json, other locales from the merged l10n.
+ * @param {object} translations - Merged translations ({interface: {id: {message}}, l10n: {locale: {id: string}}})
+ * @returns {object} Messages ({locale: {id: string}})
+ */
+const getMergedMessages = translations => {
+    const english = {};
+    for (const [messageId, entry] of Object.entries(translations?.interface ?? {})) {
+        if (typeof entry?.message === 'string') {
+            english[messageId] = entry.message;
+        }
+    }
+    return {...(translations?.l10n ?? {}), [DEFAULT_LOCALE]: english};
+};
+
+/**
+ * Generate the search index for a packages.json. Pure.
+ * @param {object} packagesJson - Full packages.json
+ * @param {object} [translations] - Merged translations; `interface` (English) and `l10n` (other locales) are used
+ * @returns {object} Search index ({schemaVersion, locales, packages})
+ */
+export const buildSearchIndex = (packagesJson, translations = {}) => {
+    const mergedMessages = getMergedMessages(translations);
+    const packages = [
+        ...getDevices(packagesJson).map(pkg => createSearchEntry('devices', pkg.deviceId, pkg, mergedMessages)),
+        ...getExtensions(packagesJson).map(pkg => createSearchEntry('extensions', pkg.extensionId, pkg, mergedMessages))
+    ];
+    const locales = new Set(packages.flatMap(entry => Object.keys(entry.text)));
+
+    return {
+        schemaVersion: SEARCH_INDEX_SCHEMA_VERSION,
+        locales: [...locales].sort(),
+        packages
+    };
+};
+
+/**
+ * Generate and upload the search index and its signature. Requires R2
+ * credentials.
+ * @param {object} packagesJson - Full packages.json that was just published
+ * @param {object} translations - Merged translations by category
+ * @returns {Promise<{packages: number, locales: number}>} Index size
+ */
+export const publishSearchIndex = async (packagesJson, translations) => {
+    const index = buildSearchIndex(packagesJson, translations);
+    const content = Buffer.from(JSON.stringify(index));
+    await uploadBuffer(content, SEARCH_INDEX_PATH, 'application/json');
+    await uploadSignature(content, SEARCH_INDEX_PATH);
+    logger.info(`Search index: ${index.packages.length} package(s) in ${index.locales.length} locale(s)`);
+    return {
+        packages: index.packages.length,
+        locales: index.locales.length
+    };
+};
+
+export default {
+    SEARCH_INDEX_PATH,
+    SEARCH_INDEX_SCHEMA_VERSION,
+    tokenize,
+    buildSearchIndex,
+    publishSearchIndex
+};
@@ -0,0 +1,420 @@
+/**
+ * Static security scan of a built plugin (the dist/ directory, before it is
+ * zipped and published).
+ *
+ * Every JavaScript file is parsed with @babel/parser and checked for patterns a
+ * block plugin running on a student's machine has no business using:
+ *   - code from strings: eval, new Function, string timers
+ *   - code from elsewhere: import() of remote or computed specifiers,
+ *     importScripts, remote workers, injected <script> elements, document.write
+ *   - hard-coded network endpoints: fetch, XMLHttpRequest, WebSocket,
+ *     EventSource and sendBeacon to a literal http(s)/ws(s) URL
+ *   - Node.js process and file system access: child_process, fs
+ *   - obfuscated code: javascript-obfuscator style _0x identifiers and
+ *     escape-encoded strings
+ *
+ * Findings are ranked low < medium < high < critical. The build phase refuses a
+ * version with any finding at or above the block severity and lists the rest in
+ * the sync report. This is a first line of defence against the obvious, not a
+ * sandbox: code written to evade it will.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {parse} from '@babel/parser';
+
+/** Severities, lowest first. */
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/** Findings at or above this severity block a version unless the sync says otherwise. */
+export const DEFAULT_BLOCK_SEVERITY = 'high';
+
+/** Files parsed as JavaScript. */
+const SCANNED_EXTENSIONS = new Set(['.js', '.mjs', '.cjs']);
+
+/** Larger files are reported as unscanned instead of parsed. */
+const MAX_SCANNED_FILE_BYTES = 5 * 1024 * 1024;
+
+/** Node.js modules a plugin must not load, by severity. */
+const NODE_MODULE_SEVERITY = {
+    'child_process': 'critical',
+    'fs': 'high',
+    'fs/promises': 'high',
+    'original-fs': 'high'
+};
+
+/** Distinct _0x identifiers in a file from which it counts as obfuscated. */
+const OBFUSCATED_IDENTIFIER_THRESHOLD = 10;
+const OBFUSCATED_IDENTIFIER = /^_0x[0-9a-f]{4,}$/i;
+
+/** Escape sequences in string literals from which a file counts as obfuscated... */
+const ESCAPED_STRING_THRESHOLD = 100;
+/** ...when they also make up at least this share of its string literal source. */
+const ESCAPED_STRING_RATIO = 0.5;
+const STRING_ESCAPE = /\\x[0-9a-f]{2}|\\u[0-9a-f]{4}|\\u\{[0-9a-f]+\}/gi;
+
+/** Callee prefixes that name the global object. */
+const GLOBAL_PREFIX = /^(?:window|self|globalThis|global)\./;
+
+const REMOTE_URL = /^(?:https?|wss?):\/\/([^/?#\s'"`]+)/i;
+
+/** AST keys that never hold child nodes worth visiting. */
+const SKIPPED_KEYS = new Set(['loc', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+const PARSE_OPTIONS = {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowSuperOutsideMethod: true,
+    allowUndeclaredExports: true,
+    plugins: ['jsx']
+};
+
+/**
+ * Rank of a severity, for comparisons.
+ * @param {string} severity - One of SEVERITIES
+ * @returns {number} Index in SEVERITIES (-1 if unknown)
+ */
+export const severityRank = severity => SEVERITIES.indexOf(severity);
+
+/**
+ * Whether a value is an AST node.
+ * @param {*} value - Value to test
+ * @returns {boolean} True for objects with a string `type`
+ */
+const isNode = value => Boolean(value) && typeof value === 'object' && typeof value.type === 'string';
+
+/**
+ * Visit every node of an AST. Iterative, so deeply nested minified code cannot
+ * overflow the stack.
+ * @param {object} root - Root node
+ * @param {function(object): void} visit - Called once per node
+ */
+const walk = (root, visit) => {
+    const stack = [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        visit(node);
+        for (const key of Object.keys(node)) {
+            if (SKIPPED_KEYS.has(key)) {
+                continue;
+            }
+            const value = node[key];
+            if (Array.isArray(value)) {
+                for (const child of value) {
+                    if (isNode(child)) {
+                        stack.push(child);
+                    }
+                }
+            } else if (isNode(value)) {
+                stack.push(value);
+            }
+        }
+    }
+};
+
+/**
+ * Statically known text of an expression: a string literal, or the leading
+ * constant part of a template literal or string concatenation (enough to see a
+ * URL's host).
+ * @param {object} node - Expression node
+ * @returns {{value: string, complete: boolean}|null} Known text, and whether it is the whole value
+ */
+const staticString = node => {
+    if (!node) {
+        return null;
+    }
+    if (node.type === 'StringLiteral') {
+        return {value: node.value, complete: true};
+    }
+    if (node.type === 'TemplateLiteral') {
+        const head = node.quasis[0]?.value.cooked ?? '';
+        return {value: head, complete: node.expressions.length === 0};
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+        const left = staticString(node.left);
+        if (!left) {
+            return null;
+        }
+        const right = left.complete ? staticString(node.right) : null;
+        return right ?
+            {value: left.value + right.value, complete: right.complete} :
+            {value: left.value, complete: false};
+    }
+    return null;
+};
+
+/**
+ * Host of a literal remote URL.
+ * @param {object} node - Expression node
+ * @returns {string|null} Host, or null if the expression is not a known http(s)/ws(s) URL
+ */
+const remoteHost = node => {
+    const known = staticString(node);
+    const match = known && REMOTE_URL.exec(known.value.trim());
+    return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Dotted name of a callee (`eval`, `document.createElement`, `window.fetch`),
+ * with a leading global object dropped. Objects that are not names (calls,
+ * `this`, ...) are written as `*`, e.g. `*.open` for `new XMLHttpRequest().open`.
+ * @param {object} node - Callee node
+ * @returns {string|null} Name, or null when the callee is not a name or member access
+ */
+const calleeName = node => {
+    if (node.type === 'Identifier') {
+        return node.name;
+    }
+    if (node.type !== 'MemberExpression' && node.type !== 'OptionalMemberExpression') {
+        return null;
+    }
+    let property = null;
+    if (!node.computed && node.property.type === 'Identifier') {
+        property = node.property.name;
+    } else if (node.computed && node.property.type === 'StringLiteral') {
+        property = node.property.value;
+    }
+    if (!property) {
+        return null;
+    }
+    const object = calleeName(node.object) ?? '*';
+    return `${object}.${property}`.replace(GLOBAL_PREFIX, '');
+};
+
+/**
+ * Node.js built-in a module specifier names, if it is one the scan watches.
+ * @param {string} specifier - Module specifier
+ * @returns {string|null} Module name without the `node:` prefix
+ */
+const watchedNodeModule = specifier => {
+    const name = String(specifier).replace(/^node:/, '');
+    return Object.prototype.hasOwnProperty.call(NODE_MODULE_SEVERITY, name) ? name : null;
+};
+
+/**
+ * Scan the source of one JavaScript file. Pure.
+ * @param {string} source - File contents
+ * @param {string} file - Path reported in findings (relative to dist)
+ * @returns {Array<object>} Findings ({severity, rule, file, line, message, count}), most severe first, then by line
+ */
+export const scanSource = (source, file) => {
+    const findings = new Map();
+    const report = (severity, rule, node, message) => {
+        const key = `${rule}\0${message}`;
+        const existing = findings.get(key);
+        if (existing) {
+            existing.count++;
+            return;
+        }
+        findings.set(key, {severity, rule, file, line: node?.loc?.start.line ?? null, message, count: 1});
+    };
+
+    let ast;
+    try {
+        ast = parse(source, PARSE_OPTIONS);
+    } catch (err) {
+        report('medium', 'unparseable', null, `Could not be parsed, so was not scanned: ${err.message}`);
+        return [...findings.values()];
+    }
+
+    const checkModule = (specifierNode, node) => {
+        const known = staticString(specifierNode);
+        if (!known) {
+            return;
+        }
+        const host = remoteHost(specifierNode);
+        if (host) {
+            report('critical', 'remote-import', node, `Loads code from ${host}`);
+            return;
+        }
+        const name = known.complete && watchedNodeModule(known.value);
+        if (name) {
+            report(NODE_MODULE_SEVERITY[name], 'node-api', node, `Uses the Node.js '${name}' module`);
+        }
+    };
+
+    const checkDynamicImport = (specifierNode, node) => {
+        const known = staticString(specifierNode);
+        if (known?.complete || remoteHost(specifierNode)) {
+            checkModule(specifierNode, node);
+            return;
+        }
+        // A relative path with a computed tail (a bundler's chunk map) stays inside the plugin.
+        if (known && /^\.{1,2}\//.test(known.value)) {
+            return;
+        }
+        report('high', 'dynamic-import', node, 'import() of a computed specifier');
+    };
+
+    const checkNetwork = (api, urlNode, node) => {
+        const host = remoteHost(urlNode);
+        if (host) {
+            report('medium', 'hardcoded-network', node, `${api} to ${host}`);
+        }
+    };
+
+    const obfuscatedIdentifiers = new Set();
+    let escapeCount = 0;
+    let stringSourceLength = 0;
+
+    walk(ast.program, node => {
+        switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ExportNamedDeclaration':
+            if (node.source) {
+                checkModule(node.source, node);
+            }
+            break;
+        case 'ImportExpression':
+            checkDynamicImport(node.source, node);
+            break;
+        case 'CallExpression':
+        case 'OptionalCallExpression': {
+            if (node.callee.type === 'Import') {
+                checkDynamicImport(node.arguments[0], node);
+                break;
+            }
+            const name = calleeName(node.callee);
+            const [first, second] = node.arguments;
+            if (name === 'eval') {
+                report('high', 'eval', node, 'Calls eval()');
+            } else if (name === 'Function') {
+                report('high', 'new-function', node, 'Creates a function from a string');
+            } else if ((name === 'setTimeout' || name === 'setInterval') && staticString(first)) {
+                report('medium', 'string-timer', node, `${name}() with a code string`);
+            } else if (name === 'importScripts') {
+                report('high', 'remote-script', node, 'Calls importScripts()');
+            } else if (name === 'document.createElement' && staticString(first)?.value.toLowerCase() === 'script') {
+                report('high', 'script-injection', node, 'Creates a <script> element');
+            } else if (name === 'document.write' || name === 'document.writeln') {
+                report('medium', 'script-injection', node, `Calls ${name}()`);
+            } else if (name === 'require' && first) {
+                checkModule(first, node);
+            } else if (name === 'fetch') {
+                checkNetwork('fetch', first, node);
+            } else if (name === 'navigator.sendBeacon') {
+                checkNetwork('sendBeacon', first, node);
+            } else if (name?.endsWith('.open') && second) {
+                checkNetwork('XMLHttpRequest', second, node);
+            }
+            break;
+        }
+        case 'NewExpression': {
+            const name = calleeName(node.callee);
+            const [first] = node.arguments;
+            if (name === 'Function') {
+                report('high', 'new-function', node, 'Creates a function from a string');
+            } else if (name === 'WebSocket' || name === 'EventSource') {
+                checkNetwork(name, first, node);
+            } else if ((name === 'Worker' || name === 'SharedWorker') && remoteHost(first)) {
+                report('high', 'remote-script', node, `Starts a ${name} from ${remoteHost(first)}`);
+            }
+            break;
+        }
+        case 'Identifier':
+            if (OBFUSCATED_IDENTIFIER.test(node.name)) {
+                obfuscatedIdentifiers.add(node.name);
+            }
+            break;
+        case 'StringLiteral': {
+            const raw = node.extra?.raw ?? '';
+            stringSourceLength += raw.length;
+            escapeCount += (raw.match(STRING_ESCAPE) || []).length;
+            break;
+        }
+        default:
+            break;
+        }
+    });
+
+    if (obfuscatedIdentifiers.size >= OBFUSCATED_IDENTIFIER_THRESHOLD) {
+        report('high', 'obfuscation', null, `${obfuscatedIdentifiers.size} obfuscator-style _0x identifiers`);
+    }
+    // An escape takes about 4 characters of source (\xNN); compare that with all string source.
+    if (escapeCount >= ESCAPED_STRING_THRESHOLD && escapeCount * 4 >= stringSourceLength * ESCAPED_STRING_RATIO) {
+        report('high', 'obfuscation', null, `${escapeCount} escape-encoded characters in string literals`);
+    }
+
+    return [...findings.values()].sort((a, b) =>
+        severityRank(b.severity) - severityRank(a.severity) || (a.line ?? 0) - (b.line ?? 0) || a.message.localeCompare(b.message));
+};
+
+/**
+ * JavaScript files under a directory.
+ * @param {string} dir - Directory to list
+ * @returns {Promise<string[]>} Absolute paths, sorted
+ */
+const listScriptFiles = async dir => {
+    const files = [];
+    for (const dirent of await fs.readdir(dir, {withFileTypes: true})) {
+        const full = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+            files.push(...await listScriptFiles(full));
+        } else if (dirent.isFile() && SCANNED_EXTENSIONS.has(path.extname(dirent.name).toLowerCase())) {
+            files.push(full);
+        }
+    }
+    return files.sort();
+};
+
+/**
+ * Scan every JavaScript file of a built plugin.
+ * @param {string} distPath - Built dist directory
+ * @returns {Promise<Array<object>>} Findings, most severe first, then by file
+ */
+export const scanDist = async distPath => {
+    const findings = [];
+    for (const full of await listScriptFiles(distPath)) {
+        const file = path.relative(distPath, full).split(path.sep)
+            .join('/');
+        const {size} = await fs.stat(full);
+        if (size > MAX_SCANNED_FILE_BYTES) {
+            findings.push({
+                severity: 'medium',
+                rule: 'unscanned',
+                file,
+                line: null,
+                message: `Not scanned: ${size} bytes is over the ${MAX_SCANNED_FILE_BYTES} byte limit`,
+                count: 1
+            });
+            continue;
+        }
+        findings.push(...scanSource(await fs.readFile(full, 'utf-8'), file));
+    }
+    // Stable sort: files stay in path order within a severity.
+    return findings.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+};
+
+/**
+ * Findings at or above a severity.
+ * @param {Array<object>} findings - Findings from scanDist/scanSource
+ * @param {string} [blockSeverity] - Lowest blocking severity
+ * @returns {Array<object>} Blocking findings
+ */
+export const blockingFindings = (findings, blockSeverity = DEFAULT_BLOCK_SEVERITY) =>
+    findings.filter(finding => severityRank(finding.severity) >= severityRank(blockSeverity));
+
+/**
+ * One-line description of a finding, for logs and error messages.
+ * @param {object} finding - Finding
+ * @returns {string} e.g. "high eval in index.js:12 (3×): Calls eval()"
+ */
+export const formatFinding = finding => {
+    const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+    const count = finding.count > 1 ? ` (${finding.count}×)` : '';
+    return `${finding.severity} ${finding.rule} in ${location}${count}: ${finding.message}`;
+};
+
+export default {
+    SEVERITIES,
+    DEFAULT_BLOCK_SEVERITY,
+    severityRank,
+    scanSource,
+    scanDist,
+    blockingFindings,
+    formatFinding
+};
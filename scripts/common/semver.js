@@ -0,0 +1,233 @@
+/**
+ * Semantic version parsing and precedence for plugin tags.
+ *
+ * Tags are accepted as `X.Y.Z` (stable) or `X.Y.Z-<prerelease>` (e.g.
+ * `1.4.0-beta.1`, `2.0.0-rc.2`). No `v` prefix and no build metadata. Ordering
+ * follows the semver 2.0.0 precedence rules, so `1.4.0-beta.1 < 1.4.0-rc.1 <
+ * 1.4.0`. Prerelease versions are published on a named channel (the leading
+ * prerelease identifier, e.g. `beta`) so clients can opt into them.
+ *
+ * The functions are pure so the sync pipeline, the PR validator and the tests all
+ * share one definition of "valid" and "newer".
+ */
+
+const IDENTIFIER = '(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)';
+const SEMVER_REGEX = new RegExp(`^(\\d+)\\.(\\d+)\\.(\\d+)(?:-(${IDENTIFIER}(?:\\.${IDENTIFIER})*))?$`);
+
+/** Channel name for versions without a prerelease part. */
+export const STABLE_CHANNEL = 'stable';
+
+/**
+ * Parse a version string.
+ * @param {string} version - Version string (X.Y.Z or X.Y.Z-prerelease)
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} Parsed parts or null if invalid
+ */
+export const parseSemver = (version) => {
+    const match = SEMVER_REGEX.exec(String(version));
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+};
+
+/**
+ * Whether a string is a valid plugin version tag.
+ * @param {string} version - Version string
+ * @returns {boolean} True if valid
+ */
+export const isValidSemver = (version) => parseSemver(version) !== null;
+
+/**
+ * Whether a version carries a prerelease part.
+ * @param {string} version - Version string
+ * @returns {boolean} True for prerelease versions
+ */
+export const isPrerelease = (version) => {
+    const parsed = parseSemver(version);
+    return Boolean(parsed && parsed.prerelease.length > 0);
+};
+
+/**
+ * Release channel of a version: 'stable' for X.Y.Z, otherwise the leading
+ * prerelease identifier without trailing digits, lowercased (`beta.1` → `beta`,
+ * `RC2` → `rc`). A purely numeric prerelease falls back to 'prerelease'.
+ * @param {string} version - Version string
+ * @returns {string} Channel name
+ */
+export const getChannel = (version) => {
+    const parsed = parseSemver(version);
+    if (!parsed || parsed.prerelease.length === 0) {
+        return STABLE_CHANNEL;
+    }
+    const name = parsed.prerelease[0].replace(/\d+$/, '').toLowerCase();
+    return name || 'prerelease';
+};
+
+/**
+ * Compare two prerelease identifiers per semver: numeric identifiers compare
+ * numerically and always sort before alphanumeric ones.
+ * @param {string} a - Identifier A
+ * @param {string} b - Identifier B
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+const compareIdentifier = (a, b) => {
+    const aNumeric = /^\d+$/.test(a);
+    const bNumeric = /^\d+$/.test(b);
+    if (aNumeric && bNumeric) return Number(a) - Number(b);
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Compare semantic versions by semver precedence.
+ * @param {string} a - Version A
+ * @param {string} b - Version B
+ * @returns {number} Negative if a < b, 0 if a === b, positive if a > b
+ */
+export const compareSemver = (a, b) => {
+    const pa = parseSemver(a);
+    const pb = parseSemver(b);
+    if (!pa || !pb) {
+        throw new Error(`Cannot compare invalid versions '${a}' and '${b}'`);
+    }
+
+    if (pa.major !== pb.major) return pa.major - pb.major;
+    if (pa.minor !== pb.minor) return pa.minor - pb.minor;
+    if (pa.patch !== pb.patch) return pa.patch - pb.patch;
+
+    // A version without prerelease outranks any prerelease of the same core.
+    if (pa.prerelease.length === 0 || pb.prerelease.length === 0) {
+        return pb.prerelease.length - pa.prerelease.length;
+    }
+
+    const length = Math.min(pa.prerelease.length, pb.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const diff = compareIdentifier(pa.prerelease[i], pb.prerelease[i]);
+        if (diff !== 0) return diff;
+    }
+    return pa.prerelease.length - pb.prerelease.length;
+};
+
+/**
+ * Pick the version whose display fields a package should surface: the newest
+ * stable version, or the newest prerelease when no stable version exists yet.
+ * @param {string[]} versions - Version strings (any order)
+ * @returns {string|null} Display version, or null for an empty list
+ */
+export const pickDisplayVersion = (versions) => {
+    const sorted = [...versions].sort((a, b) => -compareSemver(a, b));
+    return sorted.find(v => !isPrerelease(v)) || sorted[0] || null;
+};
+
+const COMPARATOR_REGEX = /^(>=|<=|>|<|=|\^|~)?(.+)$/;
+
+/**
+ * Expand one comparator token into plain {op, version} comparators. `^` and `~`
+ * become a lower and an upper bound the way npm defines them.
+ * @param {string} token - e.g. '>=2.3.0', '^2.3.0', '2.3.0'
+ * @returns {Array<{op: string, version: string}>|null} Comparators, or null if invalid
+ */
+const parseComparator = (token) => {
+    const [, op = '=', version] = COMPARATOR_REGEX.exec(token);
+    const parsed = parseSemver(version);
+    if (!parsed) {
+        return null;
+    }
+    const {major, minor, patch} = parsed;
+    if (op === '^') {
+        let upper = `${major + 1}.0.0`;
+        if (major === 0) {
+            upper = minor === 0 ? `0.0.${patch + 1}` : `0.${minor + 1}.0`;
+        }
+        return [{op: '>=', version}, {op: '<', version: upper}];
+    }
+    if (op === '~') {
+        return [{op: '>=', version}, {op: '<', version: `${major}.${minor + 1}.0`}];
+    }
+    return [{op, version}];
+};
+
+/**
+ * Parse a version range: alternatives separated by `||`, each a space-separated
+ * list of comparators that must all hold. Comparators are `>=`, `<=`, `>`, `<`,
+ * `=` (or a bare version), `^` and `~`, always with a full X.Y.Z version; `*`
+ * matches everything. Deliberately a small subset of npm's syntax (no x-ranges,
+ * hyphen ranges or partial versions), and prereleases are compared by plain
+ * precedence, without npm's special-casing.
+ * @param {string} range - Range string (e.g. '>=2.3.0 <3.0.0', '^2.3.0')
+ * @returns {Array<Array<{op: string, version: string}>>|null} Comparator sets, or null if invalid
+ */
+export const parseRange = (range) => {
+    if (typeof range !== 'string' || range.trim() === '') {
+        return null;
+    }
+    const sets = [];
+    for (const alternative of range.split('||')) {
+        const tokens = alternative.trim().split(/\s+/)
+            .filter(Boolean);
+        if (tokens.length === 0) {
+            return null;
+        }
+        const set = [];
+        for (const token of tokens) {
+            if (token === '*') {
+                continue;
+            }
+            const comparators = parseComparator(token);
+            if (!comparators) {
+                return null;
+            }
+            set.push(...comparators);
+        }
+        sets.push(set);
+    }
+    return sets;
+};
+
+/**
+ * Whether a string is a valid version range (see parseRange).
+ * @param {string} range - Range string
+ * @returns {boolean} True if valid
+ */
+export const isValidRange = (range) => parseRange(range) !== null;
+
+/**
+ * Whether a version satisfies a range (see parseRange).
+ * @param {string} version - Version string
+ * @param {string} range - Range string
+ * @returns {boolean} True if the version is in range; false for invalid input
+ */
+export const satisfies = (version, range) => {
+    const sets = parseRange(range);
+    if (!sets || !isValidSemver(version)) {
+        return false;
+    }
+    const checks = {
+        '>=': diff => diff >= 0,
+        '<=': diff => diff <= 0,
+        '>': diff => diff > 0,
+        '<': diff => diff < 0,
+        '=': diff => diff === 0
+    };
+    return sets.some(set => set.every(({op, version: bound}) => checks[op](compareSemver(version, bound))));
+};
+
+export default {
+    STABLE_CHANNEL,
+    parseSemver,
+    isValidSemver,
+    isPrerelease,
+    getChannel,
+    compareSemver,
+    pickDisplayVersion,
+    parseRange,
+    isValidRange,
+    satisfies
+};
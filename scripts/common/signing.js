@@ -0,0 +1,96 @@
+/**
+ * Detached Ed25519 signatures for published files.
+ *
+ * The private key comes from REGISTRY_SIGNING_KEY (PKCS#8 PEM). Like the R2
+ * credentials it is only given to the jobs that publish (the sync upload phase,
+ * the toolchain sync and rollbacks), never to the build phase that runs plugin
+ * code. Publishing without a key is refused, unless unsigned publishing was
+ * asked for explicitly (--allow-unsigned, for local runs against a test
+ * bucket). Clients verify with common/verify-signature.js.
+ */
+
+import crypto from 'crypto';
+import {uploadBuffer} from './r2-client.js';
+import {signaturePath} from './verify-signature.js';
+import logger from './logger.js';
+
+const SIGNING_KEY_ENV = 'REGISTRY_SIGNING_KEY';
+
+let signingKey = null;
+let unsignedAllowed = false;
+
+/**
+ * Whether a signing key is present in the environment.
+ * @returns {boolean} True if REGISTRY_SIGNING_KEY is set
+ */
+export const isSigningKeyConfigured = () => Boolean(process.env[SIGNING_KEY_ENV]);
+
+/**
+ * Load the signing key from the environment.
+ * @returns {crypto.KeyObject|null} Ed25519 private key, or null if none is configured
+ */
+const getSigningKey = () => {
+    if (!signingKey && isSigningKeyConfigured()) {
+        const key = crypto.createPrivateKey(process.env[SIGNING_KEY_ENV]);
+        if (key.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`${SIGNING_KEY_ENV} must be an Ed25519 private key, got ${key.asymmetricKeyType}`);
+        }
+        signingKey = key;
+    }
+    return signingKey;
+};
+
+/**
+ * Check, before anything is published, that files can be signed: the key must
+ * be configured and valid. Without a key this throws, unless allowUnsigned is
+ * set, in which case every later uploadSignature() is skipped with a warning.
+ * @param {boolean} [allowUnsigned] - Publish without signatures when no key is configured
+ * @returns {boolean} True if files will be signed
+ */
+export const requireSigningKey = (allowUnsigned = false) => {
+    if (getSigningKey()) {
+        return true;
+    }
+    if (!allowUnsigned) {
+        throw new Error(`${SIGNING_KEY_ENV} is not set; refusing to publish unsigned files (pass --allow-unsigned to do so anyway)`);
+    }
+    if (!unsignedAllowed) {
+        logger.warn(`${SIGNING_KEY_ENV} not set; publishing without signatures (--allow-unsigned)`);
+        unsignedAllowed = true;
+    }
+    return false;
+};
+
+/**
+ * Sign data.
+ * @param {Buffer|string} data - Bytes to sign
+ * @param {crypto.KeyObject|string} privateKey - Ed25519 private key (KeyObject or PEM)
+ * @returns {string} Base64 signature, the content of a .sig file
+ */
+export const signBuffer = (data, privateKey) => crypto.sign(null, Buffer.from(data), privateKey).toString('base64');
+
+/**
+ * Sign the bytes of a published file and upload the signature next to it.
+ * Call after the file itself was uploaded. Requires R2 credentials.
+ * @param {Buffer|string} data - The exact bytes uploaded to remotePath
+ * @param {string} remotePath - Path of the signed file in the R2 bucket
+ * @returns {Promise<string|null>} Signature URL, or null when unsigned publishing was allowed (requireSigningKey)
+ */
+export const uploadSignature = async (data, remotePath) => {
+    const key = getSigningKey();
+    if (!key) {
+        if (unsignedAllowed) {
+            return null;
+        }
+        throw new Error(`${SIGNING_KEY_ENV} is not set; cannot sign ${remotePath}`);
+    }
+    const {url} = await uploadBuffer(Buffer.from(`${signBuffer(data, key)}\n`), signaturePath(remotePath), 'text/plain');
+    return url;
+};
+
+export default {
+    isSigningKeyConfigured,
+    requireSigningKey,
+    signBuffer,
+    uploadSignature
+};
@@ -0,0 +1,202 @@
+/**
+ * Versioned packages.json snapshots on R2.
+ *
+ * Every publish of packages.json also writes an immutable copy to
+ * snapshots/packages-<timestamp>.json and records it in snapshots/index.json,
+ * newest first, along with which snapshot is currently live. A bad sync can then
+ * be undone by re-promoting an earlier snapshot (see packages/rollback.js)
+ * instead of rebuilding the index by hand. Only the newest LIMITS.maxSnapshots
+ * are kept; older snapshot files are deleted.
+ *
+ * Manifest layout:
+ *   {
+ *     current: '<snapshot id>',
+ *     snapshots: [{id, path, createdAt, source, devices, extensions}]
+ *   }
+ */
+
+import {uploadJson, serializeJson, downloadJson, deleteFile} from './r2-client.js';
+import {uploadSignature} from './signing.js';
+import {publishPackageIndex} from './package-index.js';
+import {createDelta, assertBaselineIsLive, readDeltaIndex, uploadDelta, publishDeltaIndex} from './delta-feed.js';
+import {LIMITS} from './limits.js';
+import logger from './logger.js';
+
+export const SNAPSHOTS_DIR = 'snapshots';
+export const SNAPSHOT_MANIFEST_PATH = `${SNAPSHOTS_DIR}/index.json`;
+
+/**
+ * Create an empty snapshot manifest.
+ * @returns {object} Empty manifest
+ */
+export const createEmptyManifest = () => ({
+    current: null,
+    snapshots: []
+});
+
+/**
+ * Snapshot id for a timestamp. Colons and dots are replaced so the id is safe
+ * in a URL path and sorts the same way as the timestamp.
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Snapshot id (e.g. 'packages-2026-01-01T00-00-00-000Z')
+ */
+export const snapshotId = (iso) => `packages-${iso.replace(/[:.]/g, '-')}`;
+
+/**
+ * Remote path of a snapshot.
+ * @param {string} id - Snapshot id
+ * @returns {string} Path in the R2 bucket
+ */
+export const snapshotPath = (id) => `${SNAPSHOTS_DIR}/${id}.json`;
+
+/**
+ * Add a snapshot to the manifest and mark it live. Pure: returns a new manifest.
+ * @param {object} manifest - Current manifest
+ * @param {object} packagesJson - The packages.json that was snapshotted
+ * @param {string} source - What produced it ('sync' or 'toolchains')
+ * @param {string} now - ISO timestamp
+ * @param {number} [limit] - Snapshots kept
+ * @returns {{manifest: object, snapshot: object, pruned: Array<object>}} New manifest, the added entry and the
+ *     entries dropped from it
+ */
+export const addSnapshot = (manifest, packagesJson, source, now, limit = LIMITS.maxSnapshots) => {
+    const id = snapshotId(now);
+    const snapshot = {
+        id,
+        path: snapshotPath(id),
+        createdAt: now,
+        source,
+        devices: packagesJson?.packages?.devices?.length ?? 0,
+        extensions: packagesJson?.packages?.extensions?.length ?? 0
+    };
+    const snapshots = [snapshot, ...manifest.snapshots.filter(s => s.id !== id)];
+    return {
+        manifest: {
+            ...manifest,
+            current: id,
+            snapshots: snapshots.slice(0, limit)
+        },
+        snapshot,
+        pruned: snapshots.slice(limit)
+    };
+};
+
+/**
+ * Resolve a rollback target. `previous` means the snapshot published just
+ * before the live one; anything else must be an exact snapshot id.
+ * @param {object} manifest - Snapshot manifest
+ * @param {string} ref - Snapshot id or 'previous'
+ * @returns {{snapshot: (object|null), error: (string|null)}} Resolved snapshot or an error message
+ */
+export const resolveSnapshot = (manifest, ref) => {
+    if (ref === 'previous') {
+        const currentIndex = manifest.snapshots.findIndex(s => s.id === manifest.current);
+        const previous = currentIndex === -1 ? null : manifest.snapshots[currentIndex + 1];
+        if (!previous) {
+            return {snapshot: null, error: 'No snapshot before the current one'};
+        }
+        return {snapshot: previous, error: null};
+    }
+    const snapshot = manifest.snapshots.find(s => s.id === ref);
+    if (!snapshot) {
+        return {snapshot: null, error: `Unknown snapshot: ${ref}`};
+    }
+    return {snapshot, error: null};
+};
+
+/**
+ * Read the snapshot manifest from R2 (public read).
+ * @returns {Promise<object>} Manifest, empty if none has been written yet
+ */
+export const readSnapshotManifest = async () => {
+    const manifest = await downloadJson(SNAPSHOT_MANIFEST_PATH);
+    return {
+        ...createEmptyManifest(),
+        ...manifest
+    };
+};
+
+/**
+ * Make a revisioned packages.json live: its delta first, then the sharded
+ * package index (common/package-index.js), then packages.json itself and its
+ * signature, then the delta index that advertises the new revision. Requires R2
+ * credentials.
+ * @param {object} packagesJson - Revisioned packages.json from createDelta()
+ * @param {object} delta - Delta from createDelta()
+ * @returns {Promise<void>} Resolves once live
+ */
+const publishLive = async (packagesJson, delta) => {
+    const deltaSize = await uploadDelta(delta);
+    await publishPackageIndex(packagesJson);
+    await uploadJson(packagesJson, 'packages.json');
+    await uploadSignature(serializeJson(packagesJson), 'packages.json');
+    await publishDeltaIndex(delta, deltaSize);
+};
+
+/**
+ * Publish packages.json as the next revision of the live one: write an
+ * immutable snapshot first, then the live files (see publishLive), then the
+ * manifest that points at the snapshot, and delete the snapshots that fell out
+ * of it. Refused if the live packages.json is no longer the baseline. Requires
+ * R2 credentials.
+ * @param {object} packagesJson - Full packages.json to publish
+ * @param {object} baseline - The packages.json it was computed from (currently live)
+ * @param {string} [source] - What produced it
+ * @param {string} [now] - ISO timestamp
+ * @returns {Promise<object>} The snapshot entry
+ */
+export const publishPackagesJson = async (packagesJson, baseline, source = 'sync', now = new Date().toISOString()) => {
+    assertBaselineIsLive(baseline, await downloadJson('packages.json'));
+    const {latest} = await readDeltaIndex();
+    const {packagesJson: next, delta} = createDelta(baseline, packagesJson, now, latest);
+    const {manifest, snapshot, pruned} = addSnapshot(await readSnapshotManifest(), next, source, now);
+    await uploadJson(next, snapshot.path);
+    await publishLive(next, delta);
+    await uploadJson(manifest, SNAPSHOT_MANIFEST_PATH);
+    logger.info(`Snapshot: ${snapshot.path}`);
+    // Deleting is best-effort, like old deltas: a leftover file is only wasted space.
+    for (const entry of pruned) {
+        try {
+            await deleteFile(entry.path);
+        } catch (err) {
+            logger.warn(`Failed to delete old snapshot ${entry.path}: ${err.message}`);
+        }
+    }
+    return snapshot;
+};
+
+/**
+ * Re-promote an existing snapshot to be the live packages.json. The snapshot
+ * itself is left untouched; packages.json gets its content under a new
+ * revision, so delta-feed clients move forward to it like to any other publish,
+ * and the manifest's `current` pointer moves to it. Requires R2 credentials.
+ * @param {object} manifest - Snapshot manifest
+ * @param {object} snapshot - Entry from manifest.snapshots
+ * @param {string} [now] - ISO timestamp
+ * @returns {Promise<object>} The promoted packages.json
+ */
+export const promoteSnapshot = async (manifest, snapshot, now = new Date().toISOString()) => {
+    const packagesJson = await downloadJson(snapshot.path);
+    if (!packagesJson || !Array.isArray(packagesJson.packages?.devices) || !Array.isArray(packagesJson.packages?.extensions)) {
+        throw new Error(`Snapshot ${snapshot.path} is missing or not a packages.json`);
+    }
+    const live = await downloadJson('packages.json');
+    const {latest} = await readDeltaIndex();
+    const {packagesJson: promoted, delta} = createDelta(live ?? {}, packagesJson, now, latest);
+    await publishLive(promoted, delta);
+    await uploadJson({...manifest, current: snapshot.id}, SNAPSHOT_MANIFEST_PATH);
+    return promoted;
+};
+
+export default {
+    SNAPSHOTS_DIR,
+    SNAPSHOT_MANIFEST_PATH,
+    createEmptyManifest,
+    snapshotId,
+    snapshotPath,
+    addSnapshot,
+    resolveSnapshot,
+    readSnapshotManifest,
+    publishPackagesJson,
+    promoteSnapshot
+};
@@ -0,0 +1,370 @@
+/**
+ * License detection for plugins: matches a LICENSE file against a bundled set
+ * of license templates, cross-checks it with the `license` field of
+ * package.json, and yields the SPDX id published per package in packages.json.
+ *
+ * A template is the set of passages that identify a license: the title and
+ * version line, and a sentence or two no other license in the set contains.
+ * Both sides are normalized (case, punctuation, whitespace) before matching, so
+ * reflowed or re-punctuated copies still match, and copyright lines or
+ * appendices around the passages do not matter. When several templates match
+ * (a BSD-4-Clause text also holds every BSD-3-Clause passage) the one with the
+ * most matched text wins.
+ *
+ * Schools and distributors vet licenses before redistributing plugins, so
+ * licenses that are not OSI-approved, and a LICENSE that contradicts
+ * package.json, are flagged. Only UNLICENSED is an error.
+ *
+ * Pure: text in, result out.
+ */
+
+/**
+ * Bundled license templates. `ids` lists the SPDX ids the template's text is
+ * published under; the first is the one used when package.json does not pick
+ * another (e.g. GPL-3.0-or-later is the same text as GPL-3.0-only).
+ */
+const LICENSE_TEMPLATES = [
+    {
+        ids: ['MIT'],
+        name: 'MIT License',
+        osiApproved: true,
+        passages: [
+            'Permission is hereby granted, free of charge, to any person obtaining a copy of this software and ' +
+                'associated documentation files (the "Software"), to deal in the Software without restriction',
+            'The above copyright notice and this permission notice shall be included in all copies or substantial ' +
+                'portions of the Software.',
+            'THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND'
+        ]
+    },
+    {
+        ids: ['ISC'],
+        name: 'ISC License',
+        osiApproved: true,
+        passages: [
+            'Permission to use, copy, modify, and/or distribute this software for any purpose with or without fee is ' +
+                'hereby granted, provided that the above copyright notice and this permission notice appear in all copies.',
+            'THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES'
+        ]
+    },
+    {
+        ids: ['0BSD'],
+        name: 'BSD Zero Clause License',
+        osiApproved: true,
+        passages: [
+            'Permission to use, copy, modify, and/or distribute this software for any purpose with or without fee is ' +
+                'hereby granted.',
+            'THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES'
+        ]
+    },
+    {
+        ids: ['BSD-2-Clause'],
+        name: 'BSD 2-Clause "Simplified" License',
+        osiApproved: true,
+        passages: [
+            'Redistribution and use in source and binary forms, with or without modification, are permitted provided ' +
+                'that the following conditions are met:',
+            'Redistributions of source code must retain the above copyright notice',
+            'Redistributions in binary form must reproduce the above copyright notice'
+        ]
+    },
+    {
+        ids: ['BSD-3-Clause'],
+        name: 'BSD 3-Clause "New" or "Revised" License',
+        osiApproved: true,
+        passages: [
+            'Redistribution and use in source and binary forms, with or without modification, are permitted provided ' +
+                'that the following conditions are met:',
+            'Redistributions of source code must retain the above copyright notice',
+            'Redistributions in binary form must reproduce the above copyright notice',
+            'may be used to endorse or promote products derived from this software without specific prior written permission'
+        ]
+    },
+    {
+        ids: ['BSD-4-Clause'],
+        name: 'BSD 4-Clause "Original" or "Old" License',
+        osiApproved: false,
+        passages: [
+            'Redistribution and use in source and binary forms, with or without modification, are permitted provided ' +
+                'that the following conditions are met:',
+            'Redistributions of source code must retain the above copyright notice',
+            'Redistributions in binary form must reproduce the above copyright notice',
+            'All advertising materials mentioning features or use of this software must display the following acknowledgement'
+        ]
+    },
+    {
+        ids: ['Apache-2.0'],
+        name: 'Apache License 2.0',
+        osiApproved: true,
+        passages: [
+            'Apache License Version 2.0, January 2004',
+            'TERMS AND CONDITIONS FOR USE, REPRODUCTION, AND DISTRIBUTION'
+        ]
+    },
+    {
+        ids: ['MPL-2.0'],
+        name: 'Mozilla Public License 2.0',
+        osiApproved: true,
+        passages: [
+            'Mozilla Public License Version 2.0',
+            '"Contributor" means each individual or legal entity that creates, contributes to the creation of, or owns ' +
+                'Covered Software.'
+        ]
+    },
+    {
+        ids: ['EPL-2.0'],
+        name: 'Eclipse Public License 2.0',
+        osiApproved: true,
+        passages: ['Eclipse Public License - v 2.0']
+    },
+    {
+        ids: ['GPL-2.0-only', 'GPL-2.0-or-later'],
+        name: 'GNU General Public License v2.0',
+        osiApproved: true,
+        passages: [
+            'GNU GENERAL PUBLIC LICENSE Version 2, June 1991',
+            'The licenses for most software are designed to take away your freedom to share and change it.'
+        ]
+    },
+    {
+        ids: ['GPL-3.0-only', 'GPL-3.0-or-later'],
+        name: 'GNU General Public License v3.0',
+        osiApproved: true,
+        passages: [
+            'GNU GENERAL PUBLIC LICENSE Version 3, 29 June 2007',
+            'The GNU General Public License is a free, copyleft license for software and other kinds of works.'
+        ]
+    },
+    {
+        ids: ['LGPL-2.1-only', 'LGPL-2.1-or-later'],
+        name: 'GNU Lesser General Public License v2.1',
+        osiApproved: true,
+        passages: [
+            'GNU LESSER GENERAL PUBLIC LICENSE Version 2.1, February 1999',
+            'This license, the Lesser General Public License, applies to some specially designated software packages'
+        ]
+    },
+    {
+        ids: ['LGPL-3.0-only', 'LGPL-3.0-or-later'],
+        name: 'GNU Lesser General Public License v3.0',
+        osiApproved: true,
+        passages: [
+            'GNU LESSER GENERAL PUBLIC LICENSE Version 3, 29 June 2007',
+            'This version of the GNU Lesser General Public License incorporates the terms and conditions of version 3 ' +
+                'of the GNU General Public License, supplemented by the additional permissions listed below.'
+        ]
+    },
+    {
+        ids: ['AGPL-3.0-only', 'AGPL-3.0-or-later'],
+        name: 'GNU Affero General Public License v3.0',
+        osiApproved: true,
+        passages: [
+            'GNU AFFERO GENERAL PUBLIC LICENSE Version 3, 19 November 2007',
+            'The GNU Affero General Public License is a free, copyleft license for software and other kinds of works'
+        ]
+    },
+    {
+        ids: ['BSL-1.0'],
+        name: 'Boost Software License 1.0',
+        osiApproved: true,
+        passages: ['Boost Software License - Version 1.0']
+    },
+    {
+        ids: ['Zlib'],
+        name: 'zlib License',
+        osiApproved: true,
+        passages: [
+            'This software is provided \'as-is\', without any express or implied warranty. In no event will the ' +
+                'authors be held liable for any damages arising from the use of this software.',
+            'The origin of this software must not be misrepresented'
+        ]
+    },
+    {
+        ids: ['Unlicense'],
+        name: 'The Unlicense',
+        osiApproved: true,
+        passages: [
+            'This is free and unencumbered software released into the public domain.',
+            'Anyone is free to copy, modify, publish, use, compile, sell, or distribute this software'
+        ]
+    },
+    {
+        ids: ['CC0-1.0'],
+        name: 'Creative Commons Zero v1.0 Universal',
+        osiApproved: false,
+        passages: ['CC0 1.0 Universal', 'Statement of Purpose']
+    },
+    {
+        ids: ['CC-BY-4.0'],
+        name: 'Creative Commons Attribution 4.0 International',
+        osiApproved: false,
+        passages: ['Creative Commons Attribution 4.0 International Public License']
+    },
+    {
+        ids: ['CC-BY-SA-4.0'],
+        name: 'Creative Commons Attribution Share Alike 4.0 International',
+        osiApproved: false,
+        passages: ['Creative Commons Attribution-ShareAlike 4.0 International Public License']
+    },
+    {
+        ids: ['CC-BY-NC-4.0'],
+        name: 'Creative Commons Attribution Non Commercial 4.0 International',
+        osiApproved: false,
+        passages: ['Creative Commons Attribution-NonCommercial 4.0 International Public License']
+    },
+    {
+        ids: ['CC-BY-NC-SA-4.0'],
+        name: 'Creative Commons Attribution Non Commercial Share Alike 4.0 International',
+        osiApproved: false,
+        passages: ['Creative Commons Attribution-NonCommercial-ShareAlike 4.0 International Public License']
+    },
+    {
+        ids: ['WTFPL'],
+        name: 'Do What The F*ck You Want To Public License',
+        osiApproved: false,
+        passages: ['DO WHAT THE FUCK YOU WANT TO PUBLIC LICENSE']
+    }
+];
+
+/** Deprecated SPDX ids, and the ids that replaced them. */
+const DEPRECATED_IDS = {
+    'GPL-2.0': 'GPL-2.0-only',
+    'GPL-2.0+': 'GPL-2.0-or-later',
+    'GPL-3.0': 'GPL-3.0-only',
+    'GPL-3.0+': 'GPL-3.0-or-later',
+    'LGPL-2.1': 'LGPL-2.1-only',
+    'LGPL-2.1+': 'LGPL-2.1-or-later',
+    'LGPL-3.0': 'LGPL-3.0-only',
+    'LGPL-3.0+': 'LGPL-3.0-or-later',
+    'AGPL-3.0': 'AGPL-3.0-only',
+    'AGPL-3.0+': 'AGPL-3.0-or-later'
+};
+
+/**
+ * Normalize license text for matching: lowercase, with every run of
+ * punctuation and whitespace reduced to one space.
+ * @param {string} text - License text
+ * @returns {string} Normalized text
+ */
+export const normalizeLicenseText = text => String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const NORMALIZED_TEMPLATES = LICENSE_TEMPLATES.map(template => ({
+    ...template,
+    normalizedPassages: template.passages.map(normalizeLicenseText)
+}));
+
+/**
+ * Match license text against the bundled templates.
+ * @param {string} text - Contents of a LICENSE file
+ * @returns {{spdxId: string, ids: string[], name: string, osiApproved: boolean}|null} Best matching license
+ */
+export const detectLicense = text => {
+    const normalized = normalizeLicenseText(text);
+    if (!normalized) {
+        return null;
+    }
+    let best = null;
+    let bestScore = 0;
+    for (const template of NORMALIZED_TEMPLATES) {
+        if (!template.normalizedPassages.every(passage => normalized.includes(passage))) {
+            continue;
+        }
+        const score = template.normalizedPassages.reduce((total, passage) => total + passage.length, 0);
+        if (score > bestScore) {
+            best = template;
+            bestScore = score;
+        }
+    }
+    return best && {
+        spdxId: best.ids[0],
+        ids: best.ids,
+        name: best.name,
+        osiApproved: best.osiApproved
+    };
+};
+
+/**
+ * Read the `license` field of a package.json. Accepts an SPDX expression
+ * (`MIT`, `(MIT OR Apache-2.0)`, `GPL-2.0-or-later WITH Classpath-exception-2.0`),
+ * the legacy `{type}` object, `UNLICENSED` and `SEE LICENSE IN <file>`.
+ * @param {*} field - Value of package.json `license`
+ * @returns {{expression: string, ids: string[], unlicensed: boolean, seeFile: boolean}|null} Declared license, or
+ *     null if there is none
+ */
+export const parseLicenseField = field => {
+    const value = typeof field === 'object' && field !== null ? field.type : field;
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const expression = value.trim();
+    if (/^UNLICENSED$/i.test(expression)) {
+        return {expression, ids: [], unlicensed: true, seeFile: false};
+    }
+    if (/^SEE LICEN[CS]E IN /i.test(expression)) {
+        return {expression, ids: [], unlicensed: false, seeFile: true};
+    }
+    const ids = expression
+        .replace(/[()]/g, ' ')
+        .split(/\s+(?:OR|AND)\s+/i)
+        .map(term => term.replace(/\s+WITH\s+.*$/i, '').trim())
+        .filter(Boolean)
+        .map(id => DEPRECATED_IDS[id] ?? id);
+    return {expression, ids, unlicensed: false, seeFile: false};
+};
+
+/**
+ * Check a plugin's license: match the LICENSE text, compare it with package.json
+ * and decide the SPDX id to publish.
+ *
+ * Errors (the version is refused): package.json declares UNLICENSED. Warnings
+ * (reported, published anyway): the text matches no template, package.json has
+ * no license field or names licenses the LICENSE text is not (the LICENSE id is
+ * published), or the license is not OSI-approved.
+ * @param {object} options - License sources
+ * @param {string|null} options.text - Contents of the LICENSE file
+ * @param {*} options.declared - `license` field of package.json
+ * @returns {{spdxId: (string|null), osiApproved: (boolean|null), errors: string[], warnings: string[]}} Result
+ */
+export const checkLicense = ({text, declared}) => {
+    const errors = [];
+    const warnings = [];
+    const detected = detectLicense(text);
+    const field = parseLicenseField(declared);
+
+    if (field?.unlicensed) {
+        errors.push('package.json declares "UNLICENSED", which does not allow redistribution');
+    }
+
+    if (!detected) {
+        warnings.push('LICENSE does not match any known license and has to be reviewed by hand');
+        return {spdxId: null, osiApproved: null, errors, warnings};
+    }
+
+    let spdxId = detected.spdxId;
+    if (!field) {
+        warnings.push(`package.json has no "license" field; LICENSE is ${detected.spdxId}`);
+    } else if (field.ids.length > 0) {
+        const matching = field.ids.find(id => detected.ids.some(known => known.toLowerCase() === id.toLowerCase()));
+        if (matching) {
+            spdxId = detected.ids.find(known => known.toLowerCase() === matching.toLowerCase());
+        } else {
+            warnings.push(`LICENSE is ${detected.spdxId} (${detected.name}), but package.json declares "${field.expression}"`);
+        }
+    }
+
+    if (!detected.osiApproved) {
+        warnings.push(`${spdxId} (${detected.name}) is not an OSI-approved open source license`);
+    }
+
+    return {spdxId, osiApproved: detected.osiApproved, errors, warnings};
+};
+
+export default {
+    normalizeLicenseText,
+    detectLicense,
+    parseLicenseField,
+    checkLicense
+};
@@ -0,0 +1,100 @@
+/**
+ * Machine-readable sync reports.
+ *
+ * The package, toolchain and translation syncs each print a Markdown report for
+ * the GitHub step summary. Alongside it they write a JSON report with one shared
+ * envelope (schemas/sync-report.schema.json), so dashboards and alerting can
+ * consume sync results without scraping Markdown:
+ *   {
+ *     schemaVersion, kind, dryRun, startedAt, finishedAt, durationMs,
+ *     summary: {added, skipped, failed, addedBytes},
+ *     added: [], skipped: [], errors: [], repositoryStats: [],
+ *     details: {}   // kind-specific extras (moved tags, deleted toolchains, ...)
+ *   }
+ * Item shapes inside the arrays are per kind and documented in the schema.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** Bumped on any incompatible change to the report layout. */
+export const SYNC_REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Default location of a JSON report: `<kind>-sync-report.json` at the repo root,
+ * next to where the workflows pick up the Markdown reports.
+ * @param {string} kind - 'packages', 'toolchains' or 'translations'
+ * @returns {string} Absolute path
+ */
+export const defaultSyncReportPath = (kind) => path.resolve(__dirname, '../..', `${kind}-sync-report.json`);
+
+/**
+ * Assemble a JSON sync report.
+ * @param {object} data - Report data
+ * @param {string} data.kind - 'packages', 'toolchains' or 'translations'
+ * @param {boolean} [data.dryRun] - Whether nothing was published
+ * @param {string} data.startedAt - ISO timestamp the sync started
+ * @param {string} data.finishedAt - ISO timestamp the sync finished
+ * @param {Array<object>} [data.added] - Added items; a numeric `size` (bytes) is summed into addedBytes
+ * @param {Array<object>} [data.skipped] - Skipped items
+ * @param {Array<object>} [data.errors] - Failed items, each with an `error` message
+ * @param {Array<object>} [data.repositoryStats] - Per-repository rows
+ * @param {object} [data.durations] - Named phase durations in ms (e.g. {build, upload})
+ * @param {object} [data.details] - Kind-specific extras
+ * @returns {object} Report
+ */
+export const createSyncReport = ({
+    kind,
+    dryRun = false,
+    startedAt,
+    finishedAt,
+    added = [],
+    skipped = [],
+    errors = [],
+    repositoryStats = [],
+    durations = {},
+    details = {}
+}) => ({
+    schemaVersion: SYNC_REPORT_SCHEMA_VERSION,
+    kind,
+    dryRun: Boolean(dryRun),
+    startedAt,
+    finishedAt,
+    durationMs: Math.max(0, Date.parse(finishedAt) - Date.parse(startedAt)),
+    durations,
+    summary: {
+        added: added.length,
+        skipped: skipped.length,
+        failed: errors.length,
+        addedBytes: added.reduce((total, item) => total + (Number(item.size) || 0), 0)
+    },
+    added,
+    skipped,
+    errors,
+    repositoryStats,
+    details
+});
+
+/**
+ * Write a JSON report.
+ * @param {object} report - Report from createSyncReport()
+ * @param {string} [filePath] - Target file (defaults to defaultSyncReportPath(report.kind))
+ * @returns {Promise<string>} The path written
+ */
+export const writeSyncReport = async (report, filePath = defaultSyncReportPath(report.kind)) => {
+    await fs.mkdir(path.dirname(filePath), {recursive: true});
+    await fs.writeFile(filePath, `${JSON.stringify(report, null, 2)}\n`, 'utf-8');
+    logger.debug(`JSON report written to: ${filePath}`);
+    return filePath;
+};
+
+export default {
+    SYNC_REPORT_SCHEMA_VERSION,
+    defaultSyncReportPath,
+    createSyncReport,
+    writeSyncReport
+};
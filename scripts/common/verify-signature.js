@@ -0,0 +1,51 @@
+/**
+ * Verification of the registry's detached signatures.
+ *
+ * The registry signs packages.json, the package index (packages/index.json and
+ * packages/{type}/{id}.json), the delta feed (deltas/index.json and
+ * deltas/<revision>.json), search-index.json, every plugin and toolchain
+ * archive and every SBOM with an Ed25519 key and publishes the signature next
+ * to the file, at `<file URL>.sig`, as base64 text. A client that ships the
+ * registry's public key can check a download against it, so a tampered file is
+ * caught even when the same origin also serves a matching checksum, and a
+ * rewritten search index cannot point users at a lookalike package.
+ *
+ * This module only depends on Node's crypto, so the GUI and link can reuse it
+ * as is.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_EXTENSION = '.sig';
+
+/**
+ * Path or URL of the signature for a published file.
+ * @param {string} fileUrl - Path or URL of the signed file
+ * @returns {string} Path or URL of its signature
+ */
+export const signaturePath = (fileUrl) => `${fileUrl}${SIGNATURE_EXTENSION}`;
+
+/**
+ * Verify a detached signature.
+ * @param {Buffer|string} data - The exact bytes that were published
+ * @param {string} signature - Content of the .sig file (base64, surrounding whitespace ignored)
+ * @param {string|crypto.KeyObject} publicKey - Registry Ed25519 public key (PEM or KeyObject)
+ * @returns {boolean} True only for a valid signature by that key
+ */
+export const verifySignature = (data, signature, publicKey) => {
+    try {
+        const key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+        if (key.asymmetricKeyType !== 'ed25519') {
+            return false;
+        }
+        return crypto.verify(null, Buffer.from(data), key, Buffer.from(String(signature).trim(), 'base64'));
+    } catch {
+        return false;
+    }
+};
+
+export default {
+    SIGNATURE_EXTENSION,
+    signaturePath,
+    verifySignature
+};
@@ -7,13 +7,17 @@ import fs from 'fs/promises';
 import path from 'path';
 import {fileURLToPath} from 'url';
 import logger from '../common/logger.js';
+import {isValidSemver, compareSemver} from '../common/semver.js';
+
+// Re-exported so existing callers keep importing version helpers from here.
+export {isValidSemver, compareSemver};
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REGISTRY_JSON_PATH = path.resolve(__dirname, '../../registry.json');
 
 /**
  * Read registry.json
- * @returns {Promise<{devices: string[], extensions: string[], recommended: {devices: string[], extensions: string[]}}>} Registry config
+ * @returns {Promise<object>} Registry config: {devices, extensions, recommended: {devices, extensions}, yanked}
  */
 export const readRegistryJson = async () => {
     const emptyRecommended = {devices: [], extensions: []};
@@ -27,12 +31,13 @@ export const readRegistryJson = async () => {
             recommended: {
                 devices: data.recommended?.devices ?? [],
                 extensions: data.recommended?.extensions ?? []
-            }
+            },
+            yanked: data.yanked ?? []
         };
     } catch (err) {
         if (err.code === 'ENOENT') {
             logger.warn('registry.json not found, returning empty config');
-            return {devices: [], extensions: [], recommended: emptyRecommended};
+            return {devices: [], extensions: [], recommended: emptyRecommended, yanked: []};
         }
         throw err;
     }
@@ -55,65 +60,51 @@ export const parseRepoUrl = (url) => {
 };
 
 /**
- * Validate semantic version format (X.Y.Z only, no 'v' prefix)
- * @param {string} tag - Tag name
- * @returns {boolean} True if valid semantic version
- */
-export const isValidSemver = (tag) => {
-    // Only accept X.Y.Z format (no 'v' prefix, no pre-release, no build metadata)
-    const semverRegex = /^(\d+)\.(\d+)\.(\d+)$/;
-    return semverRegex.test(tag);
-};
-
-/**
- * Compare semantic versions
- * @param {string} a - Version A
- * @param {string} b - Version B
- * @returns {number} -1 if a < b, 0 if a === b, 1 if a > b
- */
-export const compareSemver = (a, b) => {
-    const [aMajor, aMinor, aPatch] = a.split('.').map(Number);
-    const [bMajor, bMinor, bPatch] = b.split('.').map(Number);
-
-    if (aMajor !== bMajor) return aMajor - bMajor;
-    if (aMinor !== bMinor) return aMinor - bMinor;
-    return aPatch - bPatch;
-};
-
-/**
- * Calculate which versions need to be synced
+ * Calculate which versions need to be synced.
+ *
+ * A version already in packages.json is skipped, but if its entry recorded the
+ * tag's commit SHA and the tag now points at a different commit, it is also
+ * reported in `moved`: the published archive no longer matches the source.
+ * Entries published before SHAs were recorded cannot be checked.
  * @param {Array<{name: string, commit: object}>} repoTags - Tags from GitHub repository
- * @param {Array<{version: string}>} currentVersions - Existing versions in packages.json
- * @returns {{toAdd: Array<string>, toSkip: Array<string>}} Versions to add and skip
+ * @param {Array<{version: string, commitSha: string}>} currentVersions - Existing versions in packages.json
+ * @returns {{toAdd: Array<string>, toSkip: Array<string>, moved: Array<object>}} Versions to add and skip, and
+ *     tags moved since publication ({version, publishedSha, currentSha})
  */
 export const calculateDiff = (repoTags, currentVersions) => {
     const toAdd = [];
     const toSkip = [];
+    const moved = [];
 
-    // Filter valid semantic version tags
-    const validTags = repoTags
-        .map(tag => tag.name)
-        .filter(isValidSemver);
+    // Filter valid semantic version tags (stable and prerelease)
+    const validTags = repoTags.filter(tag => isValidSemver(tag.name));
 
-    // Build set of existing versions for quick lookup
-    const existingVersions = new Set(
-        currentVersions.map(v => v.version)
+    // Map existing versions to their entries for quick lookup
+    const existingVersions = new Map(
+        currentVersions.map(v => [v.version, v])
     );
 
     // Determine which versions to add
-    for (const version of validTags) {
-        if (existingVersions.has(version)) {
-            toSkip.push(version);
-        } else {
+    for (const tag of validTags) {
+        const version = tag.name;
+        const existing = existingVersions.get(version);
+        if (!existing) {
             toAdd.push(version);
+            continue;
+        }
+        toSkip.push(version);
+        const currentSha = tag.commit?.sha;
+        if (existing.commitSha && currentSha && existing.commitSha !== currentSha) {
+            moved.push({version, publishedSha: existing.commitSha, currentSha});
         }
     }
 
     // Sort versions (newest first)
     toAdd.sort((a, b) => -compareSemver(a, b));
     toSkip.sort((a, b) => -compareSemver(a, b));
+    moved.sort((a, b) => -compareSemver(a.version, b.version));
 
-    return {toAdd, toSkip};
+    return {toAdd, toSkip, moved};
 };
 
 /**
@@ -130,6 +130,26 @@ export const fetchPackageJson = async (owner, repo, tag) => {
     }
 };
 
+/**
+ * Fetch the body of the GitHub release for a tag. Release notes are optional,
+ * so a missing release (or any other failure) yields null instead of an error.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Tag name
+ * @returns {Promise<string|null>} Release body (Markdown), or null if there is none
+ */
+export const fetchReleaseBody = async (owner, repo, tag) => {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`;
+
+    try {
+        const data = await githubRequest(url);
+        return data.body || null;
+    } catch (err) {
+        logger.debug(`No release for ${owner}/${repo}@${tag}: ${err.message}`);
+        return null;
+    }
+};
+
 /**
  * Find an open issue in a repository whose body contains a given marker string.
  * Used to deduplicate auto-filed sync-error issues: the marker encodes a stable
@@ -230,6 +250,7 @@ export default {
     parseRepoUrl,
     fetchTags,
     fetchPackageJson,
+    fetchReleaseBody,
     findOpenIssueByMarker,
     createIssue
 };
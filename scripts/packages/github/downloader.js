@@ -5,7 +5,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import {createWriteStream} from 'fs';
+import {createReadStream, createWriteStream} from 'fs';
 import {createHash} from 'crypto';
 import {spawn} from 'child_process';
 import logger from '../../common/logger.js';
@@ -15,11 +15,13 @@ import {LIMITS, parseSubmoduleUrls, validateSubmodules} from '../../common/limit
  * Run a git command and capture its output. Resolves on exit code 0.
  * @param {string[]} args - Arguments passed to git
  * @param {string} [cwd] - Working directory
+ * @param {AbortSignal} [signal] - Kills git when aborted
  * @returns {Promise<{stdout: string, stderr: string}>} Captured output
  */
-const runGit = (args, cwd) => new Promise((resolve, reject) => {
+const runGit = (args, cwd, signal) => new Promise((resolve, reject) => {
     const proc = spawn('git', args, {
         cwd,
+        signal,
         env: {
             ...process.env,
             // Never prompt for credentials in CI
@@ -103,9 +105,10 @@ export const dirSize = async (dir) => {
  * submodule content is fetched, so a malicious .gitmodules can't trigger SSRF.
  * Only validated top-level submodules are fetched (no recursion into nested ones).
  * @param {string} clonePath - Cloned repository path
+ * @param {AbortSignal} [signal] - Kills git when aborted
  * @returns {Promise<void>} Resolves once submodules are fetched (or none exist)
  */
-const fetchSubmodulesSafely = async (clonePath) => {
+const fetchSubmodulesSafely = async (clonePath, signal) => {
     const gitmodulesPath = path.join(clonePath, '.gitmodules');
     let configOutput = '';
     try {
@@ -134,7 +137,7 @@ const fetchSubmodulesSafely = async (clonePath) => {
         '-c', 'protocol.allow=never',
         '-c', 'protocol.https.allow=always',
         'submodule', 'update', '--init', '--depth=1', '--quiet'
-    ], clonePath);
+    ], clonePath, signal);
 };
 
 /**
@@ -147,9 +150,12 @@ const fetchSubmodulesSafely = async (clonePath) => {
  * @param {string} repo - Repository name
  * @param {string} tag - Tag name
  * @param {string} tempDir - Temporary directory parent
- * @returns {Promise<{extractedPath: string, cleanup: Function}>} Cloned path and cleanup function
+ * @param {object} [options] - Download options
+ * @param {AbortSignal} [options.signal] - Kills git when aborted
+ * @returns {Promise<{extractedPath: string, committedAt: string, cleanup: Function}>} Cloned path, ISO commit date
+ *     of the tag and cleanup function
  */
-export const downloadAndExtractTag = async (owner, repo, tag, tempDir) => {
+export const downloadAndExtractTag = async (owner, repo, tag, tempDir, {signal} = {}) => {
     const url = `https://github.com/${owner}/${repo}.git`;
     const clonePath = path.join(tempDir, `${repo}-${tag}`);
 
@@ -171,10 +177,10 @@ export const downloadAndExtractTag = async (owner, repo, tag, tempDir) => {
             '--quiet',
             url,
             clonePath
-        ]);
+        ], null, signal);
 
         // Validate + fetch submodules under the github.com/https policy (R2.1).
-        await fetchSubmodulesSafely(clonePath);
+        await fetchSubmodulesSafely(clonePath, signal);
 
         // Enforce the clone-size cap on the full tree, source + submodules (R2.3).
         const cloneBytes = await dirSize(clonePath);
@@ -182,10 +188,15 @@ export const downloadAndExtractTag = async (owner, repo, tag, tempDir) => {
             throw new Error(`Clone size ${cloneBytes} exceeds limit ${LIMITS.maxCloneBytes}`);
         }
 
+        // Commit date of the tag, read before any plugin code runs in the clone.
+        const {stdout: commitDate} = await runGit(['log', '-1', '--format=%cI', 'HEAD'], clonePath, signal);
+        const committedAt = new Date(commitDate.trim()).toISOString();
+
         logger.debug(`Cloned to ${clonePath} (${cloneBytes} bytes)`);
 
         return {
             extractedPath: clonePath,
+            committedAt,
             cleanup: async () => {
                 try {
                     await fs.rm(clonePath, {recursive: true, force: true});
@@ -203,7 +214,53 @@ export const downloadAndExtractTag = async (owner, repo, tag, tempDir) => {
 };
 
 /**
- * Create a zip archive from a directory
+ * Timestamp stored on every zip entry: the earliest date a zip can hold, so the
+ * archive does not depend on when (or from which clone) the files were written.
+ */
+const ZIP_ENTRY_DATE = new Date('1980-01-01T00:00:00Z');
+
+/** Permissions stored on zip entries: executable or not, nothing else. */
+const ZIP_FILE_MODE = 0o644;
+const ZIP_EXECUTABLE_MODE = 0o755;
+
+/**
+ * List the files to put in a zip, in a fixed order. Entry names are
+ * '/'-separated paths relative to sourceDir, sorted by code unit (not locale)
+ * order; directories are implied by the file paths. Modes are normalized to
+ * 0644, or 0755 when the owner can execute the file.
+ * @param {string} sourceDir - Directory to list
+ * @returns {Promise<Array<{name: string, sourcePath: string, mode: number}>>} Zip entries
+ * @throws {Error} On symlinks and other non-regular files, whose zip form differs between tools
+ */
+export const listZipEntries = async (sourceDir) => {
+    const entries = [];
+    const walk = async (dir, prefix) => {
+        for (const dirent of await fs.readdir(dir, {withFileTypes: true})) {
+            const sourcePath = path.join(dir, dirent.name);
+            const name = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+            if (dirent.isDirectory()) {
+                await walk(sourcePath, name);
+            } else if (dirent.isFile()) {
+                const {mode} = await fs.stat(sourcePath);
+                entries.push({name, sourcePath, mode: (mode & 0o100) ? ZIP_EXECUTABLE_MODE : ZIP_FILE_MODE});
+            } else {
+                throw new Error(`Cannot archive ${name}: not a regular file or directory`);
+            }
+        }
+    };
+    await walk(sourceDir, '');
+    return entries.sort((a, b) => {
+        if (a.name === b.name) {
+            return 0;
+        }
+        return a.name < b.name ? -1 : 1;
+    });
+};
+
+/**
+ * Create a zip archive from a directory. The archive is reproducible: the same
+ * files give the same bytes (and checksum) whatever their mtimes, permissions
+ * beyond the executable bit, or the order the file system lists them in.
  * @param {string} sourceDir - Source directory to zip
  * @param {string} outputPath - Output zip file path
  * @returns {Promise<{path: string, checksum: string, size: number}>} Zip file info
@@ -211,6 +268,7 @@ export const downloadAndExtractTag = async (owner, repo, tag, tempDir) => {
 export const createZipArchive = async (sourceDir, outputPath) => {
     const archiver = (await import('archiver')).default;
 
+    const entries = await listZipEntries(sourceDir);
     await fs.mkdir(path.dirname(outputPath), {recursive: true});
 
     const output = createWriteStream(outputPath);
@@ -240,13 +298,18 @@ export const createZipArchive = async (sourceDir, outputPath) => {
         output.on('error', reject);
 
         archive.pipe(output);
-        archive.directory(sourceDir, false);
+        // Streams go straight to archiver's entry queue (archive.file() stats
+        // files concurrently first), so entries are written in this order.
+        for (const {name, sourcePath, mode} of entries) {
+            archive.append(createReadStream(sourcePath), {name, date: ZIP_ENTRY_DATE, mode});
+        }
         archive.finalize();
     });
 };
 
 export default {
     downloadAndExtractTag,
+    listZipEntries,
     createZipArchive,
     calculateChecksum,
     getFileSize
@@ -3,11 +3,13 @@
  * Handles validation, building, and i18n extraction for plugins
  */
 
-import {execSync} from 'child_process';
 import path from 'path';
 import fs from 'fs/promises';
 import logger from '../common/logger.js';
-import {runRegistryCli} from '../common/registry-cli.js';
+import {resolveCliBin, runRegistryCli} from '../common/registry-cli.js';
+import {checkLicense} from '../common/spdx-license.js';
+import {findLockfile, inspectLockfile, formatViolation, readAdvisories} from '../common/lockfile-policy.js';
+import {runSandboxed} from './sandbox.js';
 
 /**
  * Check if the trusted openblock-registry-cli is available
@@ -24,55 +26,25 @@ const checkCliAvailable = async () => {
 };
 
 /**
- * Run a shell command in a directory (used for npm).
- * @param {string} command - Command to run
- * @param {string} cwd - Working directory
- * @returns {Promise<object>} Command execution result with success, stdout, stderr, and error properties
- */
-const runCommand = async (command, cwd) => {
-    try {
-        const stdout = execSync(command, {
-            cwd,
-            encoding: 'utf-8',
-            stdio: 'pipe'
-        });
-        return {success: true, stdout};
-    } catch (err) {
-        return {
-            success: false,
-            stdout: err.stdout?.toString() || '',
-            stderr: err.stderr?.toString() || '',
-            error: err.message
-        };
-    }
-};
-
-/**
- * Run openblock-registry-cli against a (possibly untrusted) plugin directory.
- * See common/registry-cli.js for the trusted-path launcher.
+ * Run openblock-registry-cli against a (possibly untrusted) plugin directory,
+ * inside the build sandbox (packages/sandbox.js). See common/registry-cli.js for
+ * the trusted-path launcher.
  * @param {string[]} args - CLI arguments
- * @param {string} cwd - Plugin directory
- * @returns {object} Result with success, stdout, stderr, and error properties
+ * @param {string} pluginDir - Plugin directory
+ * @param {object} [options] - Sandbox options
+ * @param {string[]} [options.hiddenDirs] - Directories hidden from the build
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<object>} Result with success, stdout, stderr, and error properties
  */
-const runCli = (args, cwd) => {
-    try {
-        const stdout = runRegistryCli(args, {cwd});
-        return {success: true, stdout};
-    } catch (err) {
-        return {
-            success: false,
-            stdout: err.stdout?.toString() || '',
-            stderr: err.stderr?.toString() || '',
-            error: err.message
-        };
-    }
-};
+const runCli = (args, pluginDir, {hiddenDirs, signal} = {}) =>
+    runSandboxed([process.execPath, resolveCliBin(), ...args], {pluginDir, hiddenDirs, signal});
 
 /**
  * Validate plugin using openblock-registry-cli
  * @param {string} pluginDir - Plugin directory path
  * @param {string} type - Plugin type (devices/extensions)
- * @returns {Promise<object>} Validation result with valid and errors properties
+ * @returns {Promise<object>} Validation result with valid and errors properties; once valid, also the license
+ *     (SPDX id or null) and warnings (license issues that do not block publishing)
  */
 export const validatePlugin = async (pluginDir, type) => {
     logger.debug(`Validating plugin in ${pluginDir}...`);
@@ -120,8 +92,17 @@ export const validatePlugin = async (pluginDir, type) => {
             return {valid: false, errors};
         }
 
+        // Match LICENSE to an SPDX id and cross-check it with package.json
+        const licenseCheck = checkLicense({
+            text: await fs.readFile(path.join(pluginDir, 'LICENSE'), 'utf-8'),
+            declared: packageJson.license
+        });
+        if (licenseCheck.errors.length > 0) {
+            return {valid: false, errors: licenseCheck.errors};
+        }
+
         logger.debug('Plugin validation passed');
-        return {valid: true, errors: []};
+        return {valid: true, errors: [], warnings: licenseCheck.warnings, license: licenseCheck.spdxId};
 
     } catch (err) {
         errors.push(`Validation error: ${err.message}`);
@@ -129,34 +110,89 @@ export const validatePlugin = async (pluginDir, type) => {
     }
 };
 
+/** Lockfile policy violations listed in a refused build's error. */
+const MAX_REPORTED_VIOLATIONS = 5;
+
 /**
- * Build plugin using openblock-registry-cli
+ * Apply the lockfile policy (common/lockfile-policy.js) before anything is
+ * installed: refuse non-registry sources, report vulnerable versions.
+ * @param {string} lockPath - Lockfile path
+ * @returns {Promise<object>} Result with success, and vulnerabilities or error
+ */
+const checkLockfile = async lockPath => {
+    const lockName = path.basename(lockPath);
+    let lockfile;
+    try {
+        lockfile = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch (err) {
+        return {success: false, error: `${lockName} is not valid JSON: ${err.message}`};
+    }
+
+    let inspection;
+    try {
+        const advisories = await readAdvisories();
+        inspection = inspectLockfile(lockfile, advisories.packages);
+    } catch (err) {
+        return {success: false, error: `Cannot inspect ${lockName}: ${err.message}`};
+    }
+
+    const {violations, vulnerabilities} = inspection;
+    if (violations.length > 0) {
+        const shown = violations.slice(0, MAX_REPORTED_VIOLATIONS).map(formatViolation)
+            .join('; ');
+        const more = violations.length > MAX_REPORTED_VIOLATIONS ? ` (and ${violations.length - MAX_REPORTED_VIOLATIONS} more)` : '';
+        return {success: false, error: `${lockName} installs packages from outside the npm registry: ${shown}${more}`};
+    }
+    for (const item of vulnerabilities) {
+        logger.warn(`${item.name}@${item.version} is affected by ${item.id} (${item.severity}): ${item.title}`);
+    }
+    return {success: true, vulnerabilities};
+};
+
+/**
+ * Build plugin using openblock-registry-cli. Both the dependency install and the
+ * build run in the sandbox; only the install has network access. The lockfile
+ * is inspected first, and installed exactly as locked.
  * @param {string} pluginDir - Plugin directory path
- * @returns {Promise<object>} Build result with success, distPath, and error properties
+ * @param {AbortSignal} [signal] - Kills the install/build processes when aborted
+ * @param {string[]} [hiddenDirs] - Directories hidden from the plugin (e.g. the artifact directory)
+ * @returns {Promise<object>} Build result with success, distPath, vulnerabilities, and error properties
  */
-export const buildPlugin = async (pluginDir) => {
+export const buildPlugin = async (pluginDir, signal, hiddenDirs = []) => {
     logger.debug(`Building plugin in ${pluginDir}...`);
 
     try {
-        // Check if package-lock.json exists, if so, install dependencies
-        const lockPath = path.join(pluginDir, 'package-lock.json');
-        try {
-            await fs.access(lockPath);
+        // Install dependencies if the plugin locks any. `npm ci` refuses a lockfile
+        // out of sync with package.json instead of re-resolving, and with
+        // replace-registry-host=never a project .npmrc cannot redirect the
+        // registry tarball URLs the policy checked.
+        let vulnerabilities = [];
+        const lockPath = await findLockfile(pluginDir);
+        if (lockPath) {
+            const lockCheck = await checkLockfile(lockPath);
+            if (!lockCheck.success) {
+                return lockCheck;
+            }
+            vulnerabilities = lockCheck.vulnerabilities;
+
             logger.debug('Installing dependencies...');
-            const installResult = await runCommand('npm install --omit=dev --ignore-scripts', pluginDir);
+            const installResult = await runSandboxed(
+                ['npm', 'ci', '--omit=dev', '--ignore-scripts', '--replace-registry-host=never'],
+                {pluginDir, network: true, hiddenDirs, signal}
+            );
             if (!installResult.success) {
                 return {
                     success: false,
-                    error: `npm install failed: ${installResult.error}`
+                    error: `npm ci failed (${path.basename(lockPath)} must be in sync with package.json): ${installResult.error}`
                 };
             }
-        } catch {
-            logger.debug('No package-lock.json found, skipping npm install');
+        } else {
+            logger.debug('No lockfile found, skipping dependency install');
         }
 
         // Run build command
         logger.debug('Running openblock-registry-cli build...');
-        const buildResult = runCli(['build'], pluginDir);
+        const buildResult = await runCli(['build'], pluginDir, {hiddenDirs, signal});
 
         if (!buildResult.success) {
             return {
@@ -178,7 +214,7 @@ export const buildPlugin = async (pluginDir) => {
         }
 
         logger.debug(`Build successful, dist at ${distPath}`);
-        return {success: true, distPath};
+        return {success: true, distPath, vulnerabilities};
 
     } catch (err) {
         return {
@@ -189,16 +225,18 @@ export const buildPlugin = async (pluginDir) => {
 };
 
 /**
- * Extract translations using openblock-registry-cli
+ * Extract translations using openblock-registry-cli (sandboxed, no network)
  * @param {string} pluginDir - Plugin directory path
+ * @param {AbortSignal} [signal] - Kills the extract process when aborted
+ * @param {string[]} [hiddenDirs] - Directories hidden from the plugin
  * @returns {Promise<object>} Extraction result with success, translationsPath, and error properties
  */
-export const extractTranslations = async (pluginDir) => {
+export const extractTranslations = async (pluginDir, signal, hiddenDirs = []) => {
     logger.debug(`Extracting translations from ${pluginDir}...`);
 
     try {
         // Run i18n extract command
-        const extractResult = runCli(['i18n', 'extract'], pluginDir);
+        const extractResult = await runCli(['i18n', 'extract'], pluginDir, {hiddenDirs, signal});
 
         if (!extractResult.success) {
             // i18n extraction is optional, log warning but don't fail
@@ -243,10 +281,12 @@ export const extractTranslations = async (pluginDir) => {
  * @param {string} options.tag - Tag name
  * @param {string} options.type - Plugin type (devices/extensions)
  * @param {string} options.tempDir - Temporary directory for extraction
+ * @param {string[]} [options.hiddenDirs] - Directories hidden from the build sandbox (e.g. the artifact directory)
+ * @param {AbortSignal} [options.signal] - Aborts the clone/build/extract child processes
  * @returns {Promise<object>} Processing result with success, data, and error properties
  */
 export const processVersion = async (options) => {
-    const {owner, repo, tag, type, tempDir} = options;
+    const {owner, repo, tag, type, tempDir, hiddenDirs = [], signal} = options;
 
     logger.info(`Processing ${owner}/${repo}@${tag}...`);
 
@@ -256,7 +296,7 @@ export const processVersion = async (options) => {
 
         // 1. Download and extract
         logger.debug('Downloading and extracting...');
-        const {extractedPath, cleanup} = await downloadAndExtractTag(owner, repo, tag, tempDir);
+        const {extractedPath, committedAt, cleanup} = await downloadAndExtractTag(owner, repo, tag, tempDir, {signal});
 
         try {
             // 2. Validate plugin
@@ -269,10 +309,13 @@ export const processVersion = async (options) => {
                     error: `Validation failed: ${validationResult.errors.join(', ')}`
                 };
             }
+            for (const warning of validationResult.warnings) {
+                logger.warn(`${owner}/${repo}@${tag}: ${warning}`);
+            }
 
             // 3. Build plugin
             logger.debug('Building plugin...');
-            const buildResult = await buildPlugin(extractedPath);
+            const buildResult = await buildPlugin(extractedPath, signal, hiddenDirs);
             if (!buildResult.success) {
                 await cleanup();
                 return {
@@ -283,14 +326,18 @@ export const processVersion = async (options) => {
 
             // 4. Extract translations (optional)
             logger.debug('Extracting translations...');
-            const translationsResult = await extractTranslations(extractedPath);
+            const translationsResult = await extractTranslations(extractedPath, signal, hiddenDirs);
 
             // Return success with paths
             return {
                 success: true,
                 data: {
                     extractedPath,
+                    committedAt,
+                    license: validationResult.license,
+                    licenseWarnings: validationResult.warnings,
                     distPath: buildResult.distPath,
+                    vulnerabilities: buildResult.vulnerabilities,
                     translationsPath: translationsResult.translationsPath,
                     cleanup
                 }
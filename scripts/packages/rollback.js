@@ -0,0 +1,110 @@
+/**
+ * Roll packages.json back to an earlier snapshot.
+ *
+ * Every publish of packages.json leaves an immutable snapshot on R2 (see
+ * common/snapshots.js). This command re-promotes one of them to be the live
+ * index, e.g. after a sync published something broken.
+ *
+ * Usage:
+ *   node packages/rollback.js --list
+ *   node packages/rollback.js --to=previous [--dry-run] [--allow-unsigned]
+ *   node packages/rollback.js --to=packages-2026-01-01T00-00-00-000Z [--dry-run]
+ *
+ * Needs R2 credentials and REGISTRY_SIGNING_KEY unless --list or --dry-run is
+ * given (--allow-unsigned publishes without a signature).
+ */
+
+import {fileURLToPath} from 'url';
+import logger from '../common/logger.js';
+import {readSnapshotManifest, resolveSnapshot, promoteSnapshot} from '../common/snapshots.js';
+import {requireSigningKey} from '../common/signing.js';
+
+/**
+ * Format the snapshot manifest as a table, marking the live snapshot.
+ * @param {object} manifest - Snapshot manifest
+ * @returns {string} Printable table
+ */
+const formatSnapshotList = (manifest) => {
+    if (manifest.snapshots.length === 0) {
+        return 'No snapshots recorded yet';
+    }
+    const lines = ['  Snapshot                                   Source      Devices  Extensions'];
+    for (const snapshot of manifest.snapshots) {
+        const marker = snapshot.id === manifest.current ? '*' : ' ';
+        lines.push(`${marker} ${snapshot.id.padEnd(42)} ${snapshot.source.padEnd(11)} ` +
+            `${String(snapshot.devices).padStart(7)}  ${String(snapshot.extensions).padStart(10)}`);
+    }
+    lines.push('', '* = currently live');
+    return lines.join('\n');
+};
+
+/**
+ * Run the rollback command.
+ * @param {object} options - Parsed CLI options
+ * @param {boolean} options.list - Only list snapshots
+ * @param {string|null} options.to - Snapshot id or 'previous'
+ * @param {boolean} options.dryRun - Resolve the target but do not promote it
+ * @param {boolean} options.allowUnsigned - Publish without a signature when REGISTRY_SIGNING_KEY is not set
+ * @returns {Promise<object|null>} The snapshot rolled back to, or null when listing
+ */
+export const rollback = async ({list = false, to = null, dryRun = false, allowUnsigned = false} = {}) => {
+    const manifest = await readSnapshotManifest();
+
+    if (list) {
+        console.log(formatSnapshotList(manifest));
+        return null;
+    }
+
+    if (!to) {
+        throw new Error('Specify --to=<snapshot id> or --to=previous (use --list to see snapshots)');
+    }
+
+    const {snapshot, error} = resolveSnapshot(manifest, to);
+    if (error) {
+        throw new Error(error);
+    }
+    if (snapshot.id === manifest.current) {
+        logger.warn(`${snapshot.id} is already live; nothing to do`);
+        return snapshot;
+    }
+
+    logger.info(`Rolling back packages.json from ${manifest.current || '(unknown)'} to ${snapshot.id}`);
+    logger.info(`Target has ${snapshot.devices} device(s), ${snapshot.extensions} extension(s) (from ${snapshot.source})`);
+
+    if (dryRun) {
+        logger.warn('DRY RUN - packages.json not changed');
+        return snapshot;
+    }
+
+    requireSigningKey(allowUnsigned);
+    await promoteSnapshot(manifest, snapshot);
+    logger.success(`packages.json restored from ${snapshot.path}`);
+    return snapshot;
+};
+
+/**
+ * Parse CLI arguments.
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {object} Parsed options
+ */
+const parseArgs = (args) => {
+    const toArg = args.find(arg => arg.startsWith('--to='));
+    return {
+        list: args.includes('--list'),
+        dryRun: args.includes('--dry-run'),
+        allowUnsigned: args.includes('--allow-unsigned'),
+        to: toArg ? toArg.split('=')[1] : null
+    };
+};
+
+// CLI entry point
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    rollback(parseArgs(process.argv.slice(2))).catch(err => {
+        logger.error(err.message);
+        process.exit(1);
+    });
+}
+
+export default {
+    rollback
+};
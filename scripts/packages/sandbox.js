@@ -0,0 +1,181 @@
+/**
+ * Sandbox for the commands that touch untrusted plugin code during the build
+ * phase (npm ci, openblock-registry-cli build / i18n extract).
+ *
+ * Each command runs under bubblewrap (bwrap) in fresh user, PID, IPC, UTS,
+ * cgroup and network namespaces:
+ *   - the filesystem is a read-only view of the host, with only the plugin's
+ *     own directory writable. The run's temp directory (other plugins' clones),
+ *     the build artifact directory and the registry checkout's .git (which holds
+ *     the checkout token) are replaced by empty tmpfs mounts;
+ *   - there is no network, except for the dependency install;
+ *   - the environment is rebuilt from scratch, so nothing the runner exports
+ *     (GITHUB_TOKEN included) reaches plugin code;
+ *   - CPU time, address space and file size are capped with prlimit, and wall
+ *     clock time with a kill timeout (LIMITS.build*).
+ *
+ * There is no unsandboxed fallback: when bwrap is missing or user namespaces
+ * are disabled, the build fails with an error saying so.
+ */
+
+import {execFile} from 'child_process';
+import {existsSync} from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {LIMITS} from '../common/limits.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.resolve(__dirname, '../..');
+
+const BWRAP = 'bwrap';
+
+/** HOME inside the sandbox (on its private /tmp), so npm's cache stays there. */
+export const SANDBOX_HOME = '/tmp/home';
+
+let sandboxCheck = null;
+
+/**
+ * Directories hidden from every sandboxed command, besides the ones a caller adds.
+ * @returns {string[]} Absolute paths
+ */
+const defaultHiddenDirs = () => [
+    os.tmpdir(),
+    process.env.RUNNER_TEMP,
+    path.join(REPO_ROOT, '.git')
+].filter(Boolean);
+
+/**
+ * Environment of a sandboxed command. Built from scratch instead of inherited.
+ * @returns {object} Environment variables
+ */
+const sandboxEnv = () => ({
+    PATH: process.env.PATH,
+    HOME: SANDBOX_HOME,
+    LANG: 'C.UTF-8',
+    CI: 'true',
+    npm_config_update_notifier: 'false',
+    npm_config_fund: 'false',
+    npm_config_audit: 'false'
+});
+
+/**
+ * Arguments for bwrap that run a command in the sandbox. Pure.
+ * @param {object} options - Sandbox options
+ * @param {string[]} options.command - Command and its arguments (absolute path or looked up on PATH)
+ * @param {string} options.pluginDir - Plugin directory: working directory and the only writable path
+ * @param {boolean} [options.network] - Keep network access (dependency install only)
+ * @param {string[]} [options.hiddenDirs] - Directories replaced by an empty tmpfs
+ * @param {object} [options.limits] - Limit overrides (defaults to LIMITS)
+ * @returns {string[]} bwrap arguments
+ */
+export const buildSandboxArgs = ({command, pluginDir, network = false, hiddenDirs = [], limits = LIMITS}) => {
+    const args = [
+        '--unshare-all',
+        ...(network ? ['--share-net'] : []),
+        '--die-with-parent',
+        '--new-session',
+        '--ro-bind', '/', '/',
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp'
+    ];
+    // Hide parents before children, so a hidden directory inside another one
+    // is still mounted over.
+    const hidden = [...new Set(hiddenDirs.map(dir => path.resolve(dir)))].sort();
+    for (const dir of hidden) {
+        args.push('--tmpfs', dir);
+    }
+    // The plugin directory goes last: it usually lives in a hidden temp dir.
+    args.push(
+        '--bind', pluginDir, pluginDir,
+        '--chdir', pluginDir,
+        '--',
+        'prlimit',
+        `--cpu=${limits.buildCpuSeconds}`,
+        `--as=${limits.buildMemoryBytes}`,
+        `--fsize=${limits.buildFileBytes}`,
+        '--core=0',
+        '--',
+        ...command
+    );
+    return args;
+};
+
+/**
+ * Run bwrap, capturing its output.
+ * @param {string[]} args - bwrap arguments
+ * @param {object} [options] - execFile options
+ * @returns {Promise<object>} Result with success, stdout, stderr and error properties
+ */
+const runBwrap = (args, options = {}) => new Promise(resolve => {
+    execFile(BWRAP, args, {
+        encoding: 'utf-8',
+        maxBuffer: 64 * 1024 * 1024,
+        env: sandboxEnv(),
+        killSignal: 'SIGKILL',
+        ...options
+    }, (err, stdout, stderr) => {
+        if (err) {
+            const timedOut = err.killed && err.signal === 'SIGKILL' && !options.signal?.aborted;
+            resolve({
+                success: false,
+                stdout: stdout?.toString() || '',
+                stderr: stderr?.toString() || '',
+                error: timedOut ? `Timed out after ${options.timeout} ms` : err.message
+            });
+            return;
+        }
+        resolve({success: true, stdout, stderr});
+    });
+});
+
+/**
+ * Check once per process that bwrap is installed and can create the namespaces.
+ * @returns {Promise<{available: boolean, error: (string|null)}>} Whether builds can be sandboxed
+ */
+export const checkSandbox = () => {
+    if (!sandboxCheck) {
+        sandboxCheck = runBwrap(['--unshare-all', '--die-with-parent', '--ro-bind', '/', '/', 'true'], {timeout: 30000})
+            .then(result => (result.success ?
+                {available: true, error: null} :
+                {
+                    available: false,
+                    error: 'Plugin builds must run in a bubblewrap sandbox, which is not available here ' +
+                        `(${(result.stderr || result.error).trim()}). Install bubblewrap and allow unprivileged ` +
+                        'user namespaces.'
+                }));
+    }
+    return sandboxCheck;
+};
+
+/**
+ * Run a command against an untrusted plugin directory inside the sandbox.
+ * @param {string[]} command - Command and its arguments
+ * @param {object} options - Run options
+ * @param {string} options.pluginDir - Plugin directory
+ * @param {boolean} [options.network] - Keep network access
+ * @param {string[]} [options.hiddenDirs] - Extra directories to hide (e.g. the artifact directory)
+ * @param {AbortSignal} [options.signal] - Kills the sandbox when aborted
+ * @returns {Promise<object>} Result with success, stdout, stderr and error properties
+ */
+export const runSandboxed = async (command, {pluginDir, network = false, hiddenDirs = [], signal} = {}) => {
+    const {available, error} = await checkSandbox();
+    if (!available) {
+        return {success: false, stdout: '', stderr: '', error};
+    }
+    const args = buildSandboxArgs({
+        command,
+        pluginDir: path.resolve(pluginDir),
+        network,
+        hiddenDirs: [...defaultHiddenDirs(), ...hiddenDirs].filter(dir => existsSync(dir))
+    });
+    return runBwrap(args, {signal, timeout: LIMITS.buildCommandTimeoutMs});
+};
+
+export default {
+    SANDBOX_HOME,
+    buildSandboxArgs,
+    checkSandbox,
+    runSandboxed
+};
@@ -20,8 +20,8 @@ import path from 'path';
 import os from 'os';
 import fs from 'fs/promises';
 import logger from '../common/logger.js';
-import {readRegistryJson, parseRepoUrl, isValidSemver, compareSemver, calculateDiff, getPackageVersions} from './calculate-diff.js';
-import {fetchTags, fetchPackageJson, findOpenIssueByMarker, createIssue} from './github/api.js';
+import {readRegistryJson, parseRepoUrl, isValidSemver, calculateDiff, getPackageVersions} from './calculate-diff.js';
+import {fetchTags, fetchPackageJson, fetchReleaseBody, findOpenIssueByMarker, createIssue} from './github/api.js';
 import {createZipArchive} from './github/downloader.js';
 import {processVersion} from './plugin-processor.js';
 import {
@@ -31,20 +31,54 @@ import {
     mergePluginTranslations,
     pushToTransifex
 } from './translation-merger.js';
-import {uploadBuffer, uploadFile, uploadJson} from '../common/r2-client.js';
+import {uploadBuffer, uploadFile} from '../common/r2-client.js';
 import {
     fetchRemotePackagesJsonOrThrow,
     createEmptyPackagesJson,
     mergePackagesSections,
     getDevices,
     getExtensions,
+    findPackageVersion,
     addPackageVersion,
-    applyRecommendedFlags
+    applyRecommendedFlags,
+    applyYankedVersions,
+    delistUnregisteredPackages,
+    findBrokenExtensionRefs,
+    findToolchainGaps,
+    removePackagesByRepository
 } from '../common/packages-json.js';
 import {extractDisplay, hashIconBytes, computeDisplayHash} from '../common/display-manifest.js';
 import {readApprovedManifest} from '../common/approved-store.js';
 import {enforceDisplay, DISPLAY_ENTRY_FIELDS} from './display-enforcement.js';
 import {LIMITS} from '../common/limits.js';
+import {isPrerelease, getChannel, pickDisplayVersion} from '../common/semver.js';
+import {
+    readJournal,
+    writeJournal,
+    clearJournal,
+    recordKey,
+    getRecordStep,
+    markRecordStep,
+    isStepDone,
+    contentStep,
+    markStepDone
+} from '../common/publish-journal.js';
+import {publishPackagesJson} from '../common/snapshots.js';
+import {publishSearchIndex} from '../common/search-index.js';
+import {createSyncReport, writeSyncReport, defaultSyncReportPath} from '../common/sync-report.js';
+import {isSigningKeyConfigured, requireSigningKey, uploadSignature} from '../common/signing.js';
+import {readGuiRange} from '../common/gui-compat.js';
+import {readChangelog, resolveReleaseNotes} from '../common/release-notes.js';
+import {
+    SEVERITIES,
+    DEFAULT_BLOCK_SEVERITY,
+    scanDist,
+    blockingFindings,
+    formatFinding
+} from '../common/security-scan.js';
+import {checkArchiveContents, formatArchiveViolation, listArchiveFiles} from '../common/archive-policy.js';
+import {createSbom, readInstalledPackages, SBOM_MEDIA_TYPE} from '../common/sbom.js';
+import {OPENBLOCK_PLATFORMS} from '../toolchains/arduino/platform-mapper.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -109,6 +143,14 @@ const TEMP_DIR_PREFIX = 'openblock-sync-';
 const GLOBAL_TRANSLATIONS_DIR = path.resolve(__dirname, '../../.translations');
 // Build artifact handoff between the build and upload phases
 const BUILD_RESULT_FILENAME = 'build-result.json';
+const SBOM_FILENAME = 'sbom.cdx.json';
+// Security findings shown in a blocked version's error, and kept per build record
+const MAX_REPORTED_FINDINGS = 5;
+const MAX_RECORDED_FINDINGS = 50;
+// Security finding rows in the Markdown report (the JSON report has them all)
+const MAX_REPORT_FINDING_ROWS = 100;
+// Archive content policy violations shown in a refused version's error
+const MAX_REPORTED_ARCHIVE_VIOLATIONS = 10;
 
 /**
  * Run tasks with concurrency limit
@@ -165,9 +207,10 @@ const deriveProgramMode = openblock => {
  * @param {string} version - Version string
  * @param {string} repoUrl - Repository URL
  * @param {object} fileInfo - File information (url, checksum, size)
+ * @param {string|null} [guiRange] - Required OpenBlock GUI version range, from readGuiRange()
  * @returns {object} Package entry for packages.json
  */
-const buildPackageEntry = (distPackageJson, type, version, repoUrl, fileInfo) => {
+const buildPackageEntry = (distPackageJson, type, version, repoUrl, fileInfo, guiRange = null) => {
     const openblock = distPackageJson.openblock || {};
     const idField = type === 'devices' ? 'deviceId' : 'extensionId';
     const id = openblock[idField];
@@ -178,6 +221,17 @@ const buildPackageEntry = (distPackageJson, type, version, repoUrl, fileInfo) =>
         version
     };
 
+    // Prerelease versions carry their channel (e.g. 'beta') so clients only
+    // offer them to users who opted in. Stable versions omit the field.
+    if (isPrerelease(version)) {
+        entry.channel = getChannel(version);
+    }
+
+    // Versions that need a newer GUI say so, so older GUIs can skip them.
+    if (guiRange) {
+        entry.engines = {openblock: guiRange};
+    }
+
     // Copy all openblock fields directly from dist/package.json
     // This includes base64 iconURL, i18n formatted name/description, etc.
     const openblockFields = [
@@ -254,23 +308,47 @@ const buildPackageEntry = (distPackageJson, type, version, repoUrl, fileInfo) =>
  * Writes everything the upload phase needs to publish without re-running any
  * plugin code: the final zip (with deterministic checksum/size), the compiled
  * dist/package.json, the local icon files (at their relative paths so they can be
- * uploaded later), and the extracted translations.
+ * uploaded later), the extracted translations, and the CycloneDX SBOM of the
+ * installed dependencies.
  *
  * @param {object} options - Staging options
  * @param {string} options.type - Package type ('devices' or 'extensions')
  * @param {string} options.id - Package ID
  * @param {string} options.version - Version string
  * @param {string} options.repoUrl - Repository URL
+ * @param {string} [options.commitSha] - Commit the tag pointed at when it was built
+ * @param {string} [options.committedAt] - ISO date of that commit, read from the clone
+ * @param {string|null} [options.license] - SPDX id matched from the LICENSE file
+ * @param {string[]} [options.licenseWarnings] - License issues found by validation, for the sync report
+ * @param {Array<object>} [options.vulnerabilities] - Installed dependency versions listed in advisories.json
  * @param {string} options.distPath - Built dist directory
  * @param {string} [options.translationsPath] - Extracted .translations directory, if any
  * @param {string} options.artifactDir - Root artifact directory
+ * @param {string|null} [options.releaseBody] - Body of the GitHub release for the tag, if any
+ * @param {string} [options.blockSeverity] - Lowest security finding severity that refuses the version
  * @returns {Promise<object>} Serializable build record
  */
-const stageVersionArtifact = async ({type, id, version, repoUrl, sourcePath, distPath, translationsPath, artifactDir}) => {
+const stageVersionArtifact = async ({
+    type, id, version, repoUrl, commitSha, committedAt = null, license = null, licenseWarnings = [], vulnerabilities = [], sourcePath, distPath,
+    translationsPath, artifactDir, releaseBody = null, blockSeverity = DEFAULT_BLOCK_SEVERITY
+}) => {
     const relDir = path.posix.join(type, id, version);
     const versionDir = path.join(artifactDir, type, id, version);
     await fs.mkdir(versionDir, {recursive: true});
 
+    // Only files the content policy allows reach users: anything else (stray
+    // binaries, symlinks, unsafe names) refuses the version, listed per file.
+    // Checked before anything below reads from dist/, so no symlink is followed.
+    const archiveViolations = checkArchiveContents(await listArchiveFiles(distPath), type);
+    if (archiveViolations.length > 0) {
+        const shown = archiveViolations.slice(0, MAX_REPORTED_ARCHIVE_VIOLATIONS).map(formatArchiveViolation)
+            .join('; ');
+        const more = archiveViolations.length > MAX_REPORTED_ARCHIVE_VIOLATIONS ?
+            ` (and ${archiveViolations.length - MAX_REPORTED_ARCHIVE_VIOLATIONS} more)` :
+            '';
+        throw new Error(`Archive content policy refused this version: ${shown}${more}`);
+    }
+
     // Compiled package.json drives entry building and tells us which icons are local.
     const distPackageJsonPath = path.join(distPath, 'package.json');
     const distPackageJson = JSON.parse(await fs.readFile(distPackageJsonPath, 'utf-8'));
@@ -298,6 +376,20 @@ const stageVersionArtifact = async ({type, id, version, repoUrl, sourcePath, dis
         icons[field] = rel;
     }
 
+    // The GUI compatibility range is read from the source package.json: the
+    // compiled one keeps only whitelisted root fields and drops `engines`.
+    const sourcePackageJson = JSON.parse(await fs.readFile(path.join(sourcePath, 'package.json'), 'utf-8'));
+    const {range: guiRange, error: guiRangeError} = readGuiRange(sourcePackageJson);
+    if (guiRangeError) {
+        throw new Error(guiRangeError);
+    }
+
+    // Release notes: the GitHub release body, or the version's CHANGELOG.md
+    // section when the release has none. Sanitized here, before the record
+    // crosses the job boundary.
+    const changelog = await readChangelog(sourcePath);
+    const releaseNotes = resolveReleaseNotes({releaseBody, changelog, version});
+
     // Hash the SOURCE icon bytes (pre-build, straight from the cloned repo) — not
     // the dist bytes. The build may re-encode large icons via sharp, whose output
     // is not byte-deterministic across platforms, so dist bytes could never agree
@@ -322,6 +414,21 @@ const stageVersionArtifact = async ({type, id, version, repoUrl, sourcePath, dis
     const display = extractDisplay(distPackageJson);
     const displayHash = computeDisplayHash(display, iconHashes);
 
+    // Scan the built JavaScript before it is zipped: blocking findings refuse the
+    // version (reported on the plugin repository like any build error), the rest
+    // go to the sync report.
+    const securityFindings = await scanDist(distPath);
+    const blocking = blockingFindings(securityFindings, blockSeverity);
+    if (blocking.length > 0) {
+        const shown = blocking.slice(0, MAX_REPORTED_FINDINGS).map(formatFinding)
+            .join('; ');
+        const more = blocking.length > MAX_REPORTED_FINDINGS ? ` (and ${blocking.length - MAX_REPORTED_FINDINGS} more)` : '';
+        throw new Error(`Security scan blocked this version: ${shown}${more}`);
+    }
+    if (securityFindings.length > 0) {
+        logger.warn(`${id}@${version}: ${securityFindings.length} security finding(s) below the '${blockSeverity}' block severity`);
+    }
+
     // Build the final zip now so its bytes (and thus checksum/size) are frozen
     // before the artifact crosses the job boundary.
     const archiveFileName = `${id}-${version}.zip`;
@@ -344,11 +451,18 @@ const stageVersionArtifact = async ({type, id, version, repoUrl, sourcePath, dis
         }
     }
 
+    // Bill of materials of what the build installed, read from the lockfile and
+    // node_modules before the clone is cleaned up.
+    const sbom = createSbom({id, version, repoUrl, license, packages: await readInstalledPackages(sourcePath)});
+    await fs.writeFile(path.join(versionDir, SBOM_FILENAME), `${JSON.stringify(sbom, null, 2)}\n`);
+
     return {
         type,
         id,
         version,
         repoUrl,
+        commitSha,
+        committedAt,
         dir: relDir,
         archiveFileName,
         checksum: zipResult.checksum,
@@ -356,33 +470,103 @@ const stageVersionArtifact = async ({type, id, version, repoUrl, sourcePath, dis
         icons,
         iconHashes,
         displayHash,
-        hasTranslations
+        guiRange,
+        releaseNotes,
+        license,
+        licenseWarnings,
+        vulnerabilities: vulnerabilities.slice(0, MAX_RECORDED_FINDINGS),
+        securityFindings: securityFindings.slice(0, MAX_RECORDED_FINDINGS),
+        hasTranslations,
+        hasSbom: true
     };
 };
 
+/**
+ * Build a version a second time, from a fresh clone, and compare the zip with the
+ * staged one. Catches builds whose output depends on more than the tagged source
+ * (timestamps, randomness, unpinned downloads), whose checksums would change on
+ * every --rebuild.
+ * @param {object} options - Build options (type, owner, repo, id, version, tempDir, artifactDir, signal)
+ * @param {string} checksum - Checksum of the staged zip
+ * @returns {Promise<object>} Result with success, and error when the zips differ
+ */
+const checkReproducibleBuild = async ({type, owner, repo, id, version, tempDir, artifactDir, signal}, checksum) => {
+    const processResult = await processVersion({owner, repo, tag: version, type, tempDir, hiddenDirs: [artifactDir], signal});
+    if (!processResult.success) {
+        return {success: false, error: `Reproducibility check build failed: ${processResult.error}`};
+    }
+
+    const {distPath, cleanup} = processResult.data;
+    const zipPath = path.join(tempDir, `${id}-${version}.check.zip`);
+    try {
+        const zipResult = await createZipArchive(distPath, zipPath);
+        if (zipResult.checksum !== checksum) {
+            return {
+                success: false,
+                error: `Build is not reproducible: two builds of ${version} produced different zips ` +
+                    `(SHA-256 ${checksum} and ${zipResult.checksum})`
+            };
+        }
+        return {success: true};
+    } finally {
+        await fs.rm(zipPath, {force: true}).catch(() => {});
+        await cleanup();
+    }
+};
+
 /**
  * Build a single version (download, validate, build, extract) and stage it.
  * Performs no R2 access.
- * @param {object} options - Build options (type, owner, repo, id, version, repoUrl, tempDir, artifactDir)
+ * @param {object} options - Build options (type, owner, repo, id, version, repoUrl, commitSha, tempDir, artifactDir,
+ *     checkReproducible, blockSeverity, signal)
  * @returns {Promise<object>} Result with success and either record or error
  */
-const buildVersion = async ({type, owner, repo, id, version, repoUrl, tempDir, artifactDir}) => {
-    const processResult = await processVersion({owner, repo, tag: version, type, tempDir});
+const buildVersion = async ({
+    type, owner, repo, id, version, repoUrl, commitSha, tempDir, artifactDir, checkReproducible = false, blockSeverity, signal
+}) => {
+    const processResult = await processVersion({owner, repo, tag: version, type, tempDir, hiddenDirs: [artifactDir], signal});
     if (!processResult.success) {
         return {success: false, error: processResult.error};
     }
 
-    const {extractedPath, distPath, translationsPath, cleanup} = processResult.data;
+    const {extractedPath, committedAt, license, licenseWarnings, vulnerabilities, distPath, translationsPath, cleanup} = processResult.data;
+    let record;
     try {
-        const record = await stageVersionArtifact({
-            type, id, version, repoUrl, sourcePath: extractedPath, distPath, translationsPath, artifactDir
+        const releaseBody = await fetchReleaseBody(owner, repo, version);
+        record = await stageVersionArtifact({
+            type,
+            id,
+            version,
+            repoUrl,
+            commitSha,
+            committedAt,
+            license,
+            licenseWarnings,
+            vulnerabilities,
+            sourcePath: extractedPath,
+            distPath,
+            translationsPath,
+            artifactDir,
+            releaseBody,
+            blockSeverity
         });
-        return {success: true, record};
     } catch (err) {
         return {success: false, error: err.message};
     } finally {
         await cleanup();
     }
+
+    if (checkReproducible) {
+        try {
+            const check = await checkReproducibleBuild({type, owner, repo, id, version, tempDir, artifactDir, signal}, record.checksum);
+            if (!check.success) {
+                return {success: false, error: check.error};
+            }
+        } catch (err) {
+            return {success: false, error: `Reproducibility check failed: ${err.message}`};
+        }
+    }
+    return {success: true, record};
 };
 
 /**
@@ -425,7 +609,9 @@ const planReconciliation = (toAdd, toSkip, validTagNames, currentEntry, approved
     if (!approvedDisplayHash || currentEntry.pendingDisplayHash !== approvedDisplayHash) {
         return {toAdd, toSkip, reconciledTag: null};
     }
-    const latestTag = [...validTagNames].sort((a, b) => -compareSemver(a, b))[0];
+    // The display is taken from the newest stable tag, so that is the one whose
+    // rebuild promotes it (prereleases never drive the top-level display).
+    const latestTag = pickDisplayVersion(validTagNames);
     if (!latestTag || toAdd.includes(latestTag)) {
         return {toAdd, toSkip, reconciledTag: null};
     }
@@ -463,15 +649,64 @@ const applyApprovedDisplay = (entry, currentEntry) => {
  * Enforces the display freeze (§5.7/§5.8) before writing the entry: asserts the
  * repo→id binding (R3.1) and, on display drift, forces the display back to the
  * approved baseline (strategy b) instead of publishing the drifted values.
+ *
+ * Each R2 side effect is recorded in the publish journal as soon as it completes,
+ * and so is the final entry. On a resumed upload a finished version only has its
+ * entry and translations re-applied in memory, and a half-finished one skips the
+ * uploads it already did.
  * @param {object} record - Build record produced by stageVersionArtifact
  * @param {string} artifactDir - Root artifact directory
  * @param {object} currentPackages - Packages.json being assembled
  * @param {object} globalTranslations - Global translations from R2 (mutated in place)
- * @returns {Promise<object>} Result with currentPackages and url
+ * @param {object} journal - Publish journal (updated and persisted in place)
+ * @param {object} [baselinePackages] - Published packages.json the run started from; a version republished from it
+ *     keeps its publishedAt
+ * @returns {Promise<object>} Result with currentPackages, url and whether it was resumed from the journal
  */
-const publishVersion = async (record, artifactDir, currentPackages, globalTranslations) => {
-    const {type, id, version, repoUrl, dir, archiveFileName, checksum, size, hasTranslations, displayHash} = record;
+const publishVersion = async (record, artifactDir, currentPackages, globalTranslations, journal, baselinePackages = currentPackages) => {
+    const {
+        type,
+        id,
+        version,
+        repoUrl,
+        commitSha,
+        committedAt = null,
+        dir,
+        archiveFileName,
+        checksum,
+        size,
+        hasTranslations,
+        hasSbom = false,
+        displayHash,
+        guiRange = null,
+        releaseNotes = null,
+        license = null
+    } = record;
     const versionDir = path.join(artifactDir, dir);
+    const key = recordKey(record);
+
+    // Translations only live in memory until the end of the run, so they are
+    // merged again even when the rest of the version was already published.
+    // The localized interface strings come from the l10n the build injected.
+    const mergeTranslations = async () => {
+        if (!globalTranslations) return;
+        const {openblock} = JSON.parse(await fs.readFile(path.join(versionDir, 'package.json'), 'utf-8'));
+        const l10n = openblock?.l10n || null;
+        if (hasTranslations || l10n) {
+            await mergePluginTranslations(path.join(versionDir, '.translations'), globalTranslations, id, l10n);
+        }
+    };
+
+    const journaledEntry = getRecordStep(journal, key, 'entry');
+    if (journaledEntry) {
+        await mergeTranslations();
+        return {
+            currentPackages: addPackageVersion(currentPackages, type, journaledEntry),
+            url: journaledEntry.url,
+            size,
+            resumed: true
+        };
+    }
 
     // Read the staged compiled package.json
     const distPackageJson = JSON.parse(
@@ -502,28 +737,74 @@ const publishVersion = async (record, artifactDir, currentPackages, globalTransl
     // display. On override the approved display+icons are reused from the live
     // entry, so the drifted icons are never uploaded.
     if (!override) {
-        const iconUpdates = await uploadPluginIcons(distPackageJson.openblock || {}, type, id, versionDir);
+        let iconUpdates = getRecordStep(journal, key, 'icons');
+        if (!iconUpdates) {
+            iconUpdates = await uploadPluginIcons(distPackageJson.openblock || {}, type, id, versionDir);
+            await writeJournal(artifactDir, markRecordStep(journal, key, 'icons', iconUpdates));
+        }
         if (Object.keys(iconUpdates).length > 0) {
             distPackageJson.openblock = {...(distPackageJson.openblock || {}), ...iconUpdates};
         }
     }
 
     // Upload the prebuilt zip (code always flows, regardless of display drift)
-    const remotePath = `${type}/${id}/${version}.zip`;
-    const uploadResult = await uploadFile(path.join(versionDir, 'plugin.zip'), remotePath);
+    // and its detached signature
+    let uploadResult = getRecordStep(journal, key, 'zip');
+    if (!uploadResult) {
+        const remotePath = `${type}/${id}/${version}.zip`;
+        const zipPath = path.join(versionDir, 'plugin.zip');
+        uploadResult = await uploadFile(zipPath, remotePath);
+        await uploadSignature(await fs.readFile(zipPath), remotePath);
+        await writeJournal(artifactDir, markRecordStep(journal, key, 'zip', {url: uploadResult.url}));
+    }
 
-    // Merge translations (mutates globalTranslations)
-    if (hasTranslations && globalTranslations) {
-        await mergePluginTranslations(path.join(versionDir, '.translations'), globalTranslations, id);
+    // Upload the SBOM and its signature next to the zip (records staged before
+    // SBOMs have none)
+    let sbomUpload = getRecordStep(journal, key, 'sbom');
+    if (hasSbom && !sbomUpload) {
+        const sbomBytes = await fs.readFile(path.join(versionDir, SBOM_FILENAME));
+        sbomUpload = await uploadBuffer(sbomBytes, `${type}/${id}/${version}.cdx.json`, SBOM_MEDIA_TYPE);
+        await uploadSignature(sbomBytes, `${type}/${id}/${version}.cdx.json`);
+        await writeJournal(artifactDir, markRecordStep(journal, key, 'sbom', {url: sbomUpload.url}));
     }
 
+    // Merge translations (mutates globalTranslations)
+    await mergeTranslations();
+
     // Build entry using the deterministic checksum/size frozen at build time
     let packageEntry = buildPackageEntry(distPackageJson, type, version, repoUrl, {
         url: uploadResult.url,
         archiveFileName,
         checksum,
         size
-    });
+    }, guiRange);
+
+    if (sbomUpload) {
+        packageEntry.sbomUrl = sbomUpload.url;
+    }
+
+    // Pin the source commit so a later sync can tell if the tag was moved.
+    if (commitSha) {
+        packageEntry.commitSha = commitSha;
+    }
+
+    // When the tagged commit was made, and when the version first went live. A
+    // republished version (rebuild, display reconciliation) keeps its publish time.
+    if (committedAt) {
+        packageEntry.committedAt = committedAt;
+    }
+    const baselineList = type === 'devices' ? getDevices(baselinePackages) : getExtensions(baselinePackages);
+    packageEntry.publishedAt = findPackageVersion(baselineList, id, version)?.publishedAt ?? new Date().toISOString();
+
+    // What changed in this version, sanitized at build time.
+    if (releaseNotes) {
+        packageEntry.releaseNotes = releaseNotes;
+    }
+
+    // SPDX id matched from LICENSE. A package-level field, taken from the display version.
+    if (license) {
+        packageEntry.license = license;
+    }
 
     if (override) {
         packageEntry = applyApprovedDisplay(packageEntry, currentEntry);
@@ -536,10 +817,13 @@ const publishVersion = async (record, artifactDir, currentPackages, globalTransl
         packageEntry.displayPendingReview = true;
     }
 
+    await writeJournal(artifactDir, markRecordStep(journal, key, 'entry', packageEntry));
+
     return {
         currentPackages: addPackageVersion(currentPackages, type, packageEntry),
         url: uploadResult.url,
-        size
+        size,
+        resumed: false
     };
 };
 
@@ -552,12 +836,13 @@ const publishVersion = async (record, artifactDir, currentPackages, globalTransl
  * @param {string} tempDir - Temporary directory for clones
  * @param {object} options - Processing options
  * @param {string} artifactDir - Root artifact directory
- * @returns {Promise<object>} Result with built, skipped and errors arrays
+ * @returns {Promise<object>} Result with built, skipped, moved and errors arrays
  */
 const buildRepository = async (type, repoUrl, currentPackages, tempDir, options, artifactDir) => {
     const {owner, repo} = parseRepoUrl(repoUrl);
     const built = [];
     const skipped = [];
+    const moved = [];
     const errors = [];
 
     logger.info(`Processing ${type}: ${owner}/${repo}`);
@@ -569,7 +854,7 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
 
         if (validTags.length === 0) {
             logger.warn(`No valid semantic version tags found in ${owner}/${repo}`);
-            return {built, skipped, errors};
+            return {built, skipped, moved, errors};
         }
 
         logger.info(`Found ${validTags.length} valid version(s) in ${owner}/${repo}`);
@@ -584,7 +869,7 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
         if (!id) {
             const error = `Missing ${type === 'devices' ? 'deviceId' : 'extensionId'} in package.json`;
             errors.push({type, repo: `${owner}/${repo}`, version: firstTag, error});
-            return {built, skipped, errors};
+            return {built, skipped, moved, errors};
         }
 
         const currentVersions = getPackageVersions(
@@ -593,7 +878,18 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
         );
 
         // Calculate diff
-        let {toAdd, toSkip} = calculateDiff(validTags, currentVersions);
+        const diff = calculateDiff(validTags, currentVersions);
+        let {toAdd, toSkip} = diff;
+
+        // A published tag that now points at another commit is not rebuilt (that
+        // would silently republish different code under the same version); it is
+        // flagged for the report and an issue on the plugin repository instead.
+        if (!options.rebuild) {
+            for (const tag of diff.moved) {
+                logger.warn(`${owner}/${repo}@${tag.version}: tag moved from ${tag.publishedSha} to ${tag.currentSha}`);
+                moved.push({type, id, repo: `${owner}/${repo}`, ...tag});
+            }
+        }
 
         // Display reconciliation (§5.8): re-check the freeze on an already-synced
         // version whose display is still overridden, but only once the committed
@@ -635,7 +931,19 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
         }
 
         // Build versions to add
-        for (const version of toAdd) {
+        const tagShas = new Map(validTags.map(tag => [tag.name, tag.commit?.sha]));
+        for (const [index, version] of toAdd.entries()) {
+            // Out of time (see buildRepositoryIsolated): report what is left and stop.
+            if (options.signal?.aborted) {
+                errors.push({
+                    type,
+                    repo: `${owner}/${repo}`,
+                    version,
+                    error: `${options.signal.reason.message}; ${toAdd.length - index} version(s) not built this run`
+                });
+                break;
+            }
+
             if (options.dryRun) {
                 logger.info(`[DRY RUN] Would process ${owner}/${repo}@${version}`);
                 built.push({
@@ -649,14 +957,33 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
             }
 
             logger.info(`Building version ${owner}/${repo}@${version}...`);
-            const result = await buildVersion({type, owner, repo, id, version, repoUrl, tempDir, artifactDir});
+            const result = await buildVersion({
+                type,
+                owner,
+                repo,
+                id,
+                version,
+                repoUrl,
+                commitSha: tagShas.get(version),
+                tempDir,
+                artifactDir,
+                checkReproducible: options.checkReproducible,
+                blockSeverity: options.blockSeverity,
+                signal: options.signal
+            });
             if (!result.success) {
+                const aborted = options.signal?.aborted;
                 errors.push({
                     type,
                     repo: `${owner}/${repo}`,
                     version,
-                    error: result.error
+                    error: aborted ?
+                        `${options.signal.reason.message}; ${toAdd.length - index} version(s) not built this run` :
+                        result.error
                 });
+                if (aborted) {
+                    break;
+                }
                 continue;
             }
 
@@ -664,22 +991,126 @@ const buildRepository = async (type, repoUrl, currentPackages, tempDir, options,
             logger.success(`Built ${owner}/${repo}@${version}`);
         }
 
-        return {built, skipped, errors};
+        return {built, skipped, moved, errors};
 
     } catch (err) {
         logger.error(`Failed to process ${owner}/${repo}: ${err.message}`);
         errors.push({repo: `${owner}/${repo}`, version: 'N/A', error: err.message});
-        return {built, skipped, errors};
+        return {built, skipped, moved, errors};
     }
 };
 
+/**
+ * Build one repository in its own temporary directory under a wall-clock budget.
+ *
+ * Repositories build concurrently, so each gets a private temp dir (clone paths
+ * are derived from the repo name, which is not unique across owners). When the
+ * budget runs out the signal is aborted: running git/npm/CLI processes are
+ * killed and buildRepository stops, keeping the versions it already built.
+ * @param {object} task - {type, repoUrl}
+ * @param {object} currentPackages - Current packages.json (read-only, for diffing)
+ * @param {string} tempDir - Run-wide temporary directory
+ * @param {object} options - Processing options
+ * @param {string} artifactDir - Root artifact directory
+ * @param {number} [timeoutMs] - Wall-clock budget for the repository
+ * @returns {Promise<object>} buildRepository result plus its durationMs
+ */
+const buildRepositoryIsolated = async ({type, repoUrl}, currentPackages, tempDir, options, artifactDir,
+    timeoutMs = LIMITS.maxRepoBuildMs) => {
+    const {owner, repo} = parseRepoUrl(repoUrl);
+    const startedAt = Date.now();
+    const repoTempDir = await fs.mkdtemp(path.join(tempDir, `${owner}-${repo}-`));
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        logger.error(`${owner}/${repo}: build exceeded ${Math.round(timeoutMs / 1000)}s, aborting`);
+        controller.abort(new Error(`Repository build timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    try {
+        const result = await buildRepository(
+            type, repoUrl, currentPackages, repoTempDir, {...options, signal: controller.signal}, artifactDir
+        );
+        return {...result, durationMs: Date.now() - startedAt};
+    } finally {
+        clearTimeout(timer);
+        await fs.rm(repoTempDir, {recursive: true, force: true}).catch(() => {});
+    }
+};
+
+/**
+ * Security findings of built versions, one row per finding.
+ * @param {Array<object>} records - Build records
+ * @returns {Array<object>} Findings with type, id, repo and version added
+ */
+const collectSecurityFindings = records => records.flatMap(record => {
+    const {owner, repo} = parseRepoUrl(record.repoUrl);
+    return (record.securityFindings || []).map(finding => ({
+        type: record.type,
+        id: record.id,
+        repo: `${owner}/${repo}`,
+        version: record.version,
+        ...finding
+    }));
+});
+
+/**
+ * License warnings of built versions (unrecognized or non-OSI licenses), one row per warning.
+ * @param {Array<object>} records - Build records
+ * @returns {Array<object>} Rows ({type, id, repo, version, warning})
+ */
+const collectLicenseWarnings = records => records.flatMap(record => {
+    const {owner, repo} = parseRepoUrl(record.repoUrl);
+    return (record.licenseWarnings || []).map(warning => ({
+        type: record.type,
+        id: record.id,
+        repo: `${owner}/${repo}`,
+        version: record.version,
+        warning
+    }));
+});
+
+/**
+ * Vulnerable dependency versions of built versions, one row per advisory.
+ * @param {Array<object>} records - Build records
+ * @returns {Array<object>} Vulnerabilities with type, id, repo and version added (the package's own
+ *     version is `packageVersion`)
+ */
+const collectVulnerabilities = records => records.flatMap(record => {
+    const {owner, repo} = parseRepoUrl(record.repoUrl);
+    return (record.vulnerabilities || []).map(item => ({
+        type: record.type,
+        id: record.id,
+        repo: `${owner}/${repo}`,
+        version: record.version,
+        packageName: item.name,
+        packageVersion: item.version,
+        advisory: item.id,
+        severity: item.severity,
+        title: item.title,
+        url: item.url
+    }));
+});
+
 /**
  * Generate sync report in Markdown format
  * @param {object} results - Sync results
  * @returns {string} Markdown report
  */
 const generateReport = (results) => {
-    const {added, skipped, errors, repositoryStats, dryRun} = results;
+    const {
+        added,
+        skipped,
+        errors,
+        repositoryStats,
+        dryRun,
+        delisted = [],
+        moved = [],
+        brokenRefs = [],
+        toolchainGaps = [],
+        securityFindings = [],
+        licenseWarnings = [],
+        vulnerabilities = []
+    } = results;
 
     let report = '## Package Sync Report\n\n';
 
@@ -730,6 +1161,100 @@ const generateReport = (results) => {
         report += '\n';
     }
 
+    // Moved tags
+    if (moved.length > 0) {
+        report += '### Moved Tags (Published Archive No Longer Matches Source)\n\n';
+        report += '| Type | ID | Repository | Version | Published Commit | Current Commit |\n';
+        report += '|------|-----|------------|---------|------------------|----------------|\n';
+        moved.forEach(item => {
+            const typeLabel = item.type === 'devices' ? 'device' : 'extension';
+            report += `| ${typeLabel} | ${item.id} | ${item.repo} | ${item.version} | ` +
+                `${item.publishedSha.slice(0, 7)} | ${item.currentSha.slice(0, 7)} |\n`;
+        });
+        report += '\n';
+    }
+
+    // Devices bundling extensions that are not published
+    if (brokenRefs.length > 0) {
+        report += '### Devices Bundling Unavailable Extensions\n\n';
+        report += '| Device | Repository | Extension | Problem |\n';
+        report += '|--------|------------|-----------|---------|\n';
+        brokenRefs.forEach(item => {
+            report += `| ${item.deviceId} | ${item.repository} | ${item.extensionId} | ${item.reason} |\n`;
+        });
+        report += '\n';
+    }
+
+    // Devices using toolchains that are missing, or missing platforms
+    if (toolchainGaps.length > 0) {
+        report += '### Devices With Toolchain Gaps\n\n';
+        report += '| Device | Repository | Toolchain | Missing Platforms |\n';
+        report += '|--------|------------|-----------|-------------------|\n';
+        toolchainGaps.forEach(item => {
+            const missing = item.reason === 'unknown' ? 'all (unknown toolchain)' : item.missingPlatforms.join(', ');
+            report += `| ${item.deviceId} | ${item.repository} | ${item.toolchainId} | ${missing} |\n`;
+        });
+        report += '\n';
+    }
+
+    // Security scan findings below the block severity
+    if (securityFindings.length > 0) {
+        report += '### Security Findings\n\n';
+        report += '| Type | ID | Version | Severity | Rule | Location | Detail |\n';
+        report += '|------|-----|---------|----------|------|----------|--------|\n';
+        securityFindings.slice(0, MAX_REPORT_FINDING_ROWS).forEach(item => {
+            const typeLabel = item.type === 'devices' ? 'device' : 'extension';
+            const location = item.line ? `${item.file}:${item.line}` : item.file;
+            const count = item.count > 1 ? ` (${item.count}×)` : '';
+            report += `| ${typeLabel} | ${item.id} | ${item.version} | ${item.severity} | ${item.rule} | ${location} | ${item.message}${count} |\n`;
+        });
+        if (securityFindings.length > MAX_REPORT_FINDING_ROWS) {
+            report += `\n…and ${securityFindings.length - MAX_REPORT_FINDING_ROWS} more in the JSON report.\n`;
+        }
+        report += '\n';
+    }
+
+    // Dependencies with a known advisory (advisories.json), reported but not refused
+    if (vulnerabilities.length > 0) {
+        report += '### Vulnerable Dependencies\n\n';
+        report += '| Type | ID | Version | Dependency | Severity | Advisory |\n';
+        report += '|------|-----|---------|------------|----------|----------|\n';
+        vulnerabilities.slice(0, MAX_REPORT_FINDING_ROWS).forEach(item => {
+            const typeLabel = item.type === 'devices' ? 'device' : 'extension';
+            const advisory = item.url ? `[${item.advisory}](${item.url})` : item.advisory;
+            report += `| ${typeLabel} | ${item.id} | ${item.version} | ${item.packageName}@${item.packageVersion} | ` +
+                `${item.severity} | ${advisory}: ${item.title} |\n`;
+        });
+        if (vulnerabilities.length > MAX_REPORT_FINDING_ROWS) {
+            report += `\n…and ${vulnerabilities.length - MAX_REPORT_FINDING_ROWS} more in the JSON report.\n`;
+        }
+        report += '\n';
+    }
+
+    // Licenses that need a human look before redistribution
+    if (licenseWarnings.length > 0) {
+        report += '### License Warnings\n\n';
+        report += '| Type | ID | Version | Warning |\n';
+        report += '|------|-----|---------|---------|\n';
+        licenseWarnings.forEach(item => {
+            const typeLabel = item.type === 'devices' ? 'device' : 'extension';
+            report += `| ${typeLabel} | ${item.id} | ${item.version} | ${item.warning} |\n`;
+        });
+        report += '\n';
+    }
+
+    // Delisted
+    if (delisted.length > 0) {
+        report += dryRun ? '### Would Delist (No Longer Registered)\n\n' : '### Delisted (No Longer Registered)\n\n';
+        report += '| Type | ID | Repository |\n';
+        report += '|------|-----|------------|\n';
+        delisted.forEach(item => {
+            const typeLabel = item.type === 'devices' ? 'device' : 'extension';
+            report += `| ${typeLabel} | ${item.id} | ${item.repository} |\n`;
+        });
+        report += '\n';
+    }
+
     // Repository Status
     if (repositoryStats && repositoryStats.length > 0) {
         report += '### Repository Status\n\n';
@@ -744,6 +1269,55 @@ const generateReport = (results) => {
     return report;
 };
 
+/**
+ * Turn a moved-tag finding into an error entry for createErrorIssues.
+ * @param {object} item - Moved tag ({repo, version, publishedSha, currentSha})
+ * @returns {object} Error entry ({type, repo, version, error})
+ */
+const movedTagError = (item) => ({
+    type: item.type,
+    repo: item.repo,
+    version: item.version,
+    error: `Tag ${item.version} was moved from ${item.publishedSha} to ${item.currentSha} after it was published, ` +
+        'so the published archive no longer matches the source. Restore the tag, or release the change as a new version.'
+});
+
+/**
+ * Turn a broken device → extension reference into an error entry for
+ * createErrorIssues, so the device's maintainers hear about it.
+ * @param {object} item - Entry from findBrokenExtensionRefs()
+ * @returns {object} Error entry ({type, repo, version, error})
+ */
+const brokenRefError = (item) => {
+    const {owner, repo} = parseRepoUrl(item.repository);
+    const problem = item.reason === 'delisted' ? 'has been removed from the registry' : 'is not published in the registry';
+    return {
+        type: 'devices',
+        repo: `${owner}/${repo}`,
+        version: item.version,
+        error: `Device ${item.deviceId} lists extension '${item.extensionId}' in openblock.extensions, but it ${problem}, ` +
+            'so it will fail to load for users. Fix the extension id or remove it from the list.'
+    };
+};
+
+/**
+ * Turn an unknown device → toolchain reference into an error entry for
+ * createErrorIssues. Only unknown ids are raised on the device repository: a
+ * toolchain missing some platforms is fixed in this registry, not by the device.
+ * @param {object} item - Entry from findToolchainGaps() with reason 'unknown'
+ * @returns {object} Error entry ({type, repo, version, error})
+ */
+const unknownToolchainError = (item) => {
+    const {owner, repo} = parseRepoUrl(item.repository);
+    return {
+        type: 'devices',
+        repo: `${owner}/${repo}`,
+        version: item.version,
+        error: `Device ${item.deviceId} uses toolchain '${item.toolchainId}' in openblock.toolchains, but no such toolchain ` +
+            'is published in the registry, so users cannot upload code to it. Use an id listed in TOOLCHAINS.md.'
+    };
+};
+
 /**
  * Create issues for failed syncs
  * @param {Array} errors - Error list
@@ -807,7 +1381,7 @@ https://github.com/openblockcc/openblock-registry/issues
 /**
  * Collect per-repository stats from build results.
  * @param {string} repoUrl - Repository URL
- * @param {object} result - buildRepository result ({built, skipped, errors})
+ * @param {object} result - buildRepository result ({built, skipped, errors, durationMs})
  * @returns {object} Repository stat row
  */
 const repoStatFromResult = (repoUrl, result) => {
@@ -818,10 +1392,65 @@ const repoStatFromResult = (repoUrl, result) => {
         tagsFound,
         added: result.built.length,
         skipped: result.skipped.length,
-        failed: result.errors.length
+        failed: result.errors.length,
+        durationMs: result.durationMs ?? 0
     };
 };
 
+/**
+ * Registered repository URLs by type, for the delisting pass.
+ * @param {object} registry - Registry config from readRegistryJson()
+ * @returns {{devices: Set<string>, extensions: Set<string>}} Registered URLs
+ */
+const registeredRepositories = (registry) => ({
+    devices: new Set(registry.devices),
+    extensions: new Set(registry.extensions)
+});
+
+/**
+ * Resolve the --only/--type selection into the repositories to sync, as
+ * {type, repoUrl} tasks in registry.json order (devices first).
+ *
+ * `only` is either owner/repo (case-insensitive) or a plugin id. An id is looked
+ * up in the published packages.json, then in the approved baselines, so a
+ * plugin that has never published successfully can still be targeted.
+ * @param {object} registry - Registry config from readRegistryJson()
+ * @param {object} packagesJson - Published packages.json
+ * @param {object} [selection] - Selection options
+ * @param {string|null} [selection.only] - Plugin id or owner/repo
+ * @param {string|null} [selection.type] - 'devices' or 'extensions'
+ * @returns {Promise<{tasks: Array<object>, error: (string|null)}>} Selected tasks, or an error message
+ */
+const selectRepositories = async (registry, packagesJson, {only = null, type = null} = {}) => {
+    const allTasks = [
+        ...registry.devices.map(repoUrl => ({type: 'devices', repoUrl})),
+        ...registry.extensions.map(repoUrl => ({type: 'extensions', repoUrl}))
+    ];
+    const tasks = type ? allTasks.filter(task => task.type === type) : allTasks;
+    if (!only) {
+        return {tasks, error: null};
+    }
+
+    let matches;
+    if (only.includes('/')) {
+        const wanted = only.toLowerCase().replace(/\.git$/, '');
+        matches = tasks.filter(task => {
+            const {owner, repo} = parseRepoUrl(task.repoUrl);
+            return `${owner}/${repo}`.toLowerCase() === wanted;
+        });
+    } else {
+        const published = [...getDevices(packagesJson), ...getExtensions(packagesJson)]
+            .find(pkg => (pkg.deviceId || pkg.extensionId) === only);
+        const repository = published?.repository ?? (await readApprovedManifest(only))?.repository;
+        matches = tasks.filter(task => task.repoUrl === repository);
+    }
+
+    if (matches.length === 0) {
+        return {tasks: [], error: `No registered ${type ?? 'plugin'} matches --only=${only}`};
+    }
+    return {tasks: matches, error: null};
+};
+
 /**
  * Read the current packages.json baseline from the public registry.
  * Used for diffing/merging; requires no R2 credentials.
@@ -845,25 +1474,35 @@ const fetchBaselinePackages = async (dryRun) => {
  * directory and write a build-result.json manifest. Performs NO R2 writes.
  * @param {object} options - Sync options
  * @param {string} artifactDir - Root artifact directory
- * @returns {Promise<object>} Build results ({built, skipped, errors, repositoryStats})
+ * @returns {Promise<object>} Build results ({built, skipped, moved, errors, repositoryStats})
  */
 export const syncBuild = async (options, artifactDir) => {
-    const {dryRun = false, rebuild = false} = options;
+    const {dryRun = false, rebuild = false, only = null, type = null} = options;
+    const scoped = Boolean(only || type);
+    const startedAt = new Date().toISOString();
 
     logger.section('Build Phase');
     if (dryRun) {
         logger.warn('DRY RUN MODE - No artifacts will be produced');
     }
     if (rebuild) {
-        logger.warn('REBUILD MODE - Building all versions from source');
+        logger.warn(scoped ?
+            'REBUILD MODE - Building all versions of the selected plugins from source' :
+            'REBUILD MODE - Building all versions from source');
+    }
+    if (options.checkReproducible) {
+        logger.warn('REPRODUCIBILITY CHECK - Building every version twice; versions whose zips differ fail');
     }
 
     await fs.mkdir(artifactDir, {recursive: true});
 
     const allBuilt = [];
     const allSkipped = [];
+    const allMoved = [];
     const allErrors = [];
     const repositoryStats = [];
+    let delisted = [];
+    let selection = null;
 
     const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), TEMP_DIR_PREFIX));
     logger.info(`Temporary directory: ${tempDir}`);
@@ -876,40 +1515,77 @@ export const syncBuild = async (options, artifactDir) => {
 
         // Public read of the current packages.json, only used to compute the diff.
         const baseRemotePackages = await fetchBaselinePackages(dryRun);
-        const currentPackages = rebuild ? createEmptyPackagesJson() : baseRemotePackages;
+
+        // Devices first, then extensions, each in registry.json order. Repositories
+        // build concurrently, but runWithConcurrency returns results in input
+        // order, so build-result.json is the same regardless of which finished first.
+        const {tasks, error} = await selectRepositories(registry, baseRemotePackages, {only, type});
+        if (error) {
+            throw new Error(error);
+        }
+        if (scoped) {
+            selection = {only, type, repositories: tasks.map(task => task.repoUrl)};
+            logger.info(`Selected ${tasks.length} repositor${tasks.length === 1 ? 'y' : 'ies'}: ${selection.repositories.join(', ')}`);
+        }
+
+        // A full rebuild starts from nothing; a scoped one only forgets the
+        // selected plugins so the rest of packages.json is left untouched.
+        let currentPackages = baseRemotePackages;
+        if (rebuild) {
+            currentPackages = scoped ?
+                removePackagesByRepository(baseRemotePackages, new Set(selection.repositories)) :
+                createEmptyPackagesJson();
+        }
         logger.info(`Current devices: ${getDevices(currentPackages).length}`);
         logger.info(`Current extensions: ${getExtensions(currentPackages).length}`);
 
-        const sections = [
-            {type: 'devices', repos: registry.devices, label: 'Devices'},
-            {type: 'extensions', repos: registry.extensions, label: 'Extensions'}
-        ];
-
-        for (const {type, repos, label} of sections) {
-            logger.section(`Building ${label}`);
-            for (const repoUrl of repos) {
-                const result = await buildRepository(type, repoUrl, currentPackages, tempDir, options, artifactDir);
-                allBuilt.push(...result.built);
-                allSkipped.push(...result.skipped);
-                allErrors.push(...result.errors);
-                repositoryStats.push(repoStatFromResult(repoUrl, result));
+        // Registered-vs-published drift, previewed here; the upload phase applies
+        // it. A targeted sync leaves other plugins alone, delisting included.
+        if (!scoped) {
+            delisted = delistUnregisteredPackages(baseRemotePackages, registeredRepositories(registry)).delisted;
+            if (delisted.length > 0) {
+                logger.warn(`${delisted.length} published package(s) no longer registered`);
             }
         }
+
+        const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+
+        logger.section(`Building ${tasks.length} Repositories (concurrency ${concurrency})`);
+        const results = await runWithConcurrency(
+            tasks,
+            task => buildRepositoryIsolated(task, currentPackages, tempDir, options, artifactDir),
+            concurrency
+        );
+
+        results.forEach((result, index) => {
+            allBuilt.push(...result.built);
+            allSkipped.push(...result.skipped);
+            allMoved.push(...result.moved);
+            allErrors.push(...result.errors);
+            repositoryStats.push(repoStatFromResult(tasks[index].repoUrl, result));
+        });
     } finally {
         await fs.rm(tempDir, {recursive: true, force: true}).catch(() => {});
     }
 
     const buildResult = {
+        startedAt,
+        finishedAt: new Date().toISOString(),
         dryRun,
         rebuild,
+        selection,
         skipTransifex: options.skipTransifex || false,
         built: allBuilt,
         skipped: allSkipped,
+        moved: allMoved,
         errors: allErrors,
         repositoryStats
     };
 
-    // Persist the manifest so the upload job (or upload phase) can consume it.
+    // Persist the manifest so the upload job (or upload phase) can consume it. A
+    // journal left by an upload of an earlier build in this directory no longer
+    // applies, so drop it.
+    await clearJournal(artifactDir);
     await fs.writeFile(
         path.join(artifactDir, BUILD_RESULT_FILENAME),
         JSON.stringify(buildResult, null, 2),
@@ -918,15 +1594,35 @@ export const syncBuild = async (options, artifactDir) => {
 
     logger.success(`Build phase complete: ${allBuilt.length} built, ${allSkipped.length} skipped, ${allErrors.length} failed`);
 
-    // In dry-run there is no upload phase, so emit the report here.
+    // In dry-run there is no upload phase, so emit the reports here.
     if (dryRun) {
+        const securityFindings = collectSecurityFindings(allBuilt);
+        const licenseWarnings = collectLicenseWarnings(allBuilt);
+        const vulnerabilities = collectVulnerabilities(allBuilt);
         console.log(generateReport({
             added: allBuilt,
             skipped: allSkipped,
             errors: allErrors,
             repositoryStats,
-            dryRun
+            dryRun,
+            delisted,
+            moved: allMoved,
+            securityFindings,
+            licenseWarnings,
+            vulnerabilities
         }));
+        await writeSyncReport(createSyncReport({
+            kind: 'packages',
+            dryRun,
+            startedAt,
+            finishedAt: buildResult.finishedAt,
+            added: allBuilt,
+            skipped: allSkipped,
+            errors: allErrors,
+            repositoryStats,
+            durations: {build: Date.parse(buildResult.finishedAt) - Date.parse(startedAt)},
+            details: {moved: allMoved, delisted, securityFindings, licenseWarnings, vulnerabilities, selection}
+        }), options.reportPath || defaultSyncReportPath('packages'));
     }
 
     return buildResult;
@@ -935,14 +1631,17 @@ export const syncBuild = async (options, artifactDir) => {
 /**
  * Upload phase: consume a build artifact and publish to R2. Holds R2 credentials
  * but executes no plugin code.
+ * Refuses to start without a signing key unless options.allowUnsigned is set.
  * @param {object} options - Sync options
  * @param {string} artifactDir - Root artifact directory produced by the build phase
  * @returns {Promise<void>} Resolves when the upload phase completes
  */
 export const syncUpload = async (options, artifactDir) => {
     const {skipTransifex = false} = options;
+    const uploadStartedAt = new Date().toISOString();
 
     logger.section('Upload Phase');
+    requireSigningKey(options.allowUnsigned);
 
     const buildResultPath = path.join(artifactDir, BUILD_RESULT_FILENAME);
     let buildResult;
@@ -957,10 +1656,19 @@ export const syncUpload = async (options, artifactDir) => {
         return;
     }
 
-    const {built, skipped, errors, repositoryStats, rebuild} = buildResult;
+    const {built, skipped, errors, repositoryStats, rebuild, moved = [], selection = null} = buildResult;
+    const scopedRepos = selection ? new Set(selection.repositories) : null;
     const uploadErrors = [...errors];
 
-    // Registry.json is committed/trusted; reread it for the recommended allowlist.
+    // Progress of an earlier, interrupted upload of this same artifact.
+    const journal = await readJournal(artifactDir);
+    const journaledCount = Object.keys(journal.records).length;
+    if (journaledCount > 0) {
+        logger.warn(`Resuming interrupted upload: ${journaledCount} version(s) already in the publish journal`);
+    }
+
+    // Registry.json is committed/trusted; reread it for the recommended allowlist
+    // and the yanked versions.
     logger.section('Reading Configuration');
     const registry = await readRegistryJson();
     const recommendedAllowlist = {
@@ -968,10 +1676,19 @@ export const syncUpload = async (options, artifactDir) => {
         extensions: new Set(registry.recommended.extensions)
     };
     logger.info(`Recommended: ${recommendedAllowlist.devices.size} device(s), ${recommendedAllowlist.extensions.size} extension(s)`);
+    logger.info(`Yanked: ${registry.yanked.length} version(s)`);
 
     // Baseline packages.json (public read), used as the merge target.
     const baseRemotePackages = await fetchBaselinePackages(false);
-    let currentPackages = rebuild ? createEmptyPackagesJson() : baseRemotePackages;
+    let currentPackages = baseRemotePackages;
+    if (rebuild) {
+        currentPackages = scopedRepos ?
+            removePackagesByRepository(baseRemotePackages, scopedRepos) :
+            createEmptyPackagesJson();
+    }
+    if (scopedRepos) {
+        logger.info(`Targeted sync of ${[...scopedRepos].join(', ')}; other plugins are left as published`);
+    }
 
     // Existing translations from R2 (public read; written back below with credentials).
     const globalTranslations = await fetchTranslationsFromR2();
@@ -981,7 +1698,7 @@ export const syncUpload = async (options, artifactDir) => {
     logger.section('Publishing Versions');
     for (const record of built) {
         try {
-            const result = await publishVersion(record, artifactDir, currentPackages, globalTranslations);
+            const result = await publishVersion(record, artifactDir, currentPackages, globalTranslations, journal, baseRemotePackages);
             currentPackages = result.currentPackages;
             const {owner, repo} = parseRepoUrl(record.repoUrl);
             added.push({
@@ -992,7 +1709,9 @@ export const syncUpload = async (options, artifactDir) => {
                 size: result.size,
                 url: result.url
             });
-            logger.success(`Published ${record.id}@${record.version}`);
+            logger.success(result.resumed ?
+                `Already published ${record.id}@${record.version} (publish journal)` :
+                `Published ${record.id}@${record.version}`);
         } catch (err) {
             logger.error(`Failed to publish ${record.id}@${record.version}: ${err.message}`);
             const {owner, repo} = parseRepoUrl(record.repoUrl);
@@ -1005,6 +1724,17 @@ export const syncUpload = async (options, artifactDir) => {
         }
     }
 
+    // Delist packages whose repository was removed from registry.json, so the
+    // published baseline merged below cannot keep them alive forever. Skipped on
+    // a targeted sync, which must not touch other plugins.
+    const delistResult = scopedRepos ?
+        {packagesJson: currentPackages, delisted: [], changed: false} :
+        delistUnregisteredPackages(currentPackages, registeredRepositories(registry), baseRemotePackages);
+    currentPackages = delistResult.packagesJson;
+    for (const item of delistResult.delisted) {
+        logger.warn(`Delisting ${item.type} ${item.id}: ${item.reason}`);
+    }
+
     // Apply recommended flags over every package, regardless of new versions, so a
     // recommendation toggle in registry.json propagates on the next sync.
     const recommendedResult = applyRecommendedFlags(currentPackages, recommendedAllowlist);
@@ -1013,15 +1743,50 @@ export const syncUpload = async (options, artifactDir) => {
         logger.info('Recommended flags changed since last sync');
     }
 
-    // Upload packages.json when versions were added or recommended flags changed.
-    if (added.length > 0 || recommendedResult.changed) {
+    // Apply yanked markers the same way, so a maintainer can pull a broken
+    // version without waiting for its author to publish a fix.
+    const yankedResult = applyYankedVersions(currentPackages, registry.yanked);
+    currentPackages = yankedResult.packagesJson;
+    if (yankedResult.changed) {
+        logger.info('Yanked versions changed since last sync');
+    }
+
+    // Cross-package integrity: devices may only bundle published extensions.
+    // Reported, and raised on the device repository, but not rewritten here.
+    const brokenRefs = findBrokenExtensionRefs(currentPackages);
+    for (const item of brokenRefs) {
+        logger.warn(`Device ${item.deviceId} bundles ${item.reason} extension '${item.extensionId}'`);
+    }
+
+    // Same for toolchains: every toolchain a device uses must be published for
+    // every platform. Toolchains are owned by the toolchain sync, so they are
+    // taken from the published packages.json even on a full rebuild.
+    const toolchainGaps = findToolchainGaps(
+        mergePackagesSections(baseRemotePackages, currentPackages, ['devices']),
+        OPENBLOCK_PLATFORMS
+    );
+    for (const item of toolchainGaps) {
+        logger.warn(item.reason === 'unknown' ?
+            `Device ${item.deviceId} uses unknown toolchain '${item.toolchainId}'` :
+            `Device ${item.deviceId} uses toolchain '${item.toolchainId}', missing ${item.missingPlatforms.join(', ')}`);
+    }
+
+    // Upload packages.json when versions were added or registry-owned flags changed.
+    const packagesChanged = added.length > 0 || delistResult.changed || recommendedResult.changed || yankedResult.changed;
+    const mergedPackages = mergePackagesSections(
+        baseRemotePackages,
+        currentPackages,
+        ['devices', 'extensions', 'delisted']
+    );
+    // Journaled by content: a resumed run whose merged packages differ from the
+    // uploaded ones (e.g. the registry changed in between) publishes again.
+    const packagesStep = contentStep('packages.json', mergedPackages);
+    if (packagesChanged && isStepDone(journal, packagesStep)) {
+        logger.info('packages.json already uploaded (publish journal)');
+    } else if (packagesChanged) {
         logger.section('Uploading packages.json');
-        const mergedPackages = mergePackagesSections(
-            baseRemotePackages,
-            currentPackages,
-            ['devices', 'extensions']
-        );
-        await uploadJson(mergedPackages, 'packages.json');
+        await publishPackagesJson(mergedPackages, baseRemotePackages);
+        await writeJournal(artifactDir, markStepDone(journal, packagesStep));
         logger.success('packages.json updated');
     }
 
@@ -1029,37 +1794,106 @@ export const syncUpload = async (options, artifactDir) => {
     if (!skipTransifex && added.length > 0 && globalTranslations) {
         logger.section('Syncing Translations');
 
-        await uploadTranslationsToR2(globalTranslations);
+        if (isStepDone(journal, 'translations')) {
+            logger.info('Translations already uploaded (publish journal)');
+        } else {
+            await uploadTranslationsToR2(globalTranslations);
+            await writeJournal(artifactDir, markStepDone(journal, 'translations'));
+        }
         await initTranslationsDir(GLOBAL_TRANSLATIONS_DIR, globalTranslations);
 
-        logger.info('Pushing translations to Transifex...');
-        const repoRoot = path.resolve(__dirname, '../..');
-        const pushResult = await pushToTransifex(repoRoot);
-        if (!pushResult.success) {
-            throw new Error(`Failed to push translations to Transifex: ${pushResult.error}`);
+        if (isStepDone(journal, 'transifex')) {
+            logger.info('Translations already pushed to Transifex (publish journal)');
+        } else {
+            logger.info('Pushing translations to Transifex...');
+            const repoRoot = path.resolve(__dirname, '../..');
+            const pushResult = await pushToTransifex(repoRoot);
+            if (!pushResult.success) {
+                throw new Error(`Failed to push translations to Transifex: ${pushResult.error}`);
+            }
+            await writeJournal(artifactDir, markStepDone(journal, 'transifex'));
         }
     }
 
-    // Create issues for build and upload errors
-    if (uploadErrors.length > 0) {
+    // Regenerate the search index from the published packages and the merged
+    // interface translations (updated in place by publishVersion above).
+    const searchIndexStep = contentStep('search-index', {packages: mergedPackages, translations: globalTranslations});
+    if (packagesChanged && isStepDone(journal, searchIndexStep)) {
+        logger.info('Search index already uploaded (publish journal)');
+    } else if (packagesChanged) {
+        await publishSearchIndex(mergedPackages, globalTranslations);
+        await writeJournal(artifactDir, markStepDone(journal, searchIndexStep));
+    }
+
+    // Create issues for build and upload errors, moved tags, broken extension references and unknown toolchains
+    const issueErrors = [
+        ...uploadErrors,
+        ...moved.map(movedTagError),
+        ...brokenRefs.map(brokenRefError),
+        ...toolchainGaps.filter(item => item.reason === 'unknown').map(unknownToolchainError)
+    ];
+    if (issueErrors.length > 0 && !isStepDone(journal, 'issues')) {
         const workflowRunUrl = process.env.GITHUB_SERVER_URL && process.env.GITHUB_REPOSITORY && process.env.GITHUB_RUN_ID ?
             `${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}` :
             null;
-        await createErrorIssues(uploadErrors, workflowRunUrl);
+        await createErrorIssues(issueErrors, workflowRunUrl);
+        await writeJournal(artifactDir, markStepDone(journal, 'issues'));
     }
 
     // Generate and display report
+    const securityFindings = collectSecurityFindings(built);
+    const licenseWarnings = collectLicenseWarnings(built);
+    const vulnerabilities = collectVulnerabilities(built);
     console.log(generateReport({
         added,
         skipped,
         errors: uploadErrors,
         repositoryStats,
-        dryRun: false
+        dryRun: false,
+        delisted: delistResult.delisted,
+        moved,
+        brokenRefs,
+        toolchainGaps,
+        securityFindings,
+        licenseWarnings,
+        vulnerabilities
     }));
 
+    // JSON report for dashboards/alerting. Timing covers both phases when the
+    // build result carries its own timestamps.
+    const finishedAt = new Date().toISOString();
+    const buildStartedAt = buildResult.startedAt || uploadStartedAt;
+    const durations = {upload: Date.parse(finishedAt) - Date.parse(uploadStartedAt)};
+    if (buildResult.startedAt && buildResult.finishedAt) {
+        durations.build = Date.parse(buildResult.finishedAt) - Date.parse(buildResult.startedAt);
+    }
+    await writeSyncReport(createSyncReport({
+        kind: 'packages',
+        startedAt: buildStartedAt,
+        finishedAt,
+        added,
+        skipped,
+        errors: uploadErrors,
+        repositoryStats,
+        durations,
+        details: {
+            moved,
+            delisted: delistResult.delisted,
+            brokenExtensionRefs: brokenRefs,
+            toolchainGaps,
+            securityFindings,
+            licenseWarnings,
+            vulnerabilities,
+            selection
+        }
+    }), options.reportPath || defaultSyncReportPath('packages'));
+
     if (uploadErrors.length > 0) {
         logger.warn(`Sync completed with ${uploadErrors.length} error(s)`);
     }
+    if (moved.length > 0) {
+        logger.warn(`${moved.length} published tag(s) were moved to a different commit`);
+    }
 
     logger.success('Upload phase complete');
 };
@@ -1067,17 +1901,35 @@ export const syncUpload = async (options, artifactDir) => {
 /**
  * Main sync function. Runs the build and upload phases in-process using a
  * temporary artifact directory. Intended for local/manual use; CI runs the two
- * phases as separate jobs via --phase.
+ * phases as separate jobs via --phase. Refuses to run with REGISTRY_SIGNING_KEY
+ * set, so uploads are unsigned (options.allowUnsigned).
  * @param {object} options - Sync options
  * @param {boolean} options.dryRun - Dry run mode (build only, no uploads)
  * @param {number} options.concurrency - Concurrency limit
  * @param {boolean} options.skipTransifex - Skip Transifex push
- * @param {boolean} options.rebuild - Re-process all versions from source
+ * @param {boolean} options.rebuild - Re-process all versions from source (only the selected plugins when scoped)
+ * @param {boolean} [options.allowUnsigned] - Publish without signatures when REGISTRY_SIGNING_KEY is not set
+ * @param {boolean} [options.checkReproducible] - Build every version twice and fail it when the zips differ
+ * @param {string} [options.blockSeverity] - Lowest security finding severity that refuses a version
+ * @param {string} [options.only] - Only sync this plugin (id or owner/repo)
+ * @param {string} [options.type] - Only sync this type ('devices' or 'extensions')
+ * @param {string} [options.reportPath] - Where to write the JSON report
  */
 export const sync = async (options = {}) => {
     logger.section('OpenBlock Registry Package Sync');
 
     try {
+        // Plugin code runs in this process, so the signing key must not be in
+        // its environment (as for --phase=build). Signed publishing needs the
+        // two phases as separate processes; here only unsigned uploads work, so
+        // fail before building unless they were asked for.
+        if (isSigningKeyConfigured()) {
+            throw new Error('REGISTRY_SIGNING_KEY must not be set when building and uploading in one process; ' +
+                'run --phase=build and --phase=upload separately');
+        }
+        if (!options.dryRun) {
+            requireSigningKey(options.allowUnsigned);
+        }
         const artifactDir = await fs.mkdtemp(path.join(os.tmpdir(), `${TEMP_DIR_PREFIX}artifact-`));
         try {
             await syncBuild(options, artifactDir);
@@ -1108,11 +1960,38 @@ const parseArgs = (args) => {
         dryRun: args.includes('--dry-run'),
         skipTransifex: args.includes('--skip-transifex'),
         rebuild: args.includes('--rebuild'),
+        checkReproducible: args.includes('--check-reproducible'),
+        allowUnsigned: args.includes('--allow-unsigned'),
+        blockSeverity: DEFAULT_BLOCK_SEVERITY,
         concurrency: DEFAULT_CONCURRENCY,
         phase: null,
-        artifactDir: null
+        artifactDir: null,
+        reportPath: null,
+        only: null,
+        type: null
     };
 
+    const onlyArg = args.find(arg => arg.startsWith('--only='));
+    if (onlyArg) {
+        options.only = onlyArg.split('=')[1] || null;
+    }
+
+    const typeArg = args.find(arg => arg.startsWith('--type='));
+    if (typeArg) {
+        options.type = typeArg.split('=')[1];
+        if (!['devices', 'extensions'].includes(options.type)) {
+            throw new Error(`--type must be devices or extensions, got: ${options.type}`);
+        }
+    }
+
+    const blockArg = args.find(arg => arg.startsWith('--block-severity='));
+    if (blockArg) {
+        options.blockSeverity = blockArg.split('=')[1];
+        if (!SEVERITIES.includes(options.blockSeverity)) {
+            throw new Error(`--block-severity must be one of ${SEVERITIES.join(', ')}, got: ${options.blockSeverity}`);
+        }
+    }
+
     const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
     if (concurrencyArg) {
         options.concurrency = parseInt(concurrencyArg.split('=')[1], 10) || DEFAULT_CONCURRENCY;
@@ -1123,6 +2002,11 @@ const parseArgs = (args) => {
         options.phase = phaseArg.split('=')[1];
     }
 
+    const reportArg = args.find(arg => arg.startsWith('--json-report='));
+    if (reportArg) {
+        options.reportPath = path.resolve(reportArg.split('=')[1]);
+    }
+
     // --out (build phase) and --in (upload phase) both name the artifact directory.
     const dirArg = args.find(arg => arg.startsWith('--out=') || arg.startsWith('--in='));
     if (dirArg) {
@@ -1141,6 +2025,10 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
             if (!options.artifactDir) {
                 throw new Error('--phase=build requires --out=<artifact dir>');
             }
+            // The build phase runs plugin code; the signing key must never be in reach.
+            if (isSigningKeyConfigured()) {
+                throw new Error('REGISTRY_SIGNING_KEY must not be set for --phase=build');
+            }
             await syncBuild(options, options.artifactDir);
         } else if (options.phase === 'upload') {
             if (!options.artifactDir) {
@@ -1165,9 +2053,12 @@ export default {
     syncUpload,
     runWithConcurrency,
     buildPackageEntry,
+    publishVersion,
     buildRepository,
+    buildRepositoryIsolated,
     generateReport,
     findCurrentEntry,
     applyApprovedDisplay,
-    planReconciliation
+    planReconciliation,
+    selectRepositories
 };
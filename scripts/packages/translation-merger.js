@@ -11,6 +11,8 @@ import {runRegistryCli} from '../common/registry-cli.js';
 
 const TRANSLATION_CATEGORIES = ['interface', 'extensions', 'blocks'];
 const R2_TRANSLATIONS_PATH = 'translations';
+// Localized interface strings ({locale: {key: message}}), merged from each plugin's translations.js
+const R2_INTERFACE_L10N_PATH = `${R2_TRANSLATIONS_PATH}/interface/l10n.json`;
 
 /**
  * Extract plugin ID from translation key
@@ -77,16 +79,26 @@ const sortByNamespace = (translations, category) => {
     return result;
 };
 
+/**
+ * Count the English keys across all categories
+ * @param {object} translations - Translations by category
+ * @returns {number} Total number of keys
+ */
+const countKeys = translations => TRANSLATION_CATEGORIES.reduce(
+    (sum, category) => sum + Object.keys(translations[category] || {}).length, 0);
+
 /**
  * Fetch all translations from R2
- * @returns {Promise<object>} Translations by category {interface: {}, extensions: {}, blocks: {}}
+ * @returns {Promise<object>} Translations by category {interface: {}, extensions: {}, blocks: {}} plus the
+ *     localized interface strings as l10n {locale: {key: message}}
  */
 export const fetchTranslationsFromR2 = async () => {
     logger.info('Fetching translations from R2...');
     const translations = {
         interface: {},
         extensions: {},
-        blocks: {}
+        blocks: {},
+        l10n: {}
     };
 
     for (const category of TRANSLATION_CATEGORIES) {
@@ -100,8 +112,13 @@ export const fetchTranslationsFromR2 = async () => {
         }
     }
 
-    const totalKeys = Object.values(translations).reduce((sum, cat) => sum + Object.keys(cat).length, 0);
-    logger.info(`Loaded ${totalKeys} total translation keys from R2`);
+    const l10n = await downloadJson(R2_INTERFACE_L10N_PATH);
+    if (l10n) {
+        translations.l10n = l10n;
+        logger.debug(`Loaded interface l10n: ${Object.keys(l10n).length} locales`);
+    }
+
+    logger.info(`Loaded ${countKeys(translations)} total translation keys from R2`);
 
     return translations;
 };
@@ -118,9 +135,9 @@ export const uploadTranslationsToR2 = async (translations) => {
         const remotePath = `${R2_TRANSLATIONS_PATH}/${category}/en.json`;
         await uploadJson(translations[category], remotePath);
     }
+    await uploadJson(translations.l10n || {}, R2_INTERFACE_L10N_PATH);
 
-    const totalKeys = Object.values(translations).reduce((sum, cat) => sum + Object.keys(cat).length, 0);
-    logger.success(`Uploaded ${totalKeys} total translation keys to R2`);
+    logger.success(`Uploaded ${countKeys(translations)} total translation keys to R2`);
 };
 
 /**
@@ -143,15 +160,39 @@ export const initTranslationsDir = async (targetDir, translations) => {
     }
 };
 
+/**
+ * Merge a plugin's localized interface strings into globalTranslations.l10n
+ * Replaces the plugin's keys in every locale it ships; English stays in interface/en.json
+ * @param {object} globalTranslations - Global translations object from R2
+ * @param {string} pluginId - Plugin ID (lowercase)
+ * @param {object} l10n - The plugin's interface translations {locale: {key: message}}
+ */
+const mergePluginL10n = (globalTranslations, pluginId, l10n) => {
+    const merged = globalTranslations.l10n || {};
+    for (const [locale, messages] of Object.entries(l10n)) {
+        if (locale === 'en' || !messages || typeof messages !== 'object') continue;
+
+        const localeMessages = removePluginTranslations(merged[locale] || {}, pluginId, 'interface');
+        for (const [key, message] of Object.entries(messages)) {
+            if (typeof message === 'string') {
+                localeMessages[key] = message;
+            }
+        }
+        merged[locale] = sortByNamespace(localeMessages, 'interface');
+    }
+    globalTranslations.l10n = merged;
+};
+
 /**
  * Merge plugin translations into global translations (R2-based)
  * Removes old translations for this plugin, adds new ones, and sorts by namespace
  * @param {string} sourceDir - Source translations directory from plugin (.translations/)
  * @param {object} globalTranslations - Global translations object from R2
  * @param {string} pluginId - Plugin ID (lowercase)
+ * @param {object} [l10n] - The plugin's localized interface strings (openblock.l10n of its built package.json)
  * @returns {Promise<object>} Merge statistics {added, removed, updated}
  */
-export const mergePluginTranslations = async (sourceDir, globalTranslations, pluginId) => {
+export const mergePluginTranslations = async (sourceDir, globalTranslations, pluginId, l10n = null) => {
     logger.debug(`Merging translations for plugin: ${pluginId}`);
 
     let totalAdded = 0;
@@ -200,6 +241,8 @@ export const mergePluginTranslations = async (sourceDir, globalTranslations, plu
         logger.debug(`${category}: removed ${beforeRemoval}, added ${sourceKeys.length}`);
     }
 
+    if (l10n) mergePluginL10n(globalTranslations, pluginId, l10n);
+
     // Calculate net change
     totalUpdated = Math.min(totalAdded, totalRemoved);
     const netAdded = totalAdded - totalUpdated;
@@ -0,0 +1,138 @@
+/**
+ * Standalone checks for the content policy of published plugin zips: allowed
+ * file types per plugin type, caps, symlinks, executables and unsafe names.
+ * Run: `node scripts/test/archive-policy.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {ARCHIVE_POLICY, checkArchiveContents, formatArchiveViolation, listArchiveFiles} from '../common/archive-policy.js';
+
+/**
+ * A regular, non-executable file entry.
+ * @param {string} name - Path inside the zip
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object} File entry as listArchiveFiles returns it
+ */
+const file = (name, overrides = {}) => ({name, kind: 'file', size: 10, mode: 0o644, header: Buffer.from('abcd'), ...overrides});
+
+/**
+ * Violations as "file rule" strings.
+ * @param {Array<object>} files - File entries
+ * @param {string} type - Plugin type
+ * @param {object} [policy] - Policy overrides
+ * @returns {string[]} One string per violation
+ */
+const rulesOf = (files, type, policy) => checkArchiveContents(files, type, policy).map(v => `${v.file} ${v.rule}`);
+
+// --- File types ----------------------------------------------------------------------
+
+const typical = [
+    file('index.js'),
+    file('package.json'),
+    file('LICENSE'),
+    file('README.md'),
+    file('assets/icon.PNG'),
+    file('lib/Servo/src/Servo.cpp'),
+    file('lib/Servo/library.properties'),
+    file('lib/Servo/.clang-format'),
+    file('micropython/servo.py')
+];
+assert.deepStrictEqual(rulesOf(typical, 'extensions'), [], 'a usual extension is clean');
+assert.deepStrictEqual(rulesOf(typical, 'devices'), []);
+
+assert.deepStrictEqual(rulesOf([file('firmware/bootloader.hex'), file('firmware/app.bin')], 'devices'), [], 'firmware is fine in devices');
+assert.deepStrictEqual(
+    checkArchiveContents([file('firmware/app.bin')], 'extensions').map(formatArchiveViolation),
+    ["firmware/app.bin: '.bin' files are not allowed in extensions"],
+    'but not in extensions'
+);
+assert.deepStrictEqual(
+    checkArchiveContents([file('tools/helper'), file('lib/libcrypto.a')], 'devices').map(formatArchiveViolation),
+    ['tools/helper: files without an extension are not allowed in devices', "lib/libcrypto.a: '.a' files are not allowed in devices"]
+);
+
+// --- Executables, links and special files ------------------------------------------------
+
+assert.deepStrictEqual(rulesOf([file('scripts/run.py', {mode: 0o755})], 'extensions'), ['scripts/run.py executable']);
+assert.deepStrictEqual(
+    checkArchiveContents([file('firmware/app.bin', {header: Buffer.from([0x7f, 0x45, 0x4c, 0x46])})], 'devices').map(formatArchiveViolation),
+    ['firmware/app.bin: executable binary (ELF, PE or Mach-O)'],
+    'an allowed extension does not excuse an executable header'
+);
+assert.deepStrictEqual(rulesOf([file('setup.js', {header: Buffer.from('MZ\x90\x00', 'latin1')})], 'extensions'), ['setup.js executable']);
+assert.deepStrictEqual(rulesOf([file('empty.js', {header: Buffer.alloc(0), size: 0})], 'extensions'), [], 'empty files are fine');
+
+assert.deepStrictEqual(rulesOf([file('link.js', {kind: 'symlink'}), file('pipe.txt', {kind: 'other'})], 'extensions'), [
+    'link.js symlink',
+    'pipe.txt special-file'
+]);
+
+// --- Names ------------------------------------------------------------------------------
+
+assert.deepStrictEqual(
+    checkArchiveContents([
+        file('..\\..\\evil.js'),
+        file('C:stream.txt'),
+        file('bad\nname.md'),
+        file('a/../b.js')
+    ], 'extensions').map(formatArchiveViolation),
+    [
+        '..\\..\\evil.js: backslash in the file name (a path separator on Windows)',
+        'C:stream.txt: colon in the file name (a drive or stream separator on Windows)',
+        'bad\nname.md: control characters in the file name',
+        'a/../b.js: path leaves the plugin directory'
+    ]
+);
+
+// --- Caps -------------------------------------------------------------------------------
+
+assert.deepStrictEqual(
+    rulesOf([file('big.js', {size: ARCHIVE_POLICY.maxFileBytes + 1}), file('ok.js', {size: ARCHIVE_POLICY.maxFileBytes})], 'extensions'),
+    ['big.js file-size']
+);
+const tight = {...ARCHIVE_POLICY, maxFiles: 2};
+assert.deepStrictEqual(
+    checkArchiveContents([file('a.js'), file('b.js'), file('c.js')], 'extensions', tight).map(formatArchiveViolation),
+    ['3 files, more than the 2 allowed']
+);
+
+// Every violation of a file is reported.
+assert.deepStrictEqual(rulesOf([file('bin\\tool.exe', {mode: 0o755, size: ARCHIVE_POLICY.maxFileBytes * 2})], 'devices'), [
+    'bin\\tool.exe unsafe-name',
+    'bin\\tool.exe executable',
+    'bin\\tool.exe file-type',
+    'bin\\tool.exe file-size'
+]);
+
+// --- listArchiveFiles ------------------------------------------------------------------------
+
+const run = async () => {
+    const distPath = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-policy-test-'));
+    try {
+        await fs.mkdir(path.join(distPath, 'lib'));
+        await fs.writeFile(path.join(distPath, 'index.js'), 'module.exports = 1;');
+        await fs.writeFile(path.join(distPath, 'lib', 'tool'), Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02]));
+        await fs.chmod(path.join(distPath, 'lib', 'tool'), 0o755);
+        await fs.symlink('/etc/passwd', path.join(distPath, 'passwd.txt'));
+
+        const files = await listArchiveFiles(distPath);
+        assert.deepStrictEqual(files.map(f => `${f.name} ${f.kind}`), ['index.js file', 'lib/tool file', 'passwd.txt symlink']);
+        assert.strictEqual(files[1].mode, 0o755);
+        assert.strictEqual(files[1].header.length, 4);
+        assert.deepStrictEqual(rulesOf(files, 'extensions'), ['lib/tool executable', 'lib/tool file-type', 'passwd.txt symlink']);
+    } finally {
+        await fs.rm(distPath, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('archive-policy.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,85 @@
+/**
+ * Standalone checks for device → extension referential integrity: the sync
+ * pass over packages.json and the matching PR validator check.
+ * Run: `node scripts/test/bundled-extensions.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {findBrokenExtensionRefs} from '../common/packages-json.js';
+import {validateBundledExtensions} from '../validate/registry-validator.js';
+
+const unoUrl = 'https://github.com/openblock-plugin/arduinoUno';
+const oledUrl = 'https://github.com/openblock-plugin/oled';
+const servoUrl = 'https://github.com/openblock-plugin/servo';
+const newBoardUrl = 'https://github.com/someone/newBoard';
+const sensorUrl = 'https://github.com/someone/newSensor';
+
+const packagesJson = {
+    packages: {
+        devices: [
+            {
+                deviceId: 'arduinoUno',
+                repository: unoUrl,
+                extensions: ['oled', 'servo'],
+                versions: [{version: '1.1.0-beta.1'}, {version: '1.0.0'}]
+            },
+            {deviceId: 'microbit', repository: 'https://github.com/openblock-plugin/microbit', versions: [{version: '1.0.0'}]}
+        ],
+        extensions: [
+            {extensionId: 'oled', repository: oledUrl, versions: [{version: '1.0.0'}]},
+            {extensionId: 'servo', repository: servoUrl, versions: [{version: '1.0.0'}]}
+        ],
+        toolchains: [],
+        delisted: [{type: 'extensions', id: 'buzzer', repository: 'https://github.com/x/buzzer', reason: 'r', delistedAt: 't'}]
+    }
+};
+
+// --- findBrokenExtensionRefs ---------------------------------------------------
+
+assert.deepStrictEqual(findBrokenExtensionRefs(packagesJson), [], 'all bundled extensions published');
+
+const broken = {
+    packages: {
+        ...packagesJson.packages,
+        devices: [{...packagesJson.packages.devices[0], extensions: ['oled', 'buzzer', 'ghost']}]
+    }
+};
+assert.deepStrictEqual(findBrokenExtensionRefs(broken), [
+    {deviceId: 'arduinoUno', repository: unoUrl, version: '1.0.0', extensionId: 'buzzer', reason: 'delisted'},
+    {deviceId: 'arduinoUno', repository: unoUrl, version: '1.0.0', extensionId: 'ghost', reason: 'unknown'}
+]);
+assert.deepStrictEqual(findBrokenExtensionRefs(broken, ['ghost']).map(ref => ref.extensionId), ['buzzer'], 'pending ids count');
+
+// --- validateBundledExtensions ---------------------------------------------------
+
+const registry = {devices: [unoUrl, 'https://github.com/openblock-plugin/microbit'], extensions: [oledUrl, servoUrl]};
+
+assert.deepStrictEqual(validateBundledExtensions(packagesJson, registry, []), [], 'nothing changed');
+
+// A new device may bundle published extensions and extensions added in the same PR.
+const newBoard = (extensions) => ({type: 'device', url: newBoardUrl, valid: true, pluginId: 'newBoard', bundledExtensions: extensions});
+const newSensor = {type: 'extension', url: sensorUrl, valid: true, pluginId: 'newSensor', bundledExtensions: []};
+const withNew = {devices: [...registry.devices, newBoardUrl], extensions: [...registry.extensions, sensorUrl]};
+assert.deepStrictEqual(validateBundledExtensions(packagesJson, withNew, [newBoard(['oled', 'newSensor']), newSensor]), []);
+
+// ... but not unknown or delisted ones.
+assert.deepStrictEqual(validateBundledExtensions(packagesJson, withNew, [newBoard(['ghost', 'buzzer'])]), [
+    'Device newBoard bundles extension \'ghost\', which is not published in the registry',
+    'Device newBoard bundles extension \'buzzer\', which has been removed from the registry'
+]);
+
+// Removing an extension that a published device bundles is reported.
+const withoutServo = {devices: registry.devices, extensions: [oledUrl]};
+assert.deepStrictEqual(validateBundledExtensions(packagesJson, withoutServo, []), [
+    'Device arduinoUno bundles extension \'servo\', which has been removed from the registry'
+]);
+
+// References that were already broken do not block unrelated changes.
+assert.deepStrictEqual(validateBundledExtensions(broken, registry, []), []);
+
+// No published packages.json yet.
+assert.deepStrictEqual(validateBundledExtensions(null, {devices: [newBoardUrl], extensions: []}, [newBoard(['oled'])]), [
+    'Device newBoard bundles extension \'oled\', which is not published in the registry'
+]);
+
+console.log('bundled-extensions.test.js: all assertions passed');
@@ -0,0 +1,58 @@
+/**
+ * Standalone checks for calculateDiff, including detection of version tags that
+ * were moved to a different commit after publication.
+ * Run: `node scripts/test/calculate-diff.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {calculateDiff} from '../packages/calculate-diff.js';
+import sync from '../packages/sync.js';
+
+const {generateReport} = sync;
+
+const tag = (name, sha) => ({name, commit: {sha}});
+
+// New tags are added, published ones skipped, invalid names ignored.
+const diff = calculateDiff(
+    [tag('1.0.0', 'aaa'), tag('1.1.0', 'bbb'), tag('latest', 'ccc')],
+    [{version: '1.0.0', commitSha: 'aaa'}]
+);
+assert.deepStrictEqual(diff.toAdd, ['1.1.0']);
+assert.deepStrictEqual(diff.toSkip, ['1.0.0']);
+assert.deepStrictEqual(diff.moved, [], 'unchanged tag is not flagged');
+
+// A published tag now pointing at another commit is skipped and flagged.
+const movedDiff = calculateDiff(
+    [tag('1.0.0', 'fff'), tag('1.1.0', 'bbb')],
+    [{version: '1.0.0', commitSha: 'aaa'}, {version: '1.1.0', commitSha: 'bbb'}]
+);
+assert.deepStrictEqual(movedDiff.toAdd, []);
+assert.deepStrictEqual(movedDiff.toSkip, ['1.1.0', '1.0.0']);
+assert.deepStrictEqual(movedDiff.moved, [{version: '1.0.0', publishedSha: 'aaa', currentSha: 'fff'}]);
+
+// Entries published before SHAs were recorded cannot be checked.
+assert.deepStrictEqual(
+    calculateDiff([tag('1.0.0', 'fff')], [{version: '1.0.0'}]).moved,
+    []
+);
+
+// The report lists moved tags with short SHAs.
+const report = generateReport({
+    added: [],
+    skipped: [],
+    errors: [],
+    repositoryStats: [],
+    dryRun: false,
+    moved: [{
+        type: 'devices',
+        id: 'arduinoEsp32',
+        repo: 'openblock-plugin/arduinoEsp32',
+        version: '1.0.0',
+        publishedSha: 'aaaaaaa1234',
+        currentSha: 'fffffff5678'
+    }]
+});
+assert.ok(report.includes('### Moved Tags'));
+assert.ok(report.includes('| device | arduinoEsp32 | openblock-plugin/arduinoEsp32 | 1.0.0 | aaaaaaa | fffffff |'));
+
+console.log('calculate-diff.test.js: all assertions passed');
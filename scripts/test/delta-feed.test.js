@@ -0,0 +1,130 @@
+/**
+ * Standalone checks for the packages.json delta feed: the JSON Patch diff it
+ * publishes, revision stamping and the bounded delta chain.
+ * Run: `node scripts/test/delta-feed.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {createJsonPatch, applyJsonPatch, escapePointerToken} from '../common/json-patch.js';
+import {getRevision, deltaPath, createEmptyDeltaIndex, createDelta, assertBaselineIsLive, addDelta} from '../common/delta-feed.js';
+
+const roundTrip = (from, to) => {
+    const patch = createJsonPatch(from, to);
+    assert.deepStrictEqual(applyJsonPatch(from, patch), to);
+    return patch;
+};
+
+// --- createJsonPatch / applyJsonPatch ----------------------------------------
+
+assert.deepStrictEqual(createJsonPatch({a: [1, {b: 2}]}, {a: [1, {b: 2}]}), [], 'equal documents need no operations');
+assert.deepStrictEqual(roundTrip({a: 1}, {a: 2}), [{op: 'replace', path: '/a', value: 2}]);
+assert.deepStrictEqual(roundTrip({a: 1, b: 2}, {a: 1}), [{op: 'remove', path: '/b'}]);
+assert.deepStrictEqual(roundTrip({}, {'a/b~c': 1}), [{op: 'add', path: '/a~1b~0c', value: 1}]);
+assert.strictEqual(escapePointerToken('~/'), '~0~1');
+
+// Prepending a version is a single add, not a shift of every entry.
+const versions = [{version: '1.1.0'}, {version: '1.0.0'}];
+assert.deepStrictEqual(
+    roundTrip({versions}, {versions: [{version: '1.2.0'}, ...versions]}),
+    [{op: 'add', path: '/versions/0', value: {version: '1.2.0'}}]
+);
+
+// Removing from the middle, and trimming the tail.
+assert.deepStrictEqual(roundTrip([1, 2, 3, 4], [1, 4]), [{op: 'remove', path: '/1'}, {op: 'remove', path: '/1'}]);
+roundTrip([1, 2, 3, 4, 5], [1, 2]);
+roundTrip([1, 2], [0, 1, 2, 3]);
+
+// A changed element is patched in place.
+assert.deepStrictEqual(
+    roundTrip([{id: 'a', name: 'A'}, {id: 'b', name: 'B'}], [{id: 'a', name: 'A'}, {id: 'b', name: 'Bee'}]),
+    [{op: 'replace', path: '/1/name', value: 'Bee'}]
+);
+
+// Type changes and the root are replaced wholesale.
+roundTrip({a: [1]}, {a: {0: 1}});
+assert.deepStrictEqual(roundTrip(1, [1]), [{op: 'replace', path: '', value: [1]}]);
+
+// Applying never mutates the input and rejects what it cannot apply.
+const original = {a: [1, 2]};
+applyJsonPatch(original, [{op: 'add', path: '/a/-', value: 3}]);
+assert.deepStrictEqual(original, {a: [1, 2]});
+assert.throws(() => applyJsonPatch({}, [{op: 'move', from: '/a', path: '/b'}]), /Unsupported/);
+assert.throws(() => applyJsonPatch({}, [{op: 'replace', path: '/missing', value: 1}]), /not found/);
+assert.throws(() => applyJsonPatch([1], [{op: 'remove', path: '/1'}]), /out of range/);
+
+// --- createDelta ---------------------------------------------------------------
+
+const baseline = {
+    packages: {
+        devices: [{deviceId: 'arduinoUno', versions: [{version: '1.0.0'}]}],
+        extensions: [],
+        toolchains: []
+    }
+};
+assert.strictEqual(getRevision(baseline), 0, 'pre-revision packages.json counts as 0');
+
+const updated = {
+    packages: {
+        ...baseline.packages,
+        devices: [{deviceId: 'arduinoUno', versions: [{version: '1.1.0'}, {version: '1.0.0'}]}]
+    }
+};
+const first = createDelta(baseline, updated, '2026-01-01T00:00:00.000Z');
+assert.strictEqual(first.packagesJson.revision, 1);
+assert.strictEqual(getRevision(first.packagesJson), 1);
+assert.deepStrictEqual(first.delta.patch, [
+    {op: 'add', path: '/packages/devices/0/versions/0', value: {version: '1.1.0'}},
+    {op: 'add', path: '/revision', value: 1}
+]);
+assert.deepStrictEqual(applyJsonPatch(baseline, first.delta.patch), first.packagesJson);
+assert.ok(!Object.prototype.hasOwnProperty.call(updated, 'revision'), 'input not mutated');
+
+const second = createDelta(first.packagesJson, first.packagesJson, '2026-01-02T00:00:00.000Z');
+assert.deepStrictEqual(second.delta.patch, [{op: 'replace', path: '/revision', value: 2}], 'an unchanged publish still advances');
+assert.deepStrictEqual({from: second.delta.from, to: second.delta.to}, {from: 1, to: 2});
+
+// The index may be ahead of the baseline (e.g. packages.json restored without
+// its revision): the revision still moves past it, never back.
+const ahead = createDelta(baseline, updated, '2026-01-03T00:00:00.000Z', 5);
+assert.strictEqual(ahead.packagesJson.revision, 6);
+assert.deepStrictEqual({from: ahead.delta.from, to: ahead.delta.to}, {from: 0, to: 6});
+assert.deepStrictEqual(applyJsonPatch(baseline, ahead.delta.patch), ahead.packagesJson);
+assert.strictEqual(createDelta(first.packagesJson, updated, 't', 1).packagesJson.revision, 2, 'an index at the baseline changes nothing');
+
+// --- assertBaselineIsLive --------------------------------------------------------
+
+assert.doesNotThrow(() => assertBaselineIsLive(first.packagesJson, first.packagesJson));
+assert.doesNotThrow(() => assertBaselineIsLive(null, null), 'first publish');
+assert.throws(() => assertBaselineIsLive(first.packagesJson, second.packagesJson),
+    /packages.json moved to revision 2 after revision 1 was read/);
+
+// --- addDelta --------------------------------------------------------------------
+
+let index = createEmptyDeltaIndex();
+index = addDelta(index, first.delta, 100).index;
+const added = addDelta(index, second.delta, 50);
+assert.strictEqual(added.index.latest, 2);
+assert.deepStrictEqual(added.index.deltas.map(d => d.revision), [2, 1], 'newest first');
+assert.deepStrictEqual(added.index.deltas[0], {revision: 2, path: deltaPath(2), createdAt: '2026-01-02T00:00:00.000Z', size: 50});
+assert.deepStrictEqual(added.pruned, []);
+
+// The chain is bounded; deltas falling off are reported for deletion.
+const third = {from: 2, to: 3, createdAt: 't', patch: []};
+const bounded = addDelta(added.index, third, 10, 2);
+assert.deepStrictEqual(bounded.index.deltas.map(d => d.revision), [3, 2]);
+assert.deepStrictEqual(bounded.pruned.map(d => d.path), ['deltas/1.json']);
+
+// A baseline that does not continue the chain starts a new one.
+const unrelated = {from: 7, to: 8, createdAt: 't', patch: []};
+const restarted = addDelta(added.index, unrelated, 10);
+assert.deepStrictEqual(restarted.index.deltas.map(d => d.revision), [8]);
+assert.strictEqual(restarted.index.latest, 8);
+assert.deepStrictEqual(restarted.pruned.map(d => d.revision), [2, 1]);
+
+// A delta that skips revisions connects to nothing a client holds: listed nowhere, deleted.
+const skipping = addDelta(added.index, ahead.delta, 10);
+assert.strictEqual(skipping.index.latest, 6);
+assert.deepStrictEqual(skipping.index.deltas, []);
+assert.deepStrictEqual(skipping.pruned.map(d => d.revision), [2, 1, 6]);
+
+console.log('delta-feed.test.js: all assertions passed');
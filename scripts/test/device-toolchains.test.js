@@ -0,0 +1,104 @@
+/**
+ * Standalone checks for device → toolchain referential integrity: the sync
+ * pass over packages.json and the matching PR validator check.
+ * Run: `node scripts/test/device-toolchains.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {getToolchainIds, findToolchainGaps} from '../common/packages-json.js';
+import {validateDeviceToolchains} from '../validate/registry-validator.js';
+import {OPENBLOCK_PLATFORMS} from '../toolchains/arduino/platform-mapper.js';
+
+const unoUrl = 'https://github.com/openblock-plugin/arduinoUno';
+const stmUrl = 'https://github.com/openblock-plugin/nucleo';
+
+const systems = hosts => hosts.map(host => ({host, url: `https://r2/${host}.zip`, checksum: 'x', size: '1'}));
+
+const packagesJson = {
+    packages: {
+        devices: [
+            {deviceId: 'arduinoUno', repository: unoUrl, toolchains: 'arduino-arduino-avr', versions: [{version: '1.0.0'}]},
+            {deviceId: 'microbit', repository: 'https://github.com/openblock-plugin/microbit', versions: [{version: '1.0.0'}]}
+        ],
+        extensions: [],
+        toolchains: [
+            {id: 'arduino-arduino-avr', version: '1.8.8', systems: systems(OPENBLOCK_PLATFORMS)},
+            {id: 'arduino-stm32-stm32', version: '2.11.0', systems: systems(['win32-x64', 'darwin-x64'])},
+            {id: 'arduino-stm32-stm32', version: '2.12.0', systems: systems(['darwin-arm64', 'linux-x64', 'linux-arm64'])}
+        ]
+    }
+};
+
+// --- getToolchainIds -------------------------------------------------------------
+
+assert.deepStrictEqual(getToolchainIds('arduino-arduino-avr'), ['arduino-arduino-avr']);
+assert.deepStrictEqual(getToolchainIds(['a', 'b']), ['a', 'b']);
+assert.deepStrictEqual(getToolchainIds(null), []);
+assert.deepStrictEqual(getToolchainIds([42, 'a']), ['a']);
+assert.deepStrictEqual(getToolchainIds(''), []);
+
+// --- findToolchainGaps -------------------------------------------------------------
+
+assert.deepStrictEqual(findToolchainGaps(packagesJson, OPENBLOCK_PLATFORMS), [], 'every platform covered');
+
+const withGaps = {
+    packages: {
+        ...packagesJson.packages,
+        devices: [
+            {deviceId: 'arduinoUno', repository: unoUrl, toolchains: 'arduino-arduino-avrr', versions: [{version: '1.0.0'}]},
+            {
+                deviceId: 'nucleo',
+                repository: stmUrl,
+                toolchains: ['arduino-arduino-avr', 'arduino-stm32-stm32'],
+                versions: [{version: '2.0.0-beta.1'}, {version: '1.2.0'}]
+            }
+        ]
+    }
+};
+assert.deepStrictEqual(findToolchainGaps(withGaps, OPENBLOCK_PLATFORMS), [
+    {
+        deviceId: 'arduinoUno',
+        repository: unoUrl,
+        version: '1.0.0',
+        toolchainId: 'arduino-arduino-avrr',
+        reason: 'unknown',
+        missingPlatforms: OPENBLOCK_PLATFORMS
+    },
+    // Platforms are covered by any published version; only linux-arm is left.
+    {deviceId: 'nucleo', repository: stmUrl, version: '1.2.0', toolchainId: 'arduino-stm32-stm32', reason: 'incomplete', missingPlatforms: ['linux-arm']}
+]);
+
+// Without a toolchains section every reference would look unknown: skipped.
+const devicesOnly = {packages: {devices: withGaps.packages.devices, extensions: []}};
+assert.deepStrictEqual(findToolchainGaps(devicesOnly, OPENBLOCK_PLATFORMS), [], 'toolchains section missing');
+assert.deepStrictEqual(findToolchainGaps({packages: {...devicesOnly.packages, toolchains: null}}, OPENBLOCK_PLATFORMS), [], 'toolchains null');
+assert.strictEqual(findToolchainGaps({packages: {...devicesOnly.packages, toolchains: []}}, OPENBLOCK_PLATFORMS).length, 3,
+    'an empty toolchains section is still checked');
+
+// --- validateDeviceToolchains ------------------------------------------------------
+
+const newDevice = (pluginId, toolchains) => ({type: 'device', valid: true, pluginId, toolchains});
+
+assert.deepStrictEqual(validateDeviceToolchains(packagesJson, []), [], 'nothing added');
+assert.deepStrictEqual(validateDeviceToolchains(packagesJson, [newDevice('newBoard', ['arduino-arduino-avr'])]), []);
+assert.deepStrictEqual(validateDeviceToolchains(packagesJson, [newDevice('newBoard', [])]), [], 'toolchains are optional');
+
+assert.deepStrictEqual(validateDeviceToolchains(packagesJson, [newDevice('newBoard', ['arduino-avr', 'arduino-stm32-stm32'])]), [
+    'Device newBoard uses toolchain \'arduino-avr\', which is not published in the registry (see TOOLCHAINS.md)',
+    'Device newBoard uses toolchain \'arduino-stm32-stm32\', which has no build for: linux-arm'
+]);
+
+// Invalid entries already failed on their own; extensions have no toolchains.
+assert.deepStrictEqual(validateDeviceToolchains(packagesJson, [
+    {...newDevice('broken', ['ghost']), valid: false},
+    {type: 'extension', valid: true, pluginId: 'oled', toolchains: []}
+]), []);
+
+// No toolchain baseline (packages.json not loaded): nothing to check against.
+assert.deepStrictEqual(validateDeviceToolchains(null, [newDevice('newBoard', ['arduino-arduino-avr'])]), []);
+assert.deepStrictEqual(validateDeviceToolchains({packages: {devices: []}}, [newDevice('newBoard', ['ghost'])]), []);
+
+// Published devices with existing gaps do not block unrelated PRs.
+assert.deepStrictEqual(validateDeviceToolchains(withGaps, []), []);
+
+console.log('device-toolchains.test.js: all assertions passed');
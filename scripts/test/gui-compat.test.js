@@ -0,0 +1,89 @@
+/**
+ * Standalone checks for the minimum-GUI-version metadata: range parsing in
+ * semver.js, reading it from a plugin's package.json, and publishing it per
+ * version in packages.json.
+ * Run: `node scripts/test/gui-compat.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {isValidRange, satisfies} from '../common/semver.js';
+import {readGuiRange} from '../common/gui-compat.js';
+import {addPackageVersion} from '../common/packages-json.js';
+import sync from '../packages/sync.js';
+
+const {buildPackageEntry} = sync;
+
+// --- Ranges -------------------------------------------------------------------
+
+assert.ok(isValidRange('>=2.3.0'));
+assert.ok(isValidRange('>=2.3.0 <3.0.0'));
+assert.ok(isValidRange('^2.3.0 || ^3.0.0-beta.1'));
+assert.ok(isValidRange('*'));
+assert.ok(!isValidRange(''), 'empty range rejected');
+assert.ok(!isValidRange('>=2.3'), 'partial versions rejected');
+assert.ok(!isValidRange('2.x'), 'x-ranges rejected');
+assert.ok(!isValidRange('>=2.3.0 ||'), 'empty alternative rejected');
+assert.ok(!isValidRange(230), 'non-strings rejected');
+
+assert.ok(satisfies('2.3.0', '>=2.3.0'));
+assert.ok(!satisfies('2.2.9', '>=2.3.0'));
+assert.ok(satisfies('2.9.0', '>=2.3.0 <3.0.0'));
+assert.ok(!satisfies('3.0.0', '>=2.3.0 <3.0.0'));
+assert.ok(satisfies('2.3.0', '2.3.0'), 'bare version is exact');
+assert.ok(!satisfies('2.3.1', '=2.3.0'));
+
+// ^ and ~ bounds, including the 0.x cases.
+assert.ok(satisfies('2.9.9', '^2.3.0'));
+assert.ok(!satisfies('3.0.0', '^2.3.0'));
+assert.ok(satisfies('0.3.9', '^0.3.1'));
+assert.ok(!satisfies('0.4.0', '^0.3.1'));
+assert.ok(!satisfies('0.0.4', '^0.0.3'));
+assert.ok(satisfies('2.3.9', '~2.3.0'));
+assert.ok(!satisfies('2.4.0', '~2.3.0'));
+
+// Alternatives, wildcard, invalid input.
+assert.ok(satisfies('1.5.0', '^1.0.0 || ^3.0.0'));
+assert.ok(!satisfies('2.0.0', '^1.0.0 || ^3.0.0'));
+assert.ok(satisfies('0.0.1', '*'));
+assert.ok(!satisfies('not-a-version', '*'));
+assert.ok(!satisfies('2.3.0', '>=oops'));
+
+// --- readGuiRange ---------------------------------------------------------------
+
+assert.deepStrictEqual(readGuiRange({openblock: {}}), {range: null, error: null}, 'optional');
+assert.deepStrictEqual(readGuiRange({engines: {node: '>=18'}, openblock: {}}), {range: null, error: null}, 'other engines ignored');
+assert.deepStrictEqual(readGuiRange({engines: {openblock: '  >=2.3.0   <3.0.0 '}}), {range: '>=2.3.0 <3.0.0', error: null});
+assert.deepStrictEqual(readGuiRange({openblock: {minGuiVersion: '2.3.0'}}), {range: '>=2.3.0', error: null});
+assert.ok(readGuiRange({engines: {openblock: 'latest'}}).error.includes('engines.openblock'));
+assert.ok(readGuiRange({openblock: {minGuiVersion: '>=2.3.0'}}).error.includes('openblock.minGuiVersion'));
+assert.ok(readGuiRange({engines: {openblock: '>=2.3.0'}, openblock: {minGuiVersion: '2.3.0'}}).error.includes('not both'));
+
+// --- Published per version --------------------------------------------------------
+
+const entryFor = (version, guiRange) => buildPackageEntry(
+    {openblock: {extensionId: 'max30102', name: 'MAX30102', minGuiVersion: '2.3.0'}},
+    'extensions',
+    version,
+    'https://github.com/openblock-plugin/max30102',
+    {url: `https://r2/${version}.zip`, archiveFileName: `max30102-${version}.zip`, checksum: 'x', size: 1},
+    guiRange
+);
+
+assert.ok(!Object.prototype.hasOwnProperty.call(entryFor('1.0.0'), 'engines'), 'no range, no field');
+assert.ok(!Object.prototype.hasOwnProperty.call(entryFor('1.0.0'), 'minGuiVersion'), 'source shorthand is not copied as display');
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+packagesJson = addPackageVersion(packagesJson, 'extensions', entryFor('1.0.0'));
+packagesJson = addPackageVersion(packagesJson, 'extensions', entryFor('1.1.0', '>=2.3.0'));
+const [extension] = packagesJson.packages.extensions;
+assert.ok(!Object.prototype.hasOwnProperty.call(extension, 'engines'), 'engines stays out of the root');
+assert.deepStrictEqual(extension.versions[0].engines, {openblock: '>=2.3.0'});
+assert.ok(!Object.prototype.hasOwnProperty.call(extension.versions[1], 'engines'));
+
+// A GUI picks the newest version it can run.
+const installable = guiVersion => extension.versions
+    .find(v => !v.engines || satisfies(guiVersion, v.engines.openblock)).version;
+assert.strictEqual(installable('2.2.0'), '1.0.0');
+assert.strictEqual(installable('2.3.0'), '1.1.0');
+
+console.log('gui-compat.test.js: all assertions passed');
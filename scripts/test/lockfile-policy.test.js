@@ -0,0 +1,166 @@
+/**
+ * Standalone checks for the lockfile policy of plugin builds: refused package
+ * sources, lockfile versions, the advisory snapshot and the sync report section.
+ * Run: `node scripts/test/lockfile-policy.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import {
+    listLockedPackages,
+    checkPackageSource,
+    inspectLockfile,
+    formatViolation,
+    readAdvisories
+} from '../common/lockfile-policy.js';
+import {isValidRange} from '../common/semver.js';
+import sync from '../packages/sync.js';
+
+const {generateReport} = sync;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const tarball = (name, version) => `https://registry.npmjs.org/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+
+const advisories = {
+    lodash: [
+        {id: 'GHSA-jf85-cpcp-j695', severity: 'critical', title: 'Prototype Pollution in lodash', vulnerableVersions: '<4.17.12'},
+        {id: 'GHSA-35jh-r3h4-6jhm', severity: 'high', title: 'Command Injection in lodash', vulnerableVersions: '<4.17.21'}
+    ],
+    minimist: [
+        {id: 'GHSA-xvch-5gv4-984h', severity: 'critical', title: 'Prototype Pollution in minimist', vulnerableVersions: '<0.2.4 || >=1.0.0 <1.2.6'}
+    ]
+};
+
+/**
+ * Reason a single v3 lockfile entry is refused.
+ * @param {object} entry - packages entry
+ * @returns {string|null} Reason, or null if allowed
+ */
+const reasonFor = entry => checkPackageSource(listLockedPackages({lockfileVersion: 3, packages: {'node_modules/x': entry}})[0]);
+
+// --- Sources -------------------------------------------------------------------------
+
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: tarball('x', '1.0.0')}), null);
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: 'git+ssh://git@github.com/o/x.git#0123abc'}), 'git dependency');
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: 'github:o/x#main'}), 'git dependency');
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: 'http://registry.npmjs.org/x/-/x-1.0.0.tgz'}), 'insecure http: download');
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: 'https://cdn.example/x-1.0.0.tgz'}), 'tarball URL outside the npm registry');
+assert.strictEqual(
+    reasonFor({version: '1.0.0', resolved: 'https://registry.npmjs.org.evil.example/x/-/x-1.0.0.tgz'}),
+    'tarball URL outside the npm registry',
+    'the registry is matched with its trailing slash'
+);
+assert.strictEqual(reasonFor({version: '1.0.0', resolved: 'file:vendor/x-1.0.0.tgz'}), 'local file dependency');
+assert.strictEqual(reasonFor({version: '1.0.0'}), 'no resolved registry URL');
+assert.strictEqual(reasonFor({resolved: 'packages/x', link: true}), null, 'workspace links stay inside the plugin');
+assert.strictEqual(reasonFor({resolved: '../other-plugin', link: true}), 'link outside the plugin directory');
+assert.strictEqual(reasonFor({version: '1.0.0', inBundle: true}), null, 'bundled packages come with their parent');
+
+// --- Lockfile versions ----------------------------------------------------------------
+
+const v3 = {
+    lockfileVersion: 3,
+    packages: {
+        '': {name: 'servo', version: '1.0.0'},
+        'packages/helper': {version: '1.0.0'},
+        'node_modules/@scope/util': {version: '2.0.0', resolved: tarball('@scope/util', '2.0.0')},
+        'node_modules/@scope/util/node_modules/lodash': {version: '4.17.20', resolved: tarball('lodash', '4.17.20')},
+        'node_modules/old-lodash': {name: 'lodash', version: '4.17.4', resolved: tarball('lodash', '4.17.4')},
+        'node_modules/helper': {resolved: 'packages/helper', link: true},
+        'node_modules/eslint-plugin-local': {version: '1.0.0', resolved: 'git+https://github.com/o/lint.git#abc', dev: true},
+        'node_modules/minimist': {version: '1.2.5', resolved: tarball('minimist', '1.2.5'), dev: true}
+    }
+};
+assert.deepStrictEqual(
+    listLockedPackages(v3).map(pkg => `${pkg.name}@${pkg.version}`),
+    ['@scope/util@2.0.0', 'lodash@4.17.20', 'lodash@4.17.4', 'helper@null', 'eslint-plugin-local@1.0.0', 'minimist@1.2.5'],
+    'the root and workspace folders are not installed packages; aliases use their real name'
+);
+
+const clean = inspectLockfile(v3, advisories);
+assert.deepStrictEqual(clean.violations, [], 'dev dependencies are not installed, so not checked');
+assert.deepStrictEqual(
+    clean.vulnerabilities.map(item => `${item.severity} ${item.name}@${item.version} ${item.id} ${item.path}`),
+    [
+        'critical lodash@4.17.4 GHSA-jf85-cpcp-j695 node_modules/old-lodash',
+        'high lodash@4.17.20 GHSA-35jh-r3h4-6jhm node_modules/@scope/util/node_modules/lodash',
+        'high lodash@4.17.4 GHSA-35jh-r3h4-6jhm node_modules/old-lodash'
+    ],
+    'most severe first; dev minimist is not reported'
+);
+
+const v1 = {
+    lockfileVersion: 1,
+    dependencies: {
+        'minimist': {version: '1.2.5', resolved: tarball('minimist', '1.2.5')},
+        'servo-core': {
+            version: 'github:o/servo-core#0123abc',
+            from: 'github:o/servo-core',
+            dependencies: {
+                'left-pad': {version: '1.3.0', resolved: 'https://cdn.example/left-pad-1.3.0.tgz'}
+            }
+        }
+    }
+};
+const legacy = inspectLockfile(v1, advisories);
+assert.deepStrictEqual(legacy.violations.map(formatViolation), [
+    'node_modules/servo-core: git dependency (github:o/servo-core#0123abc)',
+    'node_modules/servo-core/node_modules/left-pad: tarball URL outside the npm registry (https://cdn.example/left-pad-1.3.0.tgz)'
+]);
+assert.deepStrictEqual(legacy.vulnerabilities.map(item => item.id), ['GHSA-xvch-5gv4-984h']);
+
+assert.deepStrictEqual(inspectLockfile({lockfileVersion: 3, packages: {'': {}}}), {violations: [], vulnerabilities: []});
+assert.throws(() => listLockedPackages(null), /not a JSON object/);
+
+// --- Reported in the sync report ----------------------------------------------------------
+
+const report = generateReport({
+    added: [],
+    skipped: [],
+    errors: [],
+    vulnerabilities: [{
+        type: 'devices',
+        id: 'esp32',
+        repo: 'o/esp32',
+        version: '1.0.0',
+        packageName: 'lodash',
+        packageVersion: '4.17.4',
+        advisory: 'GHSA-35jh-r3h4-6jhm',
+        severity: 'high',
+        title: 'Command Injection in lodash',
+        url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm'
+    }]
+});
+assert.ok(report.includes('### Vulnerable Dependencies'));
+assert.ok(report.includes('| device | esp32 | 1.0.0 | lodash@4.17.4 | high | ' +
+    '[GHSA-35jh-r3h4-6jhm](https://github.com/advisories/GHSA-35jh-r3h4-6jhm): Command Injection in lodash |'));
+
+// --- The vendored snapshot ------------------------------------------------------------------
+
+const run = async () => {
+    const snapshot = await readAdvisories();
+    const schema = JSON.parse(await fs.readFile(path.resolve(__dirname, '../../schemas/advisories.schema.json'), 'utf-8'));
+    const ajv = new Ajv({allErrors: true});
+    addFormats(ajv);
+    const validate = ajv.compile(schema);
+    assert.ok(validate(snapshot), JSON.stringify(validate.errors));
+
+    for (const [name, list] of Object.entries(snapshot.packages)) {
+        for (const advisory of list) {
+            assert.ok(isValidRange(advisory.vulnerableVersions), `${name} ${advisory.id}: unsupported range`);
+        }
+    }
+};
+
+run()
+    .then(() => {
+        console.log('lockfile-policy.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
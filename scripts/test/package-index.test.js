@@ -0,0 +1,77 @@
+/**
+ * Standalone checks for the sharded package index generated from packages.json.
+ * Run: `node scripts/test/package-index.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {buildPackageIndex, changedPackageFiles, packageFilePath} from '../common/package-index.js';
+
+const icon = 'data:image/png;base64,iVBORw0KGgo=';
+
+const packagesJson = {
+    packages: {
+        devices: [{
+            deviceId: 'arduinoEsp32',
+            name: 'ESP32',
+            iconURL: icon,
+            repository: 'https://github.com/openblock-plugin/arduinoEsp32',
+            versions: [
+                {version: '1.3.0-beta.1', channel: 'beta', url: 'https://r2/1.3.0-beta.1.zip'},
+                {version: '1.2.0', url: 'https://r2/1.2.0.zip', yanked: true, yankedReason: 'Broken'},
+                {version: '1.1.0', url: 'https://r2/1.1.0.zip'}
+            ]
+        }],
+        extensions: [{
+            extensionId: 'max30102',
+            name: 'MAX30102',
+            iconURL: 'https://registry.openblock.cc/extensions/max30102/icon.png',
+            versions: [{version: '0.1.0-alpha.1', channel: 'alpha'}]
+        }],
+        toolchains: [{id: 'arduino', versions: []}],
+        delisted: [{type: 'devices', id: 'gone', repository: 'https://github.com/x/gone', reason: 'r', delistedAt: 't'}]
+    }
+};
+
+const {index, files} = buildPackageIndex(packagesJson);
+
+// One file per package, holding the packages.json entry unchanged.
+assert.deepStrictEqual(files.map(file => file.path), ['packages/devices/arduinoEsp32.json', 'packages/extensions/max30102.json']);
+assert.deepStrictEqual(JSON.parse(files[0].content), packagesJson.packages.devices[0]);
+assert.strictEqual(packageFilePath('extensions', 'max30102'), files[1].path);
+assert.ok(/^SHA-256:[0-9a-f]{64}$/.test(files[0].hash));
+
+// Index entries are slim: no versions[], no inline icons; remote icons are kept.
+const [device] = index.devices;
+assert.ok(!Object.prototype.hasOwnProperty.call(device, 'versions'));
+assert.ok(!Object.prototype.hasOwnProperty.call(device, 'iconURL'), 'inline icon stays in the package file');
+assert.strictEqual(index.extensions[0].iconURL, packagesJson.packages.extensions[0].iconURL);
+assert.strictEqual(device.name, 'ESP32');
+assert.strictEqual(device.path, files[0].path);
+assert.strictEqual(device.hash, files[0].hash);
+
+// Latest is the newest stable, non-yanked version; prerelease-only packages show their prerelease.
+assert.strictEqual(device.version, '1.1.0');
+assert.strictEqual(index.extensions[0].version, '0.1.0-alpha.1');
+
+// Tombstones travel with the index; toolchains do not.
+assert.deepStrictEqual(index.delisted, packagesJson.packages.delisted);
+assert.ok(!Object.prototype.hasOwnProperty.call(index, 'toolchains'));
+
+// Deterministic: same input, same hashes.
+assert.deepStrictEqual(buildPackageIndex(packagesJson).files.map(file => file.hash), files.map(file => file.hash));
+
+// Only files whose hash changed since the published index are re-uploaded.
+assert.strictEqual(changedPackageFiles(files, null).length, 2, 'first publish uploads everything');
+assert.deepStrictEqual(changedPackageFiles(files, index), []);
+const renamed = {
+    packages: {
+        ...packagesJson.packages,
+        extensions: [{...packagesJson.packages.extensions[0], name: 'MAX30102 Sensor'}]
+    }
+};
+assert.deepStrictEqual(
+    changedPackageFiles(buildPackageIndex(renamed).files, index).map(file => file.path),
+    ['packages/extensions/max30102.json']
+);
+
+console.log('package-index.test.js: all assertions passed');
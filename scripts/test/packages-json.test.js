@@ -0,0 +1,113 @@
+/**
+ * Standalone checks for the registry-owned post-processing passes in
+ * packages-json.js. Run: `node scripts/test/packages-json.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {applyYankedVersions, delistUnregisteredPackages} from '../common/packages-json.js';
+
+const repoUrl = 'https://github.com/openblock-plugin/arduinoEsp32';
+
+const packagesJson = {
+    packages: {
+        devices: [{
+            deviceId: 'arduinoEsp32',
+            repository: repoUrl,
+            versions: [
+                {version: '1.2.0', url: 'https://r2/1.2.0.zip'},
+                {version: '1.1.0', url: 'https://r2/1.1.0.zip'}
+            ]
+        }],
+        extensions: [],
+        toolchains: []
+    }
+};
+
+// --- applyYankedVersions ----------------------------------------------------
+
+const reason = 'Bricks ESP32-S2 boards on upload';
+const yanked = applyYankedVersions(packagesJson, [{repository: repoUrl, version: '1.2.0', reason}]);
+assert.strictEqual(yanked.changed, true);
+const [yankedEntry, keptEntry] = yanked.packagesJson.packages.devices[0].versions;
+assert.strictEqual(yankedEntry.yanked, true, 'matching version is marked, not removed');
+assert.strictEqual(yankedEntry.yankedReason, reason);
+assert.strictEqual(yankedEntry.url, 'https://r2/1.2.0.zip', 'download is kept for installed users');
+assert.ok(!Object.prototype.hasOwnProperty.call(keptEntry, 'yanked'), 'other versions untouched');
+assert.ok(!Object.prototype.hasOwnProperty.call(packagesJson.packages.devices[0].versions[0], 'yanked'), 'input not mutated');
+
+// Re-applying the same list is a no-op.
+assert.strictEqual(
+    applyYankedVersions(yanked.packagesJson, [{repository: repoUrl, version: '1.2.0', reason}]).changed,
+    false
+);
+
+// A new reason counts as a change.
+assert.strictEqual(
+    applyYankedVersions(yanked.packagesJson, [{repository: repoUrl, version: '1.2.0', reason: 'Other'}]).changed,
+    true
+);
+
+// Dropping the registry entry un-yanks the version.
+const unyanked = applyYankedVersions(yanked.packagesJson, []);
+assert.strictEqual(unyanked.changed, true);
+assert.ok(!Object.prototype.hasOwnProperty.call(unyanked.packagesJson.packages.devices[0].versions[0], 'yanked'));
+assert.ok(!Object.prototype.hasOwnProperty.call(unyanked.packagesJson.packages.devices[0].versions[0], 'yankedReason'));
+
+// Only the repository that owns the version is affected.
+assert.strictEqual(
+    applyYankedVersions(packagesJson, [{repository: 'https://github.com/other/repo', version: '1.2.0', reason}]).changed,
+    false
+);
+
+// --- delistUnregisteredPackages ---------------------------------------------
+
+const otherUrl = 'https://github.com/openblock-plugin/microbit';
+const published = {
+    packages: {
+        devices: [
+            {deviceId: 'arduinoEsp32', repository: repoUrl, versions: []},
+            {deviceId: 'microbit', repository: otherUrl, versions: []}
+        ],
+        extensions: [],
+        toolchains: []
+    }
+};
+const now = '2026-01-01T00:00:00.000Z';
+const onlyEsp32 = {devices: new Set([repoUrl]), extensions: new Set()};
+
+const delisted = delistUnregisteredPackages(published, onlyEsp32, published, now);
+assert.strictEqual(delisted.changed, true);
+assert.deepStrictEqual(delisted.packagesJson.packages.devices.map(d => d.deviceId), ['arduinoEsp32']);
+assert.deepStrictEqual(delisted.delisted, [{
+    type: 'devices',
+    id: 'microbit',
+    repository: otherUrl,
+    reason: `Repository ${otherUrl} is no longer listed in registry.json`,
+    delistedAt: now
+}]);
+assert.deepStrictEqual(delisted.packagesJson.packages.delisted, delisted.delisted);
+assert.strictEqual(delisted.packagesJson.packages.toolchains, published.packages.toolchains, 'toolchains untouched');
+
+// The next sync keeps the tombstone (and its original date) without reporting it again.
+const again = delistUnregisteredPackages(delisted.packagesJson, onlyEsp32, delisted.packagesJson, '2026-02-01T00:00:00.000Z');
+assert.strictEqual(again.changed, false);
+assert.deepStrictEqual(again.delisted, []);
+assert.strictEqual(again.packagesJson.packages.delisted[0].delistedAt, now);
+
+// A rebuild starts from an empty packages.json but still delists against the baseline.
+const empty = {packages: {devices: [], extensions: [], toolchains: []}};
+const rebuilt = delistUnregisteredPackages(empty, onlyEsp32, published, now);
+assert.deepStrictEqual(rebuilt.packagesJson.packages.delisted.map(t => t.id), ['microbit']);
+
+// Registering and publishing the package again removes its tombstone.
+const relisted = delistUnregisteredPackages(
+    {...published, packages: {...published.packages, delisted: delisted.packagesJson.packages.delisted}},
+    {devices: new Set([repoUrl, otherUrl]), extensions: new Set()},
+    delisted.packagesJson,
+    now
+);
+assert.strictEqual(relisted.changed, true);
+assert.deepStrictEqual(relisted.packagesJson.packages.delisted, []);
+assert.strictEqual(relisted.packagesJson.packages.devices.length, 2);
+
+console.log('packages-json.test.js: all assertions passed');
@@ -0,0 +1,97 @@
+/**
+ * Standalone checks for the upload-phase publish journal: it survives a re-read,
+ * and a version whose entry is journaled is re-applied without touching R2.
+ * Run: `node scripts/test/publish-journal.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    JOURNAL_FILENAME,
+    readJournal,
+    writeJournal,
+    clearJournal,
+    recordKey,
+    getRecordStep,
+    markRecordStep,
+    isStepDone,
+    contentStep,
+    markStepDone
+} from '../common/publish-journal.js';
+import sync from '../packages/sync.js';
+
+const {publishVersion} = sync;
+
+const run = async () => {
+    const artifactDir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-journal-test-'));
+    try {
+        // No journal yet: empty.
+        const journal = await readJournal(artifactDir);
+        assert.deepStrictEqual(journal, {records: {}, steps: {}});
+
+        const record = {type: 'devices', id: 'arduinoEsp32', version: '1.2.0'};
+        const key = recordKey(record);
+        assert.strictEqual(key, 'devices/arduinoEsp32/1.2.0');
+        assert.strictEqual(getRecordStep(journal, key, 'zip'), null);
+
+        // Steps persist across a re-read (what a re-run of --phase=upload sees).
+        markRecordStep(journal, key, 'zip', {url: 'https://r2/1.2.0.zip'});
+        markStepDone(journal, 'packages.json', '2026-01-01T00:00:00.000Z');
+        await writeJournal(artifactDir, journal);
+
+        const reread = await readJournal(artifactDir);
+        assert.deepStrictEqual(getRecordStep(reread, key, 'zip'), {url: 'https://r2/1.2.0.zip'});
+        assert.ok(isStepDone(reread, 'packages.json'));
+        assert.ok(!isStepDone(reread, 'translations'));
+
+        // Content-keyed steps are done only for the exact document uploaded.
+        const published = {packages: {devices: [{deviceId: 'arduinoEsp32', versions: [{version: '1.2.0'}]}], extensions: []}};
+        markStepDone(reread, contentStep('packages.json', published));
+        assert.ok(isStepDone(reread, contentStep('packages.json', {packages: {devices: [{deviceId: 'arduinoEsp32', versions: [{version: '1.2.0'}]}], extensions: []}})));
+        assert.ok(!isStepDone(reread, contentStep('packages.json', {packages: {devices: [{deviceId: 'arduinoEsp32', versions: [{version: '1.3.0'}]}], extensions: []}})),
+            'different merged packages are published again');
+        assert.ok(!isStepDone(reread, 'packages.json@sha256:'), 'the hash is part of the step');
+        await assert.rejects(fs.access(path.join(artifactDir, `${JOURNAL_FILENAME}.tmp`)), 'no temp file left');
+
+        // A journaled entry is re-applied in memory only: no staged files or R2 needed.
+        const entry = {
+            deviceId: 'arduinoEsp32',
+            name: 'ESP32',
+            repository: 'https://github.com/openblock-plugin/arduinoEsp32',
+            version: '1.2.0',
+            url: 'https://r2/1.2.0.zip',
+            archiveFileName: 'arduinoEsp32-1.2.0.zip',
+            checksum: 'SHA-256:X',
+            size: '1'
+        };
+        markRecordStep(reread, key, 'entry', entry);
+        const result = await publishVersion(
+            {...record, repoUrl: entry.repository, dir: 'devices/arduinoEsp32/1.2.0', size: 1, hasTranslations: false},
+            artifactDir,
+            {packages: {devices: [], extensions: [], toolchains: []}},
+            null,
+            reread
+        );
+        assert.strictEqual(result.resumed, true);
+        assert.strictEqual(result.url, 'https://r2/1.2.0.zip');
+        assert.strictEqual(result.currentPackages.packages.devices[0].name, 'ESP32');
+        assert.deepStrictEqual(result.currentPackages.packages.devices[0].versions.map(v => v.version), ['1.2.0']);
+
+        // A new build in the same directory starts from a clean journal.
+        await clearJournal(artifactDir);
+        assert.deepStrictEqual(await readJournal(artifactDir), {records: {}, steps: {}});
+    } finally {
+        await fs.rm(artifactDir, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('publish-journal.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
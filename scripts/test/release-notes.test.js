@@ -0,0 +1,122 @@
+/**
+ * Standalone checks for per-version release notes: changelog section lookup,
+ * sanitizing to the published Markdown subset, reading CHANGELOG.md from the
+ * clone, and where they end up in packages.json.
+ * Run: `node scripts/test/release-notes.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {extractChangelogSection, sanitizeReleaseNotes, readChangelog, resolveReleaseNotes} from '../common/release-notes.js';
+import {addPackageVersion} from '../common/packages-json.js';
+import {buildPackageIndex} from '../common/package-index.js';
+
+// --- extractChangelogSection -------------------------------------------------------
+
+const changelog = [
+    '# Changelog',
+    '',
+    '## [Unreleased]',
+    '- Work in progress',
+    '',
+    '## [1.2.0] - 2024-05-01',
+    '### Added',
+    '- OLED support',
+    '',
+    '## v1.1.0',
+    '- Fixed servo timing',
+    '',
+    '## 1.0.0',
+    ''
+].join('\r\n');
+
+assert.strictEqual(extractChangelogSection(changelog, '1.2.0'), '### Added\n- OLED support', 'subheadings stay in the section');
+assert.strictEqual(extractChangelogSection(changelog, '1.1.0'), '- Fixed servo timing', 'v prefix in the heading');
+assert.strictEqual(extractChangelogSection(changelog, '1.0.0'), null, 'empty section');
+assert.strictEqual(extractChangelogSection(changelog, '1.3.0'), null, 'missing section');
+assert.strictEqual(extractChangelogSection('## 1.2.0-beta.1\n- Beta\n## 1.2.0\n- Stable', '1.2.0'), '- Stable', 'prerelease is a different version');
+
+// --- sanitizeReleaseNotes ------------------------------------------------------------
+
+assert.strictEqual(sanitizeReleaseNotes('  ## Fixes\n\n\n\n- Servo **timing**  \n'), '## Fixes\n\n- Servo **timing**');
+assert.strictEqual(sanitizeReleaseNotes('<script>alert(1)</script>Hi <b>there</b><!-- hidden -->'), 'alert(1)Hi there', 'HTML removed');
+assert.strictEqual(sanitizeReleaseNotes('![pixel](https://evil.example/t.gif)Wiring'), 'pixelWiring', 'images become alt text');
+assert.strictEqual(
+    sanitizeReleaseNotes('[docs](https://example.com/docs "Docs") and [click](javascript:alert(1))'),
+    '[docs](https://example.com/docs "Docs") and click',
+    'only http(s) links kept'
+);
+assert.strictEqual(sanitizeReleaseNotes('See <https://example.com> or <javascript:alert(1)>'), 'See https://example.com or');
+assert.strictEqual(sanitizeReleaseNotes('[a]: https://example.com\n[b]: data:text/html,x'), '[a]: https://example.com');
+assert.strictEqual(sanitizeReleaseNotes('Tab\u0007bed\u0000'), 'Tabbed', 'control characters dropped');
+assert.strictEqual(sanitizeReleaseNotes('<img src=x>'), null, 'nothing left');
+assert.strictEqual(sanitizeReleaseNotes(null), null);
+
+// Long notes are cut at a line break and marked.
+const long = Array.from({length: 50}, (_, i) => `- change ${i}`).join('\n');
+const capped = sanitizeReleaseNotes(long, 100);
+assert.ok(capped.length <= 100, 'within the cap');
+assert.ok(capped.endsWith('- change 7\n\n…'), capped);
+assert.strictEqual(sanitizeReleaseNotes('x'.repeat(200), 50).length, 50, 'hard cut without line breaks');
+
+// --- resolveReleaseNotes -------------------------------------------------------------
+
+assert.strictEqual(resolveReleaseNotes({releaseBody: 'From the release', changelog, version: '1.2.0'}), 'From the release');
+assert.strictEqual(resolveReleaseNotes({releaseBody: '<br>', changelog, version: '1.1.0'}), '- Fixed servo timing', 'empty release falls back');
+assert.strictEqual(resolveReleaseNotes({changelog, version: '1.3.0'}), null);
+assert.strictEqual(resolveReleaseNotes({version: '1.2.0'}), null);
+
+// --- Published per version -------------------------------------------------------------
+
+const entry = (version, releaseNotes) => ({
+    extensionId: 'oled',
+    name: 'OLED',
+    repository: 'https://github.com/openblock-plugin/oled',
+    version,
+    ...(releaseNotes ? {releaseNotes} : {}),
+    url: `https://r2/${version}.zip`,
+    archiveFileName: `oled-${version}.zip`,
+    checksum: 'SHA-256:x',
+    size: '1'
+});
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('1.1.0', '- Fixed servo timing'));
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('1.2.0', '### Added\n- OLED support'));
+const [oled] = packagesJson.packages.extensions;
+assert.ok(!Object.prototype.hasOwnProperty.call(oled, 'releaseNotes'), 'notes stay out of the display fields');
+assert.deepStrictEqual(oled.versions.map(v => v.releaseNotes), ['### Added\n- OLED support', '- Fixed servo timing']);
+
+// The slim index leaves them to the per-package files.
+const {index, files} = buildPackageIndex(packagesJson);
+assert.ok(!JSON.stringify(index).includes('releaseNotes'));
+assert.ok(files[0].content.includes('OLED support'));
+
+// --- readChangelog -----------------------------------------------------------------
+
+const run = async () => {
+    const sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'release-notes-test-'));
+    try {
+        assert.strictEqual(await readChangelog(sourceDir), null, 'no changelog');
+
+        await fs.writeFile(path.join(sourceDir, 'changelog.md'), changelog);
+        assert.strictEqual(await readChangelog(sourceDir), changelog);
+
+        // A build step may replace it with a link to a file outside the clone.
+        await fs.symlink('/etc/passwd', path.join(sourceDir, 'CHANGELOG.md'));
+        await assert.rejects(readChangelog(sourceDir), /CHANGELOG\.md must be a regular file/);
+    } finally {
+        await fs.rm(sourceDir, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('release-notes.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,65 @@
+/**
+ * Standalone checks for the build sandbox's bwrap arguments: network only on
+ * request, hidden directories mounted over in order, the plugin directory
+ * writable, and resource caps in front of the command.
+ * Run: `node scripts/test/sandbox.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {buildSandboxArgs} from '../packages/sandbox.js';
+import {LIMITS} from '../common/limits.js';
+
+const pluginDir = '/tmp/sync-abc/servo/repo';
+
+/**
+ * Values following each occurrence of a flag.
+ * @param {string[]} args - bwrap arguments
+ * @param {string} flag - Flag to look for
+ * @returns {string[]} The argument after each occurrence
+ */
+const valuesOf = (args, flag) => args.flatMap((arg, i) => (arg === flag ? [args[i + 1]] : []));
+
+const args = buildSandboxArgs({
+    command: ['node', '/opt/cli/bin.js', 'build'],
+    pluginDir,
+    hiddenDirs: ['/tmp/sync-abc', '/repo/.git', '/tmp/sync-abc/', '/artifacts']
+});
+
+// Everything is unshared, network included.
+assert.ok(args.includes('--unshare-all'));
+assert.ok(!args.includes('--share-net'), 'no network by default');
+assert.ok(buildSandboxArgs({command: ['npm', 'install'], pluginDir, network: true}).includes('--share-net'));
+
+// Read-only host; hidden directories sorted and deduplicated, after the /tmp mount.
+assert.deepStrictEqual(valuesOf(args, '--ro-bind'), ['/']);
+assert.deepStrictEqual(valuesOf(args, '--tmpfs'), ['/tmp', '/artifacts', '/repo/.git', '/tmp/sync-abc']);
+
+// The plugin directory is bound after the hidden directories that contain it.
+const bindIndex = args.indexOf('--bind');
+assert.deepStrictEqual(args.slice(bindIndex, bindIndex + 3), ['--bind', pluginDir, pluginDir]);
+assert.ok(bindIndex > args.lastIndexOf('--tmpfs'));
+assert.deepStrictEqual(valuesOf(args, '--chdir'), [pluginDir]);
+
+// The command runs under prlimit with the configured caps.
+const commandStart = args.indexOf('--') + 1;
+assert.deepStrictEqual(args.slice(commandStart), [
+    'prlimit',
+    `--cpu=${LIMITS.buildCpuSeconds}`,
+    `--as=${LIMITS.buildMemoryBytes}`,
+    `--fsize=${LIMITS.buildFileBytes}`,
+    '--core=0',
+    '--',
+    'node',
+    '/opt/cli/bin.js',
+    'build'
+]);
+
+// Limits can be overridden.
+const small = buildSandboxArgs({
+    command: ['true'],
+    pluginDir,
+    limits: {buildCpuSeconds: 1, buildMemoryBytes: 2, buildFileBytes: 3}
+});
+assert.ok(small.includes('--cpu=1') && small.includes('--as=2') && small.includes('--fsize=3'));
+
+console.log('sandbox.test.js: all assertions passed');
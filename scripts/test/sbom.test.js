@@ -0,0 +1,145 @@
+/**
+ * Standalone checks for the CycloneDX SBOM of published versions: installed
+ * packages read from the lockfile and node_modules, the document's components,
+ * and the sbomUrl kept per version in packages.json.
+ * Run: `node scripts/test/sbom.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {npmPurl, readInstalledPackages, createSbom} from '../common/sbom.js';
+import {addPackageVersion} from '../common/packages-json.js';
+
+// --- Package URLs ------------------------------------------------------------------------
+
+assert.strictEqual(npmPurl('lodash', '4.17.21'), 'pkg:npm/lodash@4.17.21');
+assert.strictEqual(npmPurl('@babel/parser', '7.29.0'), 'pkg:npm/%40babel/parser@7.29.0');
+assert.strictEqual(npmPurl('left-pad', '1.3.0-beta+1'), 'pkg:npm/left-pad@1.3.0-beta%2B1');
+
+// --- Document -----------------------------------------------------------------------------
+
+const integrity = `sha512-${Buffer.from('digest').toString('base64')}`;
+const sbom = createSbom({
+    id: 'servo',
+    version: '1.2.0',
+    repoUrl: 'https://github.com/openblock-plugin/servo',
+    license: 'MIT',
+    packages: [
+        {name: 'lodash', version: '4.17.21', license: 'MIT', resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz', integrity},
+        {name: '@scope/util', version: '2.0.0', license: [{type: 'MIT'}, {type: 'Apache-2.0'}], resolved: null, integrity: null},
+        {name: 'odd', version: '1.0.0', license: 'SEE LICENSE IN LICENSE.txt', resolved: null, integrity: null},
+        {name: 'lodash', version: '4.17.21', license: 'MIT', resolved: null, integrity: null}
+    ]
+});
+
+assert.strictEqual(sbom.bomFormat, 'CycloneDX');
+assert.strictEqual(sbom.specVersion, '1.5');
+assert.deepStrictEqual(sbom.metadata.component, {
+    'type': 'library',
+    'bom-ref': 'pkg:github/openblock-plugin/servo@1.2.0',
+    'name': 'servo',
+    'version': '1.2.0',
+    'purl': 'pkg:github/openblock-plugin/servo@1.2.0',
+    'licenses': [{license: {id: 'MIT'}}],
+    'externalReferences': [{type: 'vcs', url: 'https://github.com/openblock-plugin/servo'}]
+});
+assert.deepStrictEqual(
+    sbom.components.map(component => component.purl),
+    ['pkg:npm/%40scope/util@2.0.0', 'pkg:npm/lodash@4.17.21', 'pkg:npm/odd@1.0.0'],
+    'one component per package version, sorted'
+);
+assert.deepStrictEqual(sbom.components[1], {
+    'type': 'library',
+    'bom-ref': 'pkg:npm/lodash@4.17.21',
+    'name': 'lodash',
+    'version': '4.17.21',
+    'purl': 'pkg:npm/lodash@4.17.21',
+    'hashes': [{alg: 'SHA-512', content: Buffer.from('digest').toString('hex')}],
+    'licenses': [{expression: 'MIT'}],
+    'externalReferences': [{type: 'distribution', url: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz'}]
+});
+assert.strictEqual(sbom.components[0].group, '@scope');
+assert.strictEqual(sbom.components[0].name, 'util');
+assert.deepStrictEqual(sbom.components[0].licenses, [{expression: '(MIT) OR (Apache-2.0)'}], 'legacy licenses arrays');
+assert.deepStrictEqual(sbom.components[2].licenses, [{license: {name: 'SEE LICENSE IN LICENSE.txt'}}]);
+
+// No timestamps or serial numbers: the same input gives the same document.
+assert.strictEqual(JSON.stringify(createSbom({id: 'x', version: '1.0.0', repoUrl: 'https://github.com/o/x', packages: []})),
+    JSON.stringify(createSbom({id: 'x', version: '1.0.0', repoUrl: 'https://github.com/o/x', packages: []})));
+
+// --- Published per version ------------------------------------------------------------------
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+packagesJson = addPackageVersion(packagesJson, 'extensions', {
+    extensionId: 'servo',
+    name: 'Servo',
+    version: '1.2.0',
+    sbomUrl: 'https://r2/extensions/servo/1.2.0.cdx.json'
+});
+const extension = packagesJson.packages.extensions[0];
+assert.strictEqual(extension.versions[0].sbomUrl, 'https://r2/extensions/servo/1.2.0.cdx.json');
+assert.ok(!Object.prototype.hasOwnProperty.call(extension, 'sbomUrl'), 'sbomUrl is a version field');
+
+// --- readInstalledPackages ---------------------------------------------------------------------
+
+/**
+ * Write an installed package's package.json.
+ * @param {string} pluginDir - Plugin directory
+ * @param {string} installPath - Path under the plugin (node_modules/...)
+ * @param {object} manifest - package.json contents
+ * @returns {Promise<void>} Resolves when written
+ */
+const install = async (pluginDir, installPath, manifest) => {
+    await fs.mkdir(path.join(pluginDir, installPath), {recursive: true});
+    await fs.writeFile(path.join(pluginDir, installPath, 'package.json'), JSON.stringify(manifest));
+};
+
+const run = async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'sbom-test-'));
+    try {
+        const pluginDir = path.join(root, 'plugin');
+        await fs.mkdir(pluginDir);
+        assert.deepStrictEqual(await readInstalledPackages(pluginDir), [], 'no lockfile, nothing installed');
+
+        await fs.writeFile(path.join(pluginDir, 'package-lock.json'), JSON.stringify({
+            lockfileVersion: 3,
+            packages: {
+                '': {name: 'servo', version: '1.2.0'},
+                'node_modules/lodash': {version: '4.17.21', resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.21.tgz', integrity},
+                'node_modules/@scope/util': {version: '2.0.0', license: 'ISC'},
+                'node_modules/fsevents': {version: '2.3.3', optional: true},
+                'node_modules/eslint': {version: '9.0.0', dev: true},
+                'node_modules/escape': {version: '1.0.0'}
+            }
+        }));
+        await install(pluginDir, 'node_modules/lodash', {name: 'lodash', version: '4.17.21', license: 'MIT'});
+        await install(pluginDir, 'node_modules/@scope/util', {name: '@scope/util', version: '2.0.0'});
+        await install(pluginDir, 'node_modules/eslint', {name: 'eslint', version: '9.0.0', license: 'MIT'});
+        // A package directory the build pointed outside the plugin is not read.
+        await install(root, 'outside', {name: 'secret', version: '6.6.6'});
+        await fs.symlink(path.join(root, 'outside'), path.join(pluginDir, 'node_modules', 'escape'));
+
+        const installed = await readInstalledPackages(pluginDir);
+        assert.deepStrictEqual(installed.map(pkg => `${pkg.name}@${pkg.version} ${pkg.license}`), [
+            'lodash@4.17.21 MIT',
+            '@scope/util@2.0.0 ISC'
+        ], 'only installed, non-dev packages inside the plugin; the lockfile license is the fallback');
+        assert.strictEqual(installed[0].integrity, integrity);
+
+        await fs.writeFile(path.join(pluginDir, 'package-lock.json'), '{');
+        await assert.rejects(readInstalledPackages(pluginDir), /Cannot read package-lock.json for the SBOM/);
+    } finally {
+        await fs.rm(root, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('sbom.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
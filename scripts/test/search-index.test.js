@@ -0,0 +1,101 @@
+/**
+ * Standalone checks for the multilingual search index: per-locale tokenizing
+ * and resolving formatMessage display fields against l10n and the merged
+ * interface translations.
+ * Run: `node scripts/test/search-index.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {tokenize, buildSearchIndex, SEARCH_INDEX_SCHEMA_VERSION} from '../common/search-index.js';
+
+// --- tokenize ----------------------------------------------------------------------
+
+assert.deepStrictEqual(tokenize('OLED Display, I2C'), ['display', 'i2c', 'oled']);
+assert.deepStrictEqual(tokenize('Cámara de vídeo', 'es'), ['camara', 'cámara', 'de', 'video', 'vídeo'], 'accent-free forms too');
+assert.deepStrictEqual(tokenize('ＨＣ－ＳＲ04'), ['hc', 'sr04'], 'full-width forms normalized');
+assert.deepStrictEqual(tokenize(''), []);
+assert.deepStrictEqual(tokenize(null), []);
+
+// CJK: a query for any part of a compound word finds it.
+const chinese = tokenize('超声波测距', 'zh-cn');
+for (const query of ['超声波', '测距', '距']) {
+    assert.ok(tokenize(query, 'zh-cn').every(token => chinese.includes(token)), query);
+}
+
+// --- buildSearchIndex ----------------------------------------------------------------
+
+const message = (id, text) => ({formatMessage: {id, default: text, description: text}});
+
+const packagesJson = {
+    packages: {
+        devices: [
+            {
+                deviceId: 'arduinoUno',
+                name: 'Arduino Uno',
+                description: 'A classic board',
+                manufactor: 'arduino.cc',
+                tags: ['arduino'],
+                versions: []
+            }
+        ],
+        extensions: [
+            {
+                extensionId: 'ultrasonic',
+                name: message('ultrasonic.name', 'Ultrasonic Sensor'),
+                description: message('ultrasonic.description', 'Measure distance'),
+                tags: ['sensor'],
+                l10n: {
+                    'zh-cn': {'ultrasonic.name': '超声波传感器', 'ultrasonic.description': '测量距离'},
+                    'es': {'ultrasonic.name': 'Sensor ultrasónico'}
+                },
+                versions: []
+            }
+        ],
+        toolchains: [{id: 'arduino-arduino-avr', version: '1.8.8', systems: []}]
+    }
+};
+const translations = {interface: {'ultrasonic.name': {message: 'Ultrasonic Distance Sensor', description: ''}}};
+
+const index = buildSearchIndex(packagesJson, translations);
+assert.strictEqual(index.schemaVersion, SEARCH_INDEX_SCHEMA_VERSION);
+assert.deepStrictEqual(index.locales, ['en', 'es', 'zh-cn']);
+assert.deepStrictEqual(index.packages.map(entry => `${entry.type}/${entry.id}`), ['devices/arduinoUno', 'extensions/ultrasonic']);
+
+const [uno, ultrasonic] = index.packages;
+
+// Plain strings are English text.
+assert.deepStrictEqual(uno.text, {en: {name: 'Arduino Uno', description: 'A classic board'}});
+assert.deepStrictEqual(uno.keywords, ['arduino', 'arduino.cc', 'arduinouno']);
+
+// English comes from the merged translations, falling back to the default.
+assert.deepStrictEqual(ultrasonic.text.en, {name: 'Ultrasonic Distance Sensor', description: 'Measure distance'});
+assert.deepStrictEqual(ultrasonic.text['zh-cn'], {name: '超声波传感器', description: '测量距离'});
+// Untranslated fields are left to the English text.
+assert.deepStrictEqual(ultrasonic.text.es, {name: 'Sensor ultrasónico'});
+
+// Localized names are searchable in their own locale.
+assert.ok(ultrasonic.tokens['zh-cn'].includes('传感'));
+assert.ok(ultrasonic.tokens.es.includes('ultrasonico'));
+assert.ok(ultrasonic.tokens.en.includes('distance'));
+assert.deepStrictEqual(ultrasonic.keywords, ['sensor', 'ultrasonic']);
+
+// Without merged translations the formatMessage default is used.
+assert.strictEqual(buildSearchIndex(packagesJson).packages[1].text.en.name, 'Ultrasonic Sensor');
+
+// A package without l10n of its own is found by its name in the merged translations of a locale.
+const oledJson = {
+    packages: {
+        devices: [],
+        extensions: [{extensionId: 'oled', name: message('oled.name', 'OLED Display'), versions: []}]
+    }
+};
+const oledIndex = buildSearchIndex(oledJson, {
+    interface: {},
+    l10n: {'zh-cn': {'oled.name': 'OLED显示屏'}, 'ja': {'other.name': 'その他'}}
+});
+const [oled] = oledIndex.packages;
+assert.deepStrictEqual(oledIndex.locales, ['en', 'zh-cn'], 'locales without a resolved string are left out');
+assert.deepStrictEqual(oled.text, {'en': {name: 'OLED Display'}, 'zh-cn': {name: 'OLED显示屏'}});
+assert.ok(tokenize('显示屏', 'zh-cn').every(token => oled.tokens['zh-cn'].includes(token)));
+
+console.log('search-index.test.js: all assertions passed');
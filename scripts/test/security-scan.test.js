@@ -0,0 +1,114 @@
+/**
+ * Standalone checks for the static security scan of built plugins: each rule,
+ * severity ranking, the block threshold and the sync report section.
+ * Run: `node scripts/test/security-scan.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {scanSource, scanDist, blockingFindings, formatFinding} from '../common/security-scan.js';
+import sync from '../packages/sync.js';
+
+const {generateReport} = sync;
+
+/**
+ * Rules and messages of the findings for a snippet.
+ * @param {string} source - JavaScript source
+ * @returns {string[]} "severity rule: message" per finding
+ */
+const rulesOf = source => scanSource(source, 'index.js').map(f => `${f.severity} ${f.rule}: ${f.message}`);
+
+// --- Rules -------------------------------------------------------------------------
+
+assert.deepStrictEqual(rulesOf('const x = 1; export default x;'), [], 'plain code is clean');
+
+assert.deepStrictEqual(rulesOf('eval(code); window.eval(code);'), ['high eval: Calls eval()']);
+assert.strictEqual(scanSource('eval(a);\neval(b);', 'index.js')[0].count, 2, 'repeats are counted once');
+assert.deepStrictEqual(rulesOf('new Function("return 1")'), ['high new-function: Creates a function from a string']);
+assert.deepStrictEqual(rulesOf('setTimeout("alert(1)", 10); setTimeout(() => {}, 10);'), ['medium string-timer: setTimeout() with a code string']);
+
+assert.deepStrictEqual(rulesOf('import("https://cdn.example/x.js")'), ['critical remote-import: Loads code from cdn.example']);
+assert.deepStrictEqual(rulesOf('import(url)'), ['high dynamic-import: import() of a computed specifier']);
+assert.deepStrictEqual(rulesOf('import("./locale/" + lang + ".js"); import("./chunk.js")'), [], 'relative chunks are fine');
+assert.deepStrictEqual(rulesOf('import x from "https://cdn.example/x.js"'), ['critical remote-import: Loads code from cdn.example']);
+assert.deepStrictEqual(
+    rulesOf('const s = document.createElement("SCRIPT"); document.write(html);'),
+    ['high script-injection: Creates a <script> element', 'medium script-injection: Calls document.write()']
+);
+assert.deepStrictEqual(rulesOf('new Worker("https://cdn.example/w.js")'), ['high remote-script: Starts a Worker from cdn.example']);
+
+assert.deepStrictEqual(
+    rulesOf('fetch(`https://API.example.com/v1/${id}`); fetch("/local"); new WebSocket("wss://ws.example:8080");'),
+    ['medium hardcoded-network: fetch to api.example.com', 'medium hardcoded-network: WebSocket to ws.example:8080']
+);
+assert.deepStrictEqual(
+    rulesOf('new XMLHttpRequest().open("POST", "http://" + "collect.example/x"); window.open("https://docs.example");'),
+    ['medium hardcoded-network: XMLHttpRequest to collect.example']
+);
+
+assert.deepStrictEqual(
+    rulesOf('const cp = require("node:child_process"); import fs from "fs/promises";'),
+    ["critical node-api: Uses the Node.js 'child_process' module", "high node-api: Uses the Node.js 'fs/promises' module"]
+);
+assert.deepStrictEqual(rulesOf('require("path"); require(name);'), [], 'other modules and computed requires are not flagged');
+
+// Obfuscation: obfuscator-style identifiers, or strings written as escapes.
+const identifiers = Array.from({length: 12}, (_, i) => `var _0x${(0xa000 + i).toString(16)} = ${i};`).join('\n');
+assert.deepStrictEqual(rulesOf(identifiers), ['high obfuscation: 12 obfuscator-style _0x identifiers']);
+const escaped = `var s = "${'\\x61'.repeat(150)}";`;
+assert.deepStrictEqual(rulesOf(escaped), ['high obfuscation: 150 escape-encoded characters in string literals']);
+assert.deepStrictEqual(rulesOf(`var s = "${'\\u00e9'.repeat(20)}";`), [], 'a few escapes are normal');
+
+// Unparseable files cannot be vouched for.
+assert.deepStrictEqual(scanSource('var = ;', 'broken.js').map(f => f.rule), ['unparseable']);
+
+// Most severe first.
+const mixed = scanSource('fetch("https://a.example"); eval(x); require("child_process");', 'index.js');
+assert.deepStrictEqual(mixed.map(f => f.severity), ['critical', 'high', 'medium']);
+
+// --- Threshold and formatting ------------------------------------------------------------
+
+assert.deepStrictEqual(blockingFindings(mixed).map(f => f.rule), ['node-api', 'eval'], 'high and critical block by default');
+assert.deepStrictEqual(blockingFindings(mixed, 'critical').map(f => f.rule), ['node-api']);
+assert.strictEqual(blockingFindings(mixed, 'low').length, 3);
+assert.strictEqual(formatFinding({...mixed[1], count: 3}), 'high eval in index.js:1 (3×): Calls eval()');
+
+// --- Reported in the sync report ----------------------------------------------------------
+
+const report = generateReport({
+    added: [],
+    skipped: [],
+    errors: [],
+    securityFindings: [{type: 'extensions', id: 'servo', repo: 'o/servo', version: '1.0.0', ...mixed[2]}]
+});
+assert.ok(report.includes('### Security Findings'));
+assert.ok(report.includes('| extension | servo | 1.0.0 | medium | hardcoded-network | index.js:1 | fetch to a.example |'));
+
+// --- scanDist ----------------------------------------------------------------------------
+
+const run = async () => {
+    const distPath = await fs.mkdtemp(path.join(os.tmpdir(), 'security-scan-test-'));
+    try {
+        await fs.mkdir(path.join(distPath, 'lib'));
+        await fs.writeFile(path.join(distPath, 'index.js'), 'module.exports = require("./lib/net.js");');
+        await fs.writeFile(path.join(distPath, 'lib', 'net.js'), 'fetch("https://telemetry.example");\neval(x);');
+        await fs.writeFile(path.join(distPath, 'README.md'), 'eval(x)');
+
+        const findings = await scanDist(distPath);
+        assert.deepStrictEqual(findings.map(f => `${f.rule}@${f.file}:${f.line}`), ['eval@lib/net.js:2', 'hardcoded-network@lib/net.js:1']);
+        assert.deepStrictEqual(blockingFindings(findings).map(f => f.rule), ['eval'], 'a dist calling eval is blocked by default');
+    } finally {
+        await fs.rm(distPath, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('security-scan.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
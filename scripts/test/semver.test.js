@@ -0,0 +1,105 @@
+/**
+ * Standalone checks for semver.js (prerelease channels) and how prerelease
+ * versions land in packages.json.
+ * Run: `node scripts/test/semver.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {isValidSemver, isPrerelease, getChannel, compareSemver, pickDisplayVersion} from '../common/semver.js';
+import {addPackageVersion} from '../common/packages-json.js';
+import {LIMITS} from '../common/limits.js';
+import sync from '../packages/sync.js';
+
+const {buildPackageEntry} = sync;
+
+// Accepted: plain and prerelease tags. Rejected: v prefix, build metadata, junk.
+assert.ok(isValidSemver('1.4.0'));
+assert.ok(isValidSemver('1.4.0-beta.1'));
+assert.ok(isValidSemver('2.0.0-rc.2'));
+assert.ok(!isValidSemver('v1.4.0'), 'v prefix rejected');
+assert.ok(!isValidSemver('1.4.0+build.5'), 'build metadata rejected');
+assert.ok(!isValidSemver('1.4.0-beta..1'), 'empty identifier rejected');
+assert.ok(!isValidSemver('1.4.0-beta.01'), 'leading-zero numeric identifier rejected');
+assert.ok(!isValidSemver('1.4'));
+
+// Channels.
+assert.strictEqual(getChannel('1.4.0'), 'stable');
+assert.strictEqual(getChannel('1.4.0-beta.1'), 'beta');
+assert.strictEqual(getChannel('1.4.0-RC2'), 'rc');
+assert.strictEqual(getChannel('1.4.0-1'), 'prerelease');
+assert.ok(isPrerelease('1.4.0-alpha'));
+assert.ok(!isPrerelease('1.4.0'));
+
+// Precedence (semver spec example chain).
+const chain = [
+    '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta',
+    '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.10.0'
+];
+for (let i = 1; i < chain.length; i++) {
+    assert.ok(compareSemver(chain[i - 1], chain[i]) < 0, `${chain[i - 1]} < ${chain[i]}`);
+    assert.ok(compareSemver(chain[i], chain[i - 1]) > 0, `${chain[i]} > ${chain[i - 1]}`);
+}
+assert.strictEqual(compareSemver('1.4.0-beta.1', '1.4.0-beta.1'), 0);
+
+// Display version: newest stable wins over a newer prerelease.
+assert.strictEqual(pickDisplayVersion(['1.3.0', '1.4.0-beta.1', '1.2.0']), '1.3.0');
+assert.strictEqual(pickDisplayVersion(['1.0.0-beta.1', '1.0.0-beta.2']), '1.0.0-beta.2');
+assert.strictEqual(pickDisplayVersion([]), null);
+
+// --- packages.json: prerelease versions never take over the display ----------
+
+const repoUrl = 'https://github.com/openblock-plugin/arduinoEsp32';
+const entryFor = (version, name) => buildPackageEntry(
+    {openblock: {deviceId: 'arduinoEsp32', name}},
+    'devices',
+    version,
+    repoUrl,
+    {url: `https://r2/${version}.zip`, archiveFileName: `arduinoEsp32-${version}.zip`, checksum: 'x', size: 1}
+);
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+packagesJson = addPackageVersion(packagesJson, 'devices', entryFor('1.3.0', 'ESP32'));
+packagesJson = addPackageVersion(packagesJson, 'devices', entryFor('1.4.0-beta.1', 'ESP32 (beta)'));
+
+let device = packagesJson.packages.devices[0];
+assert.strictEqual(device.name, 'ESP32', 'beta must not replace stable display');
+assert.ok(!Object.prototype.hasOwnProperty.call(device, 'channel'), 'channel stays out of the root');
+assert.deepStrictEqual(device.versions.map(v => v.version), ['1.4.0-beta.1', '1.3.0']);
+assert.strictEqual(device.versions[0].channel, 'beta', 'prerelease carries its channel');
+assert.ok(!Object.prototype.hasOwnProperty.call(device.versions[1], 'channel'), 'stable has no channel');
+
+// The stable release outranks its own beta and takes over the display.
+packagesJson = addPackageVersion(packagesJson, 'devices', entryFor('1.4.0', 'ESP32 v2'));
+device = packagesJson.packages.devices[0];
+assert.strictEqual(device.name, 'ESP32 v2');
+assert.deepStrictEqual(device.versions.map(v => v.version), ['1.4.0', '1.4.0-beta.1', '1.3.0']);
+
+// A prerelease-only package still gets a display from its newest prerelease.
+let betaOnly = {packages: {devices: [], extensions: [], toolchains: []}};
+betaOnly = addPackageVersion(betaOnly, 'devices', entryFor('0.1.0-beta.1', 'First'));
+betaOnly = addPackageVersion(betaOnly, 'devices', entryFor('0.1.0-beta.2', 'Second'));
+assert.strictEqual(betaOnly.packages.devices[0].name, 'Second');
+
+// --- packages.json: stable and prerelease versions are capped separately ----------
+
+let capped = {packages: {devices: [], extensions: [], toolchains: []}};
+for (let minor = 0; minor < LIMITS.maxVersionsPerPackage; minor++) {
+    capped = addPackageVersion(capped, 'devices', entryFor(`1.${minor}.0`, 'ESP32'));
+}
+for (let beta = 1; beta <= LIMITS.maxPrereleaseVersionsPerPackage + 5; beta++) {
+    capped = addPackageVersion(capped, 'devices', entryFor(`2.0.0-beta.${beta}`, 'ESP32 (beta)'));
+}
+const cappedVersions = capped.packages.devices[0].versions.map(v => v.version);
+assert.strictEqual(cappedVersions.filter(v => !isPrerelease(v)).length, LIMITS.maxVersionsPerPackage, 'betas never evict stable versions');
+assert.ok(cappedVersions.includes('1.0.0'), 'the oldest stable version is kept');
+assert.strictEqual(cappedVersions.filter(isPrerelease).length, LIMITS.maxPrereleaseVersionsPerPackage);
+assert.ok(!cappedVersions.includes('2.0.0-beta.5') && cappedVersions.includes('2.0.0-beta.6'), 'the oldest prereleases go first');
+// Newest first by semver precedence: the next release's betas come before the current stable version.
+assert.strictEqual(cappedVersions[0], `2.0.0-beta.${LIMITS.maxPrereleaseVersionsPerPackage + 5}`);
+assert.strictEqual(cappedVersions[LIMITS.maxPrereleaseVersionsPerPackage], `1.${LIMITS.maxVersionsPerPackage - 1}.0`);
+assert.strictEqual(capped.packages.devices[0].name, 'ESP32', 'display still follows the newest stable version');
+
+capped = addPackageVersion(capped, 'devices', entryFor(`1.${LIMITS.maxVersionsPerPackage}.0`, 'ESP32'));
+assert.ok(!capped.packages.devices[0].versions.some(v => v.version === '1.0.0'), 'a new stable version evicts the oldest stable one');
+
+console.log('semver.test.js: all assertions passed');
@@ -0,0 +1,66 @@
+/**
+ * Standalone checks for detached signatures: what the publisher signs, the
+ * client-side helper accepts, and nothing else.
+ * Run: `node scripts/test/signing.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import {requireSigningKey, signBuffer, uploadSignature} from '../common/signing.js';
+import {signaturePath, verifySignature} from '../common/verify-signature.js';
+
+const {privateKey, publicKey} = crypto.generateKeyPairSync('ed25519');
+const publicPem = publicKey.export({type: 'spki', format: 'pem'});
+const privatePem = privateKey.export({type: 'pkcs8', format: 'pem'});
+
+const data = Buffer.from('{"packages": {"devices": []}}');
+const signature = signBuffer(data, privateKey);
+
+// Signatures sit next to the file.
+assert.strictEqual(signaturePath('packages.json'), 'packages.json.sig');
+assert.strictEqual(
+    signaturePath('https://registry.openblock.cc/devices/a/1.0.0.zip'),
+    'https://registry.openblock.cc/devices/a/1.0.0.zip.sig'
+);
+
+// Valid signatures verify with a PEM or KeyObject public key, and as .sig file content.
+assert.strictEqual(verifySignature(data, signature, publicPem), true);
+assert.strictEqual(verifySignature(data, signature, publicKey), true);
+assert.strictEqual(verifySignature(data.toString(), `${signature}\n`, publicPem), true);
+assert.strictEqual(signBuffer(data, privatePem), signature, 'Ed25519 is deterministic; PEM keys work too');
+
+// Anything tampered with, or signed by another key, is rejected.
+assert.strictEqual(verifySignature(Buffer.from('{"packages": {"devices": [1]}}'), signature, publicPem), false);
+const flipped = Buffer.from(signature, 'base64');
+flipped[0] ^= 1;
+assert.strictEqual(verifySignature(data, flipped.toString('base64'), publicPem), false);
+const other = crypto.generateKeyPairSync('ed25519');
+assert.strictEqual(verifySignature(data, signBuffer(data, other.privateKey), publicPem), false);
+
+// Malformed input fails closed instead of throwing.
+assert.strictEqual(verifySignature(data, '', publicPem), false);
+assert.strictEqual(verifySignature(data, signature, 'not a key'), false);
+const rsa = crypto.generateKeyPairSync('rsa', {modulusLength: 1024});
+assert.strictEqual(verifySignature(data, signature, rsa.publicKey), false);
+
+// Publishing without a key is refused unless explicitly allowed.
+const run = async () => {
+    delete process.env.REGISTRY_SIGNING_KEY;
+    assert.throws(() => requireSigningKey(), /REGISTRY_SIGNING_KEY is not set; refusing to publish unsigned files/);
+    await assert.rejects(uploadSignature(data, 'packages.json'), /cannot sign packages.json/);
+
+    assert.strictEqual(requireSigningKey(true), false, '--allow-unsigned');
+    assert.strictEqual(await uploadSignature(data, 'packages.json'), null, 'skipped once allowed');
+
+    process.env.REGISTRY_SIGNING_KEY = privatePem;
+    assert.strictEqual(requireSigningKey(), true);
+};
+
+run()
+    .then(() => {
+        console.log('signing.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,50 @@
+/**
+ * Standalone checks for the packages.json snapshot manifest helpers used by
+ * publishing and by the rollback command.
+ * Run: `node scripts/test/snapshots.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {createEmptyManifest, snapshotId, snapshotPath, addSnapshot, resolveSnapshot} from '../common/snapshots.js';
+
+const packagesJson = {packages: {devices: [{deviceId: 'a'}, {deviceId: 'b'}], extensions: [{extensionId: 'c'}], toolchains: []}};
+
+// Ids are URL-safe and keep timestamp order.
+assert.strictEqual(snapshotId('2026-01-01T00:00:00.000Z'), 'packages-2026-01-01T00-00-00-000Z');
+assert.strictEqual(snapshotPath('packages-x'), 'snapshots/packages-x.json');
+assert.ok(snapshotId('2026-01-02T00:00:00.000Z') > snapshotId('2026-01-01T23:59:59.999Z'));
+
+// Each publish prepends a snapshot and makes it current.
+let manifest = createEmptyManifest();
+const first = addSnapshot(manifest, packagesJson, 'sync', '2026-01-01T00:00:00.000Z');
+manifest = first.manifest;
+assert.deepStrictEqual(first.snapshot, {
+    id: 'packages-2026-01-01T00-00-00-000Z',
+    path: 'snapshots/packages-2026-01-01T00-00-00-000Z.json',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    source: 'sync',
+    devices: 2,
+    extensions: 1
+});
+manifest = addSnapshot(manifest, packagesJson, 'toolchains', '2026-01-02T00:00:00.000Z').manifest;
+assert.strictEqual(manifest.current, 'packages-2026-01-02T00-00-00-000Z');
+assert.deepStrictEqual(manifest.snapshots.map(s => s.source), ['toolchains', 'sync']);
+
+// Retention: the oldest snapshots fall off the manifest and are reported for deletion.
+assert.deepStrictEqual(first.pruned, []);
+const capped = addSnapshot(manifest, packagesJson, 'sync', '2026-01-03T00:00:00.000Z', 2);
+assert.deepStrictEqual(capped.manifest.snapshots.map(s => s.createdAt), ['2026-01-03T00:00:00.000Z', '2026-01-02T00:00:00.000Z']);
+assert.deepStrictEqual(capped.pruned.map(s => s.path), ['snapshots/packages-2026-01-01T00-00-00-000Z.json']);
+assert.strictEqual(capped.manifest.current, 'packages-2026-01-03T00-00-00-000Z');
+
+// 'previous' is the snapshot published before the live one.
+assert.strictEqual(resolveSnapshot(manifest, 'previous').snapshot.id, 'packages-2026-01-01T00-00-00-000Z');
+assert.strictEqual(resolveSnapshot(manifest, 'packages-2026-01-01T00-00-00-000Z').snapshot.createdAt, '2026-01-01T00:00:00.000Z');
+assert.strictEqual(resolveSnapshot(manifest, 'packages-nope').error, 'Unknown snapshot: packages-nope');
+
+// After rolling back to the oldest snapshot there is nothing before it.
+const rolledBack = {...manifest, current: 'packages-2026-01-01T00-00-00-000Z'};
+assert.strictEqual(resolveSnapshot(rolledBack, 'previous').error, 'No snapshot before the current one');
+assert.strictEqual(resolveSnapshot(createEmptyManifest(), 'previous').snapshot, null);
+
+console.log('snapshots.test.js: all assertions passed');
@@ -0,0 +1,136 @@
+/**
+ * Standalone checks for plugin license detection: matching LICENSE text to an
+ * SPDX id, cross-checking package.json, and publishing the id in packages.json.
+ * Run: `node scripts/test/spdx-license.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {normalizeLicenseText, detectLicense, parseLicenseField, checkLicense} from '../common/spdx-license.js';
+import {addPackageVersion} from '../common/packages-json.js';
+import sync from '../packages/sync.js';
+
+const {generateReport} = sync;
+
+const MIT = `MIT License
+
+Copyright (c) 2024 OpenBlock Contributors
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software.
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED.`;
+
+const BSD_3 = `Copyright (c) 2024, Servo Inc.
+
+Redistribution and use in source and binary forms, with or without
+modification, are permitted provided that the following conditions are met:
+
+1. Redistributions of source code must retain the above copyright notice, this
+   list of conditions and the following disclaimer.
+2. Redistributions in binary form must reproduce the above copyright notice,
+   this list of conditions and the following disclaimer in the documentation.
+3. Neither the name of the copyright holder nor the names of its contributors
+   may be used to endorse or promote products derived from this software
+   without specific prior written permission.`;
+
+const BSD_4 = BSD_3.replace('3. Neither', `3. All advertising materials mentioning features or use of this software
+   must display the following acknowledgement: This product includes software
+   developed by Servo Inc.
+4. Neither`);
+
+const GPL_3 = `                    GNU GENERAL PUBLIC LICENSE
+                       Version 3, 29 June 2007
+
+                            Preamble
+
+  The GNU General Public License is a free, copyleft license for
+software and other kinds of works.`;
+
+const CC_BY_NC = 'Attribution-NonCommercial 4.0 International\n\nCreative Commons Attribution-NonCommercial 4.0 International Public License';
+
+// --- Detection -----------------------------------------------------------------------
+
+assert.strictEqual(normalizeLicenseText('  "AS IS",\n  WITHOUT '), 'as is without');
+
+assert.strictEqual(detectLicense(MIT).spdxId, 'MIT');
+assert.strictEqual(detectLicense(MIT.replace(/\n/g, '\r\n    ')).spdxId, 'MIT', 'reflowed text still matches');
+assert.strictEqual(detectLicense(BSD_3).spdxId, 'BSD-3-Clause');
+assert.strictEqual(detectLicense(BSD_4).spdxId, 'BSD-4-Clause', 'the most specific template wins');
+assert.deepStrictEqual(detectLicense(GPL_3).ids, ['GPL-3.0-only', 'GPL-3.0-or-later']);
+assert.strictEqual(detectLicense('All rights reserved.'), null);
+assert.strictEqual(detectLicense(''), null);
+
+// --- package.json license field --------------------------------------------------------
+
+assert.deepStrictEqual(parseLicenseField('(MIT OR Apache-2.0)').ids, ['MIT', 'Apache-2.0']);
+assert.deepStrictEqual(parseLicenseField('GPL-2.0-or-later WITH Classpath-exception-2.0').ids, ['GPL-2.0-or-later']);
+assert.deepStrictEqual(parseLicenseField('GPL-3.0+').ids, ['GPL-3.0-or-later'], 'deprecated ids are mapped');
+assert.deepStrictEqual(parseLicenseField({type: 'MIT'}).ids, ['MIT'], 'legacy object form');
+assert.strictEqual(parseLicenseField('UNLICENSED').unlicensed, true);
+assert.strictEqual(parseLicenseField('SEE LICENSE IN LICENSE.txt').seeFile, true);
+assert.strictEqual(parseLicenseField(''), null);
+
+// --- checkLicense ----------------------------------------------------------------------
+
+assert.deepStrictEqual(checkLicense({text: MIT, declared: 'MIT'}), {spdxId: 'MIT', osiApproved: true, errors: [], warnings: []});
+assert.strictEqual(checkLicense({text: MIT, declared: '(MIT OR Apache-2.0)'}).errors.length, 0, 'one of the choices is enough');
+
+// The declared variant of a shared text is the one published.
+assert.strictEqual(checkLicense({text: GPL_3, declared: 'GPL-3.0-or-later'}).spdxId, 'GPL-3.0-or-later');
+assert.strictEqual(checkLicense({text: GPL_3, declared: 'GPL-3.0'}).spdxId, 'GPL-3.0-only');
+
+// A mismatch is reported, not refused; the LICENSE text decides the published id.
+assert.deepStrictEqual(checkLicense({text: BSD_3, declared: 'MIT'}), {
+    spdxId: 'BSD-3-Clause',
+    osiApproved: true,
+    errors: [],
+    warnings: ['LICENSE is BSD-3-Clause (BSD 3-Clause "New" or "Revised" License), but package.json declares "MIT"']
+});
+assert.deepStrictEqual(
+    checkLicense({text: MIT, declared: 'UNLICENSED'}).errors,
+    ['package.json declares "UNLICENSED", which does not allow redistribution']
+);
+
+const nonOsi = checkLicense({text: CC_BY_NC, declared: 'CC-BY-NC-4.0'});
+assert.strictEqual(nonOsi.osiApproved, false);
+assert.deepStrictEqual(nonOsi.errors, []);
+assert.deepStrictEqual(
+    nonOsi.warnings,
+    ['CC-BY-NC-4.0 (Creative Commons Attribution Non Commercial 4.0 International) is not an OSI-approved open source license']
+);
+assert.strictEqual(checkLicense({text: BSD_4, declared: 'BSD-4-Clause'}).osiApproved, false);
+
+const unknown = checkLicense({text: 'Do what you like, but ask first.', declared: 'MIT'});
+assert.strictEqual(unknown.spdxId, null);
+assert.deepStrictEqual(unknown.errors, []);
+assert.deepStrictEqual(unknown.warnings, ['LICENSE does not match any known license and has to be reviewed by hand']);
+
+assert.deepStrictEqual(checkLicense({text: MIT}).warnings, ['package.json has no "license" field; LICENSE is MIT']);
+
+// --- Published per package --------------------------------------------------------------
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+packagesJson = addPackageVersion(packagesJson, 'extensions', {extensionId: 'servo', name: 'Servo', version: '1.0.0', license: 'MIT'});
+const extension = packagesJson.packages.extensions[0];
+assert.strictEqual(extension.license, 'MIT', 'license is a package field');
+assert.ok(!Object.prototype.hasOwnProperty.call(extension.versions[0], 'license'));
+
+// --- Reported in the sync report ----------------------------------------------------------
+
+const report = generateReport({
+    added: [],
+    skipped: [],
+    errors: [],
+    licenseWarnings: [{type: 'extensions', id: 'servo', repo: 'o/servo', version: '1.0.0', warning: nonOsi.warnings[0]}]
+});
+assert.ok(report.includes('### License Warnings'));
+assert.ok(report.includes(`| extension | servo | 1.0.0 | ${nonOsi.warnings[0]} |`));
+
+console.log('spdx-license.test.js: all assertions passed');
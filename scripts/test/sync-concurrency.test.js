@@ -0,0 +1,51 @@
+/**
+ * Standalone checks for the concurrent build phase: runWithConcurrency caps the
+ * number of in-flight tasks and returns results in input order, which keeps
+ * build-result.json deterministic however the repositories finish.
+ * Run: `node scripts/test/sync-concurrency.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import sync from '../packages/sync.js';
+
+const {runWithConcurrency} = sync;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = async () => {
+    // Later items finish first; results must still follow the input order.
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const delays = [40, 30, 20, 10, 5, 1];
+    const results = await runWithConcurrency(delays, async delay => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await sleep(delay);
+        inFlight--;
+        return `done-${delay}`;
+    }, 3);
+
+    assert.deepStrictEqual(results, delays.map(delay => `done-${delay}`), 'results in input order');
+    assert.strictEqual(maxInFlight, 3, 'never more than the concurrency limit in flight');
+
+    // Concurrency 1 degrades to sequential.
+    const order = [];
+    await runWithConcurrency([3, 1, 2], async delay => {
+        order.push(`start-${delay}`);
+        await sleep(delay);
+        order.push(`end-${delay}`);
+    }, 1);
+    assert.deepStrictEqual(order, ['start-3', 'end-3', 'start-1', 'end-1', 'start-2', 'end-2']);
+
+    // Empty input resolves to an empty list.
+    assert.deepStrictEqual(await runWithConcurrency([], async () => 1, 3), []);
+};
+
+run()
+    .then(() => {
+        console.log('sync-concurrency.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
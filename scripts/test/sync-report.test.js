@@ -0,0 +1,88 @@
+/**
+ * Standalone checks for the JSON sync report: its envelope, summary math, and
+ * conformance to schemas/sync-report.schema.json for each sync kind.
+ * Run: `node scripts/test/sync-report.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import {createSyncReport, writeSyncReport, SYNC_REPORT_SCHEMA_VERSION} from '../common/sync-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const run = async () => {
+    const schema = JSON.parse(await fs.readFile(path.resolve(__dirname, '../../schemas/sync-report.schema.json'), 'utf-8'));
+    const ajv = new Ajv({allErrors: true});
+    addFormats(ajv);
+    const validate = ajv.compile(schema);
+    const assertValid = report => assert.ok(validate(report), JSON.stringify(validate.errors));
+
+    // Packages: sizes are summed, durations kept, per-repo stats passed through.
+    const packagesReport = createSyncReport({
+        kind: 'packages',
+        startedAt: '2026-01-01T00:00:00.000Z',
+        finishedAt: '2026-01-01T00:05:00.000Z',
+        added: [
+            {type: 'devices', id: 'a', repo: 'o/a', version: '1.0.0', size: 100, url: 'https://r2/a.zip'},
+            {type: 'devices', id: 'a', repo: 'o/a', version: '1.1.0', size: 50, url: 'https://r2/b.zip'}
+        ],
+        skipped: [{type: 'devices', id: 'a', repo: 'o/a', version: '0.9.0'}],
+        errors: [{type: 'extensions', repo: 'o/b', version: '2.0.0', error: 'Build failed'}],
+        repositoryStats: [{repo: 'o/a', tagsFound: 3, added: 2, skipped: 1, failed: 0, durationMs: 1200}],
+        durations: {build: 240000, upload: 60000},
+        details: {moved: [], delisted: []}
+    });
+    assert.strictEqual(packagesReport.schemaVersion, SYNC_REPORT_SCHEMA_VERSION);
+    assert.strictEqual(packagesReport.durationMs, 300000);
+    assert.deepStrictEqual(packagesReport.summary, {added: 2, skipped: 1, failed: 1, addedBytes: 150});
+    assert.strictEqual(packagesReport.dryRun, false);
+    assertValid(packagesReport);
+
+    // Toolchains report string sizes; translations have no sizes at all.
+    const toolchainsReport = createSyncReport({
+        kind: 'toolchains',
+        dryRun: true,
+        startedAt: '2026-01-01T00:00:00.000Z',
+        finishedAt: '2026-01-01T00:00:01.000Z',
+        added: [{id: 'arduino-avr', version: '1.8.6', platform: 'win32-x64', size: '2048'}],
+        details: {deleted: []}
+    });
+    assert.strictEqual(toolchainsReport.summary.addedBytes, 2048);
+    assertValid(toolchainsReport);
+
+    const translationsReport = createSyncReport({
+        kind: 'translations',
+        startedAt: '2026-01-01T00:00:00.000Z',
+        finishedAt: '2026-01-01T00:00:00.000Z',
+        added: [{repo: 'a', pr: {number: 1, url: 'https://github.com/o/a/pull/1'}, changes: {total: 3}}],
+        skipped: [{repo: 'b', reason: 'No changes'}]
+    });
+    assert.strictEqual(translationsReport.summary.addedBytes, 0);
+    assertValid(translationsReport);
+
+    // Schema rejects a report missing its envelope.
+    assert.ok(!validate({kind: 'packages'}));
+
+    // Written as pretty JSON that round-trips.
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-report-test-'));
+    try {
+        const written = await writeSyncReport(packagesReport, path.join(dir, 'nested', 'report.json'));
+        assert.deepStrictEqual(JSON.parse(await fs.readFile(written, 'utf-8')), packagesReport);
+    } finally {
+        await fs.rm(dir, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('sync-report.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
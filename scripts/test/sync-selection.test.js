@@ -0,0 +1,78 @@
+/**
+ * Standalone checks for targeted syncs (--only / --type): selectRepositories
+ * resolves the selection, and removePackagesByRepository scopes a rebuild to it.
+ * Run: `node scripts/test/sync-selection.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import sync from '../packages/sync.js';
+import {removePackagesByRepository} from '../common/packages-json.js';
+
+const {selectRepositories} = sync;
+
+const esp32 = 'https://github.com/openblock-plugin/arduinoEsp32';
+const uno = 'https://github.com/openblock-plugin/arduinoUno';
+const sensor = 'https://github.com/openblock-plugin/max30102';
+
+const registry = {
+    devices: [esp32, uno],
+    extensions: [sensor]
+};
+
+const packagesJson = {
+    packages: {
+        devices: [
+            {deviceId: 'arduinoEsp32', repository: esp32, versions: [{version: '1.0.0'}]},
+            {deviceId: 'arduinoUno', repository: uno, versions: [{version: '2.0.0'}]}
+        ],
+        extensions: [],
+        toolchains: [{id: 'arduino', versions: []}],
+        delisted: []
+    }
+};
+
+const repos = ({tasks}) => tasks.map(task => task.repoUrl);
+
+const run = async () => {
+    // No selection: every registered repository, devices first.
+    assert.deepStrictEqual(repos(await selectRepositories(registry, packagesJson)), [esp32, uno, sensor]);
+
+    // --type alone.
+    assert.deepStrictEqual(repos(await selectRepositories(registry, packagesJson, {type: 'extensions'})), [sensor]);
+
+    // --only by owner/repo, case-insensitive.
+    assert.deepStrictEqual(
+        repos(await selectRepositories(registry, packagesJson, {only: 'OpenBlock-Plugin/arduinoUno'})),
+        [uno]
+    );
+
+    // --only by published id.
+    assert.deepStrictEqual(repos(await selectRepositories(registry, packagesJson, {only: 'arduinoEsp32'})), [esp32]);
+
+    // --only by an id that is not published yet falls back to the approved baseline.
+    assert.deepStrictEqual(repos(await selectRepositories(registry, packagesJson, {only: 'max30102'})), [sensor]);
+
+    // --only and --type must agree.
+    const mismatch = await selectRepositories(registry, packagesJson, {only: 'arduinoEsp32', type: 'extensions'});
+    assert.deepStrictEqual(mismatch.tasks, []);
+    assert.ok(mismatch.error.includes('--only=arduinoEsp32'));
+
+    // Unknown plugin.
+    assert.ok((await selectRepositories(registry, packagesJson, {only: 'noSuchPlugin'})).error);
+
+    // --- removePackagesByRepository -----------------------------------------
+
+    const scoped = removePackagesByRepository(packagesJson, new Set([esp32]));
+    assert.deepStrictEqual(scoped.packages.devices.map(pkg => pkg.deviceId), ['arduinoUno'], 'only the selection is dropped');
+    assert.deepStrictEqual(scoped.packages.toolchains, packagesJson.packages.toolchains, 'other sections untouched');
+    assert.strictEqual(packagesJson.packages.devices.length, 2, 'input not mutated');
+};
+
+run()
+    .then(() => {
+        console.log('sync-selection.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
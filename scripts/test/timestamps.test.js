@@ -0,0 +1,67 @@
+/**
+ * Standalone checks for version timestamps: committedAt/publishedAt stay in
+ * versions[], and the package-level updatedAt follows the latest publish.
+ * Run: `node scripts/test/timestamps.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import {addPackageVersion, applyYankedVersions} from '../common/packages-json.js';
+import {buildPackageIndex} from '../common/package-index.js';
+
+const repoUrl = 'https://github.com/openblock-plugin/servo';
+
+const entry = (version, publishedAt, extra = {}) => ({
+    extensionId: 'servo',
+    name: `Servo ${version}`,
+    repository: repoUrl,
+    version,
+    committedAt: '2026-01-01T08:00:00.000Z',
+    ...(publishedAt ? {publishedAt} : {}),
+    url: `https://r2/${version}.zip`,
+    archiveFileName: `servo-${version}.zip`,
+    checksum: 'SHA-256:x',
+    size: '1',
+    ...extra
+});
+
+const servo = pj => pj.packages.extensions[0];
+
+let packagesJson = {packages: {devices: [], extensions: [], toolchains: []}};
+
+// A new package takes updatedAt from its only version.
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('1.0.0', '2026-01-02T00:00:00.000Z'));
+assert.strictEqual(servo(packagesJson).updatedAt, '2026-01-02T00:00:00.000Z');
+assert.deepStrictEqual(
+    Object.keys(servo(packagesJson).versions[0]).filter(key => key.endsWith('At')),
+    ['committedAt', 'publishedAt'],
+    'timestamps are per-version fields'
+);
+
+// A newer version moves it forward.
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('1.1.0', '2026-02-01T00:00:00.000Z'));
+assert.strictEqual(servo(packagesJson).updatedAt, '2026-02-01T00:00:00.000Z');
+
+// So does a prerelease, although it does not take over the display fields.
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('2.0.0-beta.1', '2026-03-01T00:00:00.000Z', {channel: 'beta'}));
+assert.strictEqual(servo(packagesJson).updatedAt, '2026-03-01T00:00:00.000Z');
+assert.strictEqual(servo(packagesJson).name, 'Servo 1.1.0');
+
+// It follows publish time, not version order, and is recomputed when a version is republished.
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('0.9.0', '2026-04-01T00:00:00.000Z'));
+assert.strictEqual(servo(packagesJson).updatedAt, '2026-04-01T00:00:00.000Z', 'publish time, not version order');
+packagesJson = addPackageVersion(packagesJson, 'extensions', entry('0.9.0', '2026-01-15T00:00:00.000Z'));
+assert.strictEqual(servo(packagesJson).updatedAt, '2026-03-01T00:00:00.000Z', 'recomputed from the versions');
+
+// Registry passes keep the field.
+const yanked = applyYankedVersions(packagesJson, [{repository: repoUrl, version: '1.1.0', reason: 'broken'}]).packagesJson;
+assert.ok(servo(yanked).versions.find(v => v.version === '1.1.0').yanked);
+assert.strictEqual(servo(yanked).updatedAt, '2026-03-01T00:00:00.000Z');
+
+// Versions published before timestamps existed leave it out.
+const legacy = addPackageVersion({packages: {devices: [], extensions: []}}, 'extensions', entry('1.0.0'));
+assert.ok(!Object.prototype.hasOwnProperty.call(servo(legacy), 'updatedAt'));
+
+// The slim index carries it, so clients can sort without the package files.
+assert.strictEqual(buildPackageIndex(packagesJson).index.extensions[0].updatedAt, '2026-03-01T00:00:00.000Z');
+
+console.log('timestamps.test.js: all assertions passed');
@@ -0,0 +1,76 @@
+/**
+ * Standalone checks for reproducible plugin zips: the same files give the same
+ * checksum whatever their mtimes, extra permission bits or creation order.
+ * Run: `node scripts/test/zip-archive.test.js` (or `npm test`).
+ */
+
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {createZipArchive, listZipEntries} from '../packages/github/downloader.js';
+
+/**
+ * Write a small dist tree.
+ * @param {string} dir - Directory to create
+ * @param {string[]} order - File names in creation order
+ * @param {Date} mtime - Modification time for every file
+ * @returns {Promise<string>} The directory
+ */
+const writeDist = async (dir, order, mtime) => {
+    const contents = {
+        'package.json': '{"name":"servo"}',
+        'index.js': 'module.exports = 1;',
+        'lib/a.js': 'a',
+        'lib/B.js': 'b',
+        'bin/tool': '#!/bin/sh\n'
+    };
+    for (const name of order) {
+        const file = path.join(dir, name);
+        await fs.mkdir(path.dirname(file), {recursive: true});
+        await fs.writeFile(file, contents[name]);
+        await fs.chmod(file, name === 'bin/tool' ? 0o775 : 0o664);
+        await fs.utimes(file, mtime, mtime);
+    }
+    return dir;
+};
+
+const run = async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-archive-test-'));
+    try {
+        const names = ['package.json', 'index.js', 'lib/a.js', 'lib/B.js', 'bin/tool'];
+        const first = await writeDist(path.join(root, 'first'), names, new Date('2024-01-01T10:00:00Z'));
+        const second = await writeDist(path.join(root, 'second'), [...names].reverse(), new Date('2025-06-30T23:59:59Z'));
+
+        // Sorted by code unit, with modes reduced to 0644/0755.
+        const entries = await listZipEntries(first);
+        assert.deepStrictEqual(entries.map(entry => entry.name), ['bin/tool', 'index.js', 'lib/B.js', 'lib/a.js', 'package.json']);
+        assert.deepStrictEqual(entries.map(entry => entry.mode), [0o755, 0o644, 0o644, 0o644, 0o644]);
+
+        // Same files, different mtimes and creation order: same bytes.
+        const zipA = await createZipArchive(first, path.join(root, 'a.zip'));
+        const zipB = await createZipArchive(second, path.join(root, 'b.zip'));
+        assert.strictEqual(zipA.checksum, zipB.checksum);
+        assert.strictEqual(zipA.size, zipB.size);
+
+        // Different content: different checksum.
+        await fs.writeFile(path.join(second, 'index.js'), 'module.exports = 2;');
+        const zipC = await createZipArchive(second, path.join(root, 'c.zip'));
+        assert.notStrictEqual(zipC.checksum, zipA.checksum);
+
+        // Symlinks are refused rather than archived differently by each tool.
+        await fs.symlink('/etc/hostname', path.join(second, 'link'));
+        await assert.rejects(listZipEntries(second), /Cannot archive link/);
+    } finally {
+        await fs.rm(root, {recursive: true, force: true});
+    }
+};
+
+run()
+    .then(() => {
+        console.log('zip-archive.test.js: all assertions passed');
+    })
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
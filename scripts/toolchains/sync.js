@@ -9,6 +9,9 @@ import os from 'os';
 import {fileURLToPath} from 'url';
 import logger from '../common/logger.js';
 import r2Client from '../common/r2-client.js';
+import {publishPackagesJson} from '../common/snapshots.js';
+import {requireSigningKey, uploadSignature} from '../common/signing.js';
+import {createSyncReport, writeSyncReport, defaultSyncReportPath} from '../common/sync-report.js';
 import {
     fetchRemotePackagesJsonOrThrow,
     getToolchains,
@@ -80,6 +83,7 @@ const packageArduinoToolchain = async (item, config) => {
         // Upload to R2
         const remotePath = `toolchains/${archiveFileName}`;
         const {url} = await r2Client.uploadFile(archivePath, remotePath);
+        await uploadSignature(await fs.readFile(archivePath), remotePath);
 
         return {
             url,
@@ -105,6 +109,8 @@ const packageArduinoToolchain = async (item, config) => {
  */
 const updatePackagesJsonFile = async (toAdd, addedSystems, toDelete = []) => {
     const packagesJson = await fetchRemotePackagesJsonOrThrow();
+    // Untouched copy for the delta feed; the toolchain entries below are edited in place.
+    const baseline = structuredClone(packagesJson);
     let toolchains = getToolchains(packagesJson);
 
     // Remove deleted items first
@@ -148,8 +154,8 @@ const updatePackagesJsonFile = async (toAdd, addedSystems, toDelete = []) => {
     const updated = updateToolchains(packagesJson, toolchains);
     const merged = mergePackagesSections(packagesJson, updated, ['toolchains']);
 
-    // Upload packages.json directly to R2
-    await r2Client.uploadJson(merged, 'packages.json');
+    // Upload packages.json to R2, keeping a snapshot for rollback
+    await publishPackagesJson(merged, baseline, 'toolchains');
     logger.success('Updated packages.json in R2');
 
     return merged;
@@ -268,16 +274,44 @@ const generateSyncReport = (reportData) => {
     return lines.join('\n');
 };
 
+/**
+ * Write the JSON counterpart of the Markdown report.
+ * @param {object} reportData - Same data passed to generateSyncReport, plus errors
+ * @param {string} startedAt - ISO timestamp the sync started
+ * @param {string} [reportPath] - Target file (defaults to toolchains-sync-report.json)
+ * @returns {Promise<string>} The path written
+ */
+const writeJsonSyncReport = (reportData, startedAt, reportPath = defaultSyncReportPath('toolchains')) => {
+    const {added, deleted, skipped, errors = [], dryRun} = reportData;
+    return writeSyncReport(createSyncReport({
+        kind: 'toolchains',
+        dryRun,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        added,
+        skipped,
+        errors,
+        details: {deleted}
+    }), reportPath);
+};
+
 /**
  * Main sync function
  * @param {object} options - Sync options
  * @param {boolean} options.dryRun - Only show what would be done
+ * @param {boolean} [options.allowUnsigned] - Publish without signatures when REGISTRY_SIGNING_KEY is not set
  * @param {string} options.platform - Only process this platform (optional)
+ * @param {string} options.reportPath - Where to write the JSON report (optional)
  */
 export const sync = async (options = {}) => {
     const {dryRun = false, platform = null} = options;
+    const startedAt = new Date().toISOString();
+    const reportPath = options.reportPath || defaultSyncReportPath('toolchains');
 
     logger.section('OpenBlock Toolchain Sync');
+    if (!dryRun) {
+        requireSigningKey(options.allowUnsigned);
+    }
 
     // Read configs
     const config = await readToolchainsConfig();
@@ -319,19 +353,22 @@ export const sync = async (options = {}) => {
     const addedItems = [];
     const deletedItems = [];
     const skippedItems = [];
+    const failedItems = [];
     let failedCount = 0;
 
     if (toAdd.length === 0 && toDelete.length === 0) {
         logger.success('Everything is up to date!');
-        const report = generateSyncReport({
+        const reportData = {
             currentState: current,
             added: [],
             deleted: [],
             skipped: [],
             summary: {added: 0, skipped: 0, deleted: 0, failed: 0},
             dryRun: false
-        });
+        };
+        const report = generateSyncReport(reportData);
         console.log('\n' + report);
+        await writeJsonSyncReport(reportData, startedAt, reportPath);
         return {added: 0, deleted: 0, report};
     }
 
@@ -369,15 +406,17 @@ export const sync = async (options = {}) => {
             deletedItems.push(item);
         }
 
-        const report = generateSyncReport({
+        const reportData = {
             currentState: current,
             added: addedItems,
             deleted: deletedItems,
             skipped: skippedItems,
             summary: {added: addedItems.length, skipped: skippedItems.length, deleted: deletedItems.length, failed: 0},
             dryRun: true
-        });
+        };
+        const report = generateSyncReport(reportData);
         console.log('\n' + report);
+        await writeJsonSyncReport(reportData, startedAt, reportPath);
         return {added: 0, deleted: 0, wouldAdd: addedItems.length, wouldDelete: deletedItems.length, report};
     }
 
@@ -404,6 +443,7 @@ export const sync = async (options = {}) => {
                     skippedItems.push({...item, missingTools: err.missingTools});
                 } else {
                     logger.error(`Failed to package ${item.id}@${item.version}#${item.platform}: ${err.message}`);
+                    failedItems.push({...item, error: err.message});
                     failedCount++;
                 }
             }
@@ -422,6 +462,7 @@ export const sync = async (options = {}) => {
                 deletedItems.push(item);
             } catch (err) {
                 logger.error(`Failed to delete ${item.id}@${item.version}#${item.platform}: ${err.message}`);
+                failedItems.push({...item, error: `Delete failed: ${err.message}`});
             }
         }
     }
@@ -436,11 +477,12 @@ export const sync = async (options = {}) => {
     }
 
     // Generate report
-    const report = generateSyncReport({
+    const reportData = {
         currentState: updatedCurrentState,
         added: addedItems,
         deleted: deletedItems,
         skipped: skippedItems,
+        errors: failedItems,
         summary: {
             added: addedItems.length,
             skipped: skippedItems.length,
@@ -448,10 +490,12 @@ export const sync = async (options = {}) => {
             failed: failedCount
         },
         dryRun: false
-    });
+    };
+    const report = generateSyncReport(reportData);
 
     logger.section('Sync Complete');
     console.log('\n' + report);
+    await writeJsonSyncReport(reportData, startedAt, reportPath);
 
     return {added: addedItems.length, deleted: deletedItems.length, skipped: skippedItems.length, failed: failedCount, report};
 };
@@ -464,9 +508,16 @@ const parseArgs = () => {
     const args = process.argv.slice(2);
     const options = {
         dryRun: args.includes('--dry-run'),
-        platform: null
+        allowUnsigned: args.includes('--allow-unsigned'),
+        platform: null,
+        reportPath: null
     };
 
+    const reportArg = args.find(arg => arg.startsWith('--json-report='));
+    if (reportArg) {
+        options.reportPath = path.resolve(reportArg.split('=')[1]);
+    }
+
     const platformIndex = args.indexOf('--platform');
     if (platformIndex !== -1 && args[platformIndex + 1]) {
         options.platform = args[platformIndex + 1];
@@ -21,6 +21,7 @@ import {parseTranslationsJs, generateTranslationsJs} from './translation-generat
 import {createTranslationPR} from './github-pr.js';
 import {readRegistryJson, parseRepoUrl} from '../packages/calculate-diff.js';
 import logger from '../common/logger.js';
+import {createSyncReport, writeSyncReport} from '../common/sync-report.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -300,6 +301,17 @@ const sync = function (options = {}) {
     await fs.writeFile(reportPath, report, 'utf-8');
     logger.debug(`Report written to: ${reportPath}`);
 
+    // Machine-readable counterpart; updated plugins (translation PRs) are the "added" items.
+    await writeSyncReport(createSyncReport({
+        kind: 'translations',
+        dryRun,
+        startedAt: timestamp,
+        finishedAt: new Date().toISOString(),
+        added: results.updated,
+        skipped: results.skipped,
+        errors: results.failed
+    }), path.resolve(path.dirname(reportPath), 'translation-sync-report.json'));
+
     // 7. Console summary
     logger.section('Summary');
     logger.info(`Updated: ${results.updated.length}`);
@@ -13,7 +13,8 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import {isValidSemver, compareSemver} from '../packages/calculate-diff.js';
+import {isValidSemver} from '../packages/calculate-diff.js';
+import {pickDisplayVersion} from '../common/semver.js';
 import {extractDisplay, listIconFields, hashIconBytes, computeDisplayHash} from '../common/display-manifest.js';
 import {readApprovedManifest} from '../common/approved-store.js';
 
@@ -50,8 +51,9 @@ const parseGitHubUrl = (url) => {
 };
 
 /**
- * Resolve the highest semver tag — the one sync will pick up (§5.5.2). Matches
- * sync's "newest tag wins" behaviour so the report pins the same ref.
+ * Resolve the tag whose display sync will publish (§5.5.2): the highest stable
+ * semver tag, or the highest prerelease while no stable tag exists. Matches
+ * sync's display-version rule so the report pins the same ref.
  * @param {string} owner - Repo owner
  * @param {string} repo - Repo name
  * @returns {Promise<string|null>} Highest semver tag or null
@@ -66,9 +68,8 @@ const resolveHighestTag = async (owner, repo) => {
     const tags = await response.json();
     const semverTags = (Array.isArray(tags) ? tags : [])
         .map(t => t.name)
-        .filter(isValidSemver)
-        .sort((a, b) => -compareSemver(a, b));
-    return semverTags[0] || null;
+        .filter(isValidSemver);
+    return pickDisplayVersion(semverTags);
 };
 
 /**
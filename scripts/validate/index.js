@@ -90,7 +90,9 @@ const generateReport = (results) => {
             lines.push('| Type | Repository | Status |');
             lines.push('| ---- | ---------- | ------ |');
             for (const item of registry.added) {
-                const status = item.valid ? '✅ Valid' : `❌ ${item.error}`;
+                const license = item.license ? ` (${item.license})` : '';
+                const warnings = (item.warnings || []).map(warning => `<br>⚠️ ${warning}`).join('');
+                const status = item.valid ? `✅ Valid${license}${warnings}` : `❌ ${item.error}`;
                 lines.push(`| ${item.type} | ${item.repo} | ${status} |`);
             }
             lines.push('');
@@ -9,6 +9,17 @@ import {parse} from '@babel/parser';
 import fs from 'fs/promises';
 import path from 'path';
 import {fileURLToPath} from 'url';
+import {isValidSemver} from '../common/semver.js';
+import {readGuiRange} from '../common/gui-compat.js';
+import {checkLicense} from '../common/spdx-license.js';
+import {
+    createEmptyPackagesJson,
+    delistUnregisteredPackages,
+    findBrokenExtensionRefs,
+    getToolchainIds,
+    findToolchainGaps
+} from '../common/packages-json.js';
+import {OPENBLOCK_PLATFORMS} from '../toolchains/arduino/platform-mapper.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -121,6 +132,35 @@ const validateRecommended = (registry) => {
     return errors;
 };
 
+/**
+ * Validate the `yanked` list: every entry must name a registered repository and a
+ * valid version, and a version may only be yanked once. Catches typos that would
+ * otherwise silently yank nothing.
+ * @param {object} registry - Registry.json content
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+const validateYanked = (registry) => {
+    const errors = [];
+    const registered = new Set([...(registry.devices || []), ...(registry.extensions || [])]);
+    const seen = new Set();
+
+    for (const {repository, version} of registry.yanked || []) {
+        if (!registered.has(repository)) {
+            errors.push(`yanked references '${repository}', which is not listed in devices or extensions`);
+        }
+        if (!isValidSemver(version)) {
+            errors.push(`yanked version '${version}' of '${repository}' is not a valid semver version`);
+        }
+        const key = `${repository}@${version}`;
+        if (seen.has(key)) {
+            errors.push(`yanked lists '${key}' more than once`);
+        }
+        seen.add(key);
+    }
+
+    return errors;
+};
+
 /**
  * Extract repo info from GitHub URL
  * @param {string} url - GitHub repository URL
@@ -241,13 +281,14 @@ const verifyOpenBlockType = (packageJson, expectedType) => {
 };
 
 /**
- * Validate version format (semver: x.y.z)
+ * Validate version format (semver: x.y.z, optionally with a prerelease such as
+ * x.y.z-beta.1)
  * @param {string} version - Version string
  * @returns {boolean} True if valid
  */
 const isValidVersion = (version) => {
     if (!version || typeof version !== 'string') return false;
-    return /^\d+\.\d+\.\d+$/.test(version);
+    return isValidSemver(version);
 };
 
 /**
@@ -309,6 +350,38 @@ const checkRequiredFiles = async (repoInfo, branch) => {
     return {valid: true};
 };
 
+/**
+ * Match the LICENSE file to an SPDX id and cross-check it with the license
+ * field in package.json. Unrecognized and non-OSI licenses, and a LICENSE
+ * that contradicts package.json, are warnings for the reviewer; UNLICENSED
+ * fails validation.
+ * @param {object} repoInfo - {owner, repo}
+ * @param {string} branch - Branch name
+ * @param {object} packageJson - Parsed package.json
+ * @returns {Promise<object>} Validation result ({valid, error} or {valid, license, warnings})
+ */
+const validateLicense = async (repoInfo, branch, packageJson) => {
+    const {owner, repo} = repoInfo;
+    const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/LICENSE`;
+
+    let text;
+    try {
+        const response = await fetch(rawUrl);
+        if (!response.ok) {
+            return {valid: false, error: `Failed to fetch LICENSE (${response.status})`};
+        }
+        text = await response.text();
+    } catch (err) {
+        return {valid: false, error: `Failed to fetch LICENSE: ${err.message}`};
+    }
+
+    const result = checkLicense({text, declared: packageJson.license});
+    if (result.errors.length > 0) {
+        return {valid: false, error: result.errors.join('; ')};
+    }
+    return {valid: true, license: result.spdxId, warnings: result.warnings};
+};
+
 /**
  * Validate version tags exist
  * @param {object} repoInfo - {owner, repo}
@@ -593,7 +666,7 @@ const validatePackageJsonStructure = async (packageJson, type, repoInfo, branch)
 
     // Check version format
     if (!isValidVersion(packageJson.version)) {
-        errors.push('Version must follow semver format (x.y.z)');
+        errors.push('Version must follow semver format (x.y.z or x.y.z-prerelease)');
     }
 
     // Check author
@@ -601,6 +674,12 @@ const validatePackageJsonStructure = async (packageJson, type, repoInfo, branch)
         errors.push('Missing author field');
     }
 
+    // Check the optional GUI compatibility range (engines.openblock / openblock.minGuiVersion)
+    const guiRange = readGuiRange(packageJson);
+    if (guiRange.error) {
+        errors.push(guiRange.error);
+    }
+
     // Check openblock.name
     if (!isValidFormatMessageOrString(openblock.name)) {
         errors.push('openblock.name must be a string or valid formatMessage structure');
@@ -715,6 +794,23 @@ const validatePackageJsonStructure = async (packageJson, type, repoInfo, branch)
             }
         }
 
+        // Check extensions (optional; ids of extensions bundled with the device,
+        // resolved against packages.json in validateBundledExtensions)
+        if (typeof openblock.extensions !== 'undefined' &&
+            (!Array.isArray(openblock.extensions) || !openblock.extensions.every(id => typeof id === 'string' && id))) {
+            errors.push('openblock.extensions must be an array of extension ids');
+        }
+
+        // Check toolchains (optional; a toolchain id or a list of them, resolved
+        // against the published toolchains in validateDeviceToolchains)
+        const toolchains = openblock.toolchains;
+        const validToolchains = typeof toolchains === 'undefined' ||
+            (typeof toolchains === 'string' && toolchains.length > 0) ||
+            (Array.isArray(toolchains) && toolchains.every(id => typeof id === 'string' && id));
+        if (!validToolchains) {
+            errors.push('openblock.toolchains must be a toolchain id or an array of toolchain ids');
+        }
+
         // Check arch (required; structural check only — content unconstrained)
         errors.push(...validateArch(openblock.arch));
     } else if (type === 'extension') {
@@ -811,19 +907,98 @@ const validateRepository = async (url, type, existingIds) => {
         return requiredFilesCheck;
     }
 
-    // 7. Validate version tags exist
+    // 7. Match LICENSE to an SPDX id and cross-check package.json
+    const licenseCheck = await validateLicense(repoInfo, repoCheck.defaultBranch, packageJsonCheck.packageJson);
+    if (!licenseCheck.valid) {
+        return licenseCheck;
+    }
+
+    // 8. Validate version tags exist
     const versionTagCheck = await validateVersionTags(repoInfo, packageJsonCheck.packageJson.version);
     if (!versionTagCheck.valid) {
         return versionTagCheck;
     }
 
-    // 8. Validate translation file consistency and namespace
+    // 9. Validate translation file consistency and namespace
     const translationsCheck = await validateTranslations(packageJsonCheck.packageJson, type, repoInfo, repoCheck.defaultBranch);
     if (!translationsCheck.valid) {
         return translationsCheck;
     }
 
-    return {valid: true};
+    // Id, bundled extensions and toolchains feed the cross-package checks in validateRegistry
+    return {
+        valid: true,
+        pluginId,
+        license: licenseCheck.license,
+        warnings: licenseCheck.warnings,
+        bundledExtensions: type === 'device' ? (openblock.extensions ?? []) : [],
+        toolchains: type === 'device' ? getToolchainIds(openblock.toolchains) : []
+    };
+};
+
+/**
+ * Referential integrity of device-bundled extensions (openblock.extensions).
+ * Only references this PR breaks are reported: extension ids bundled by newly
+ * added devices that are neither published nor added alongside, and published
+ * devices whose bundled extension this PR removes from the registry. References
+ * that were already broken show up in the sync report instead of blocking
+ * unrelated PRs.
+ * @param {object|null} packagesJson - Published packages.json
+ * @param {object} prRegistry - PR registry.json content
+ * @param {Array<object>} added - Validated new entries ({type, url, valid, pluginId, bundledExtensions})
+ * @returns {string[]} Error messages
+ */
+export const validateBundledExtensions = (packagesJson, prRegistry, added) => {
+    const published = packagesJson ?? createEmptyPackagesJson();
+    const registered = {
+        devices: new Set(prRegistry.devices || []),
+        extensions: new Set(prRegistry.extensions || [])
+    };
+    const projected = delistUnregisteredPackages(published, registered).packagesJson;
+
+    const valid = added.filter(item => item.valid);
+    const newDevices = valid.filter(item => item.type === 'device').map(item => ({
+        deviceId: item.pluginId,
+        repository: item.url,
+        extensions: item.bundledExtensions,
+        versions: []
+    }));
+    const newExtensionIds = valid.filter(item => item.type === 'extension').map(item => item.pluginId);
+    const afterMerge = {
+        ...projected,
+        packages: {
+            ...projected.packages,
+            devices: [...projected.packages.devices, ...newDevices]
+        }
+    };
+
+    const refKey = ref => `${ref.deviceId}/${ref.extensionId}`;
+    const alreadyBroken = new Set(findBrokenExtensionRefs(published).map(refKey));
+    return findBrokenExtensionRefs(afterMerge, newExtensionIds)
+        .filter(ref => !alreadyBroken.has(refKey(ref)))
+        .map(ref => (ref.reason === 'delisted' ?
+            `Device ${ref.deviceId} bundles extension '${ref.extensionId}', which has been removed from the registry` :
+            `Device ${ref.deviceId} bundles extension '${ref.extensionId}', which is not published in the registry`));
+};
+
+/**
+ * Toolchains used by newly added devices (openblock.toolchains) must be
+ * published, with a system for every OpenBlock platform. Each platform without
+ * one is reported, so the gap is fixed in toolchains.json before users on that
+ * platform find it. Skipped when the published toolchains could not be loaded.
+ * @param {object|null} packagesJson - Published packages.json
+ * @param {Array<object>} added - Validated new entries ({type, valid, pluginId, toolchains})
+ * @returns {string[]} Error messages
+ */
+export const validateDeviceToolchains = (packagesJson, added) => {
+    const devices = added
+        .filter(item => item.valid && item.type === 'device')
+        .map(item => ({deviceId: item.pluginId, toolchains: item.toolchains, versions: []}));
+    const projected = {packages: {devices, toolchains: packagesJson?.packages?.toolchains}};
+
+    return findToolchainGaps(projected, OPENBLOCK_PLATFORMS).map(gap => (gap.reason === 'unknown' ?
+        `Device ${gap.deviceId} uses toolchain '${gap.toolchainId}', which is not published in the registry (see TOOLCHAINS.md)` :
+        `Device ${gap.deviceId} uses toolchain '${gap.toolchainId}', which has no build for: ${gap.missingPlatforms.join(', ')}`));
 };
 
 /**
@@ -847,10 +1022,10 @@ const fetchR2Packages = async () => {
 
 /**
  * Get all existing plugin IDs from R2 packages.json
- * @returns {Promise<Set<string>>} Set of existing plugin IDs (deviceId and extensionId)
+ * @param {object|null} packagesJson - Packages data from fetchR2Packages()
+ * @returns {Set<string>} Set of existing plugin IDs (deviceId and extensionId)
  */
-const getExistingPluginIds = async () => {
-    const packagesJson = await fetchR2Packages();
+const getExistingPluginIds = (packagesJson) => {
     const ids = new Set();
 
     if (!packagesJson) {
@@ -912,11 +1087,13 @@ export const validateRegistry = async (prRegistry, baseRegistry) => {
         return result;
     }
 
-    // Referential integrity of the recommended allowlist
+    // Referential integrity of the recommended allowlist and the yanked list
     result.errors.push(...validateRecommended(prRegistry));
+    result.errors.push(...validateYanked(prRegistry));
 
     // Get existing plugin IDs from R2
-    const existingIds = await getExistingPluginIds();
+    const packagesJson = await fetchR2Packages();
+    const existingIds = getExistingPluginIds(packagesJson);
 
     // Find new entries
     const newDevices = findNewEntries(prRegistry.devices, baseRegistry?.devices);
@@ -954,5 +1131,11 @@ export const validateRegistry = async (prRegistry, baseRegistry) => {
         }
     }
 
+    // Devices may only bundle extensions that stay published
+    result.errors.push(...validateBundledExtensions(packagesJson, prRegistry, result.added));
+
+    // ... and only use toolchains published for every platform
+    result.errors.push(...validateDeviceToolchains(packagesJson, result.added));
+
     return result;
 };